@@ -1,142 +1,42 @@
-import admin from 'firebase-admin';
-import axios from 'axios';
-import { makeRateLimitedAxiosRequest } from './rate-limiter.js';
-
-
-// Mention configuration (same as webhook.js)
-const MENTION_CONFIG = {
-    TARGET_GROUP_ID: -1001354282618,
-    CHOSEN_MEMBERS: [
-        'KiNGViNU7',
-        'Xeron888',
-        'RemindMeOfThis',
-        'austrianbae250',
-        'ferno_x',
-        'Ananthu_VB',
-        'Oxshahid13',
-        'unknownking7',
-        'BeastIncarnate7'
-    ]
-};
-
-// Helper functions for mentions (same as webhook.js)
-function escapeUsername(username) {
-    if (!username || typeof username !== 'string') return '';
-    // For HTML mode (used in alerts), don't escape underscores as they're valid in usernames
-    // Only escape characters that would break HTML parsing
-    return username
-        .replace(/&/g, '&amp;')
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;');
-}
-
-function createMentionText() {
-    const validUsernames = MENTION_CONFIG.CHOSEN_MEMBERS
-        .filter(username => {
-            return username && 
-                   typeof username === 'string' && 
-                   username.trim() !== '' &&
-                   !username.startsWith('username') &&
-                   username.length <= 32 &&
-                   /^[a-zA-Z0-9_]+$/.test(username);
-        });
-    
-    if (validUsernames.length === 0) {
-        console.warn('⚠️ No valid usernames found in MENTION_CONFIG.CHOSEN_MEMBERS');
-        return '';
-    }
-    
-    return validUsernames
-        .map(username => `@${username}`) // Don't escape in HTML mode
-        .join(' ');
-}
-
-function isValidMentionContext(chatId) {
-    return parseInt(chatId) === MENTION_CONFIG.TARGET_GROUP_ID;
-}
-
-// Initialize Firebase (same as main bot)
-if (!admin.apps.length) {
-    try {
-        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-        });
-    } catch (error) {
-        console.error("Firebase admin initialization failed:", error);
-    }
-}
-
-const db = admin.firestore();
-
-// Price checking function (reuse from main bot)
-async function getCoinDataWithChanges(symbol) {
-    const priority = {
-        btc: "bitcoin", eth: "ethereum", usdt: "tether", usdc: "usd-coin", 
-        bnb: "binancecoin", xrp: "ripple", sol: "solana", doge: "dogecoin"
-    };
-
-    if (!symbol) return null;
-    const s = String(symbol).toLowerCase().trim();
-    if (!s) return null;
-
-    let coinId = priority[s];
-    try {
-        if (!coinId) {
-            const searchResponse = await makeRateLimitedAxiosRequest({
-                method: 'get',
-                url: "https://api.coingecko.com/api/v3/search",
-                params: { query: s },
-                timeout: 15000,
-            });
-            const bestMatch = searchResponse.data.coins.find(c => c.symbol.toLowerCase() === s);
-            if (bestMatch) {
-                coinId = bestMatch.id;
-            }
-        }
-
-        if (!coinId) return null;
-
-        const response = await makeRateLimitedAxiosRequest({
-            method: 'get',
-            url: "https://api.coingecko.com/api/v3/coins/markets",
-            params: {
-                vs_currency: "usd",
-                ids: coinId,
-                price_change_percentage: "1h,24h,7d,30d",
-            },
-            timeout: 15000,
-        });
-        
-        return response.data.length > 0 ? response.data[0] : null;
-    } catch (e) {
-        console.error(`❌ getCoinDataWithChanges failed for ${s}:`, e.message);
-        return null;
-    }
+import { getStorage } from '../lib/storage/index.js';
+import { getTelegramClient, logTelegramError } from '../lib/telegram.js';
+import { getChatSettings } from '../lib/chat-settings.js';
+import { getPriceService } from '../lib/prices.js';
+import { createMentionText, isValidMentionContext } from '../lib/mentions.js';
+import { getTranslator } from '../lib/i18n.js';
+import { fiatSymbol } from '../lib/fiat.js';
+
+// Same storage, settings and price lookups as the main bot
+const storage = getStorage();
+const chatSettings = getChatSettings();
+const { getCoinDataWithChanges } = getPriceService();
+
+// Notifications go out in the chat's /language (English when unset)
+async function getChatTranslator(chatId) {
+    const settings = await chatSettings.get(chatId);
+    return getTranslator(settings.language || undefined);
 }
 
 async function checkPriceAlerts() {
     console.log('Checking price alerts...');
     
     try {
-        const alertsSnapshot = await db.collection('price_alerts')
-            .where('isActive', '==', true)
-            .get();
+        const alerts = await storage.priceAlerts.listActive();
 
         let triggeredCount = 0;
         
-        for (const doc of alertsSnapshot.docs) {
-            const alert = doc.data();
+        for (const alert of alerts) {
             
-            // Get current price
-            const coin = await getCoinDataWithChanges(alert.symbol);
-            if (!coin) {
-                console.log(`Could not get price for ${alert.symbol}`);
+            // Get current price in the currency the target was set in (alerts from before /currency are USD)
+            const currency = alert.currency || 'usd';
+            const coin = await getCoinDataWithChanges(alert.symbol, { chatId: alert.chatId, fiat: currency });
+            if (!coin || coin.fiat !== currency) {
+                console.log(`Could not get ${currency.toUpperCase()} price for ${alert.symbol}`);
                 continue;
             }
             
             const currentPrice = coin.current_price;
-            console.log(`${alert.symbol.toUpperCase()}: $${currentPrice} (target: ${alert.condition} $${alert.targetPrice})`);
+            console.log(`${alert.symbol.toUpperCase()}: ${currentPrice} ${currency.toUpperCase()} (target: ${alert.condition} ${alert.targetPrice})`);
             
             // Check if condition is met
             let triggered = false;
@@ -147,44 +47,39 @@ async function checkPriceAlerts() {
             }
             
             if (triggered) {
-                console.log(`ALERT TRIGGERED: ${alert.symbol} ${alert.condition} $${alert.targetPrice}`);
+                console.log(`ALERT TRIGGERED: ${alert.symbol} ${alert.condition} ${alert.targetPrice} ${currency.toUpperCase()}`);
                 
                 // Send notification
+                const tr = await getChatTranslator(alert.chatId);
                 const priceChange1h = coin.price_change_percentage_1h_in_currency || 0;
                 const emoji = priceChange1h >= 0 ? '🟢' : '🔴';
                 const changeText = priceChange1h >= 0 ? `+${priceChange1h.toFixed(2)}%` : `${priceChange1h.toFixed(2)}%`;
-                
-                const usernameText = alert.username ? `@${alert.username}` : '';
-
-const message = `🚨 <b>PRICE ALERT TRIGGERED</b>
-
-${alert.symbol.toUpperCase()} is now ${alert.condition} $${alert.targetPrice.toLocaleString()}! ${usernameText}
 
-<code>Current Price: $${currentPrice.toLocaleString()}</code>
-<code>1H Change: ${emoji} ${changeText}</code>
-<code>Market Cap: $${coin.market_cap ? (coin.market_cap / 1e9).toFixed(2) + 'B' : 'N/A'}</code>
-
-Your alert has been automatically removed.`;
+                const message = tr.t('alert.triggered', {
+                    symbol: alert.symbol.toUpperCase(),
+                    condition: tr.t(`condition.${alert.condition}`),
+                    target: tr.price(alert.targetPrice, currency),
+                    username: alert.username ? `@${alert.username}` : '',
+                    price: tr.price(currentPrice, currency),
+                    change: `${emoji} ${changeText}`,
+                    marketCap: `${fiatSymbol(currency)}${tr.big(coin.market_cap)}`
+                });
 
                 try {
                     // FIXED: Use HTML instead of Markdown to avoid entity parsing errors
-                    await axios.post(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-                        chat_id: parseInt(alert.chatId),
-                        text: message,
-                        parse_mode: 'HTML'
-                    });
+                    await getTelegramClient().sendMessage(alert.chatId, message, { parse_mode: 'HTML' });
                     
                     // Deactivate alert
-                    await doc.ref.update({ isActive: false });
+                    await storage.priceAlerts.deactivate(alert.id);
                     triggeredCount++;
                     
                 } catch (sendError) {
-                    console.error('Failed to send alert:', sendError.message);
+                    logTelegramError('Failed to send alert', sendError);
                 }
             }
         }
         
-        return { checked: alertsSnapshot.size, triggered: triggeredCount };
+        return { checked: alerts.length, triggered: triggeredCount };
         
     } catch (error) {
         console.error('Error checking price alerts:', error.message);
@@ -196,16 +91,11 @@ async function checkTimeReminders() {
     console.log('Checking time reminders...');
     
     try {
-        const now = admin.firestore.Timestamp.now();
-        const remindersSnapshot = await db.collection('time_reminders')
-            .where('isActive', '==', true)
-            .where('triggerTime', '<=', now)
-            .get();
+        const reminders = await storage.timeReminders.listDue(new Date());
 
         let triggeredCount = 0;
         
-        for (const doc of remindersSnapshot.docs) {
-            const reminder = doc.data();
+        for (const reminder of reminders) {
             
             console.log(`TIME REMINDER TRIGGERED: ${reminder.message}`);
             
@@ -215,10 +105,13 @@ async function checkTimeReminders() {
             let processedMessage = reminder.message;
             let additionalMentions = '';
             
-            // Check if reminder message contains @all and if we're in the right chat
-            if (reminder.message.toLowerCase().includes('@all') && isValidMentionContext(reminder.chatId)) {
+            // Check if reminder message contains @all and the chat has @all turned on
+            const settings = reminder.message.toLowerCase().includes('@all')
+                ? await chatSettings.get(reminder.chatId)
+                : null;
+            if (settings && isValidMentionContext(settings)) {
                 // Use HTML mode since reminders are sent with HTML parse mode
-                const mentionText = createMentionText('html');
+                const mentionText = createMentionText('html', settings.mentionMembers);
                 if (mentionText && mentionText.trim() !== '') {
                     // Remove @all from the message and add actual mentions
                     processedMessage = reminder.message.replace(/@all/gi, '').trim();
@@ -229,32 +122,27 @@ async function checkTimeReminders() {
                 }
             }
             
-            const message = `⏰ <b>REMINDER</b> 
-
-${processedMessage}${additionalMentions}
-
-Set By: ${usernameText}
-
-<i>Set on: ${reminder.createdAt.toDate().toLocaleDateString()}</i>`;
+            const tr = await getChatTranslator(reminder.chatId);
+            const message = tr.t('remind.triggered', {
+                message: `${processedMessage}${additionalMentions}`,
+                username: usernameText,
+                date: tr.date(reminder.createdAt)
+            });
 
             try {
                 // FIXED: Use HTML instead of Markdown to avoid entity parsing errors
-                await axios.post(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`, {
-                    chat_id: parseInt(reminder.chatId),
-                    text: message,
-                    parse_mode: 'HTML'
-                });
+                await getTelegramClient().sendMessage(reminder.chatId, message, { parse_mode: 'HTML' });
                 
                 // Deactivate reminder
-                await doc.ref.update({ isActive: false });
+                await storage.timeReminders.deactivate(reminder.id);
                 triggeredCount++;
                 
             } catch (sendError) {
-                console.error('Failed to send reminder:', sendError.message);
+                logTelegramError('Failed to send reminder', sendError);
             }
         }
         
-        return { checked: remindersSnapshot.size, triggered: triggeredCount };
+        return { checked: reminders.length, triggered: triggeredCount };
         
     } catch (error) {
         console.error('Error checking time reminders:', error.message);
@@ -1,5 +1,8 @@
 /**
  * Rate limiting utility for handling API requests with retry logic
+ *
+ * Each upstream host gets its own token bucket and circuit breaker, so a slow
+ * or throttled API never holds up requests to a different one.
  */
 
 import axios from 'axios';
@@ -10,181 +13,266 @@ import axios from 'axios';
  */
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
+// Burst size and sustained rate per host (free-tier limits with some headroom)
+const HOST_LIMITS = {
+    'api.coingecko.com': { capacity: 5, refillPerSecond: 0.5 },   // ~30 calls/min on the public API
+    'api.coincap.io': { capacity: 5, refillPerSecond: 2 },
+    'api.binance.com': { capacity: 10, refillPerSecond: 10 },
+    'api.dexscreener.com': { capacity: 10, refillPerSecond: 5 },  // 300 calls/min
+    'api.etherscan.io': { capacity: 5, refillPerSecond: 4 }       // 5 calls/s without a paid key
+};
+const DEFAULT_HOST_LIMIT = { capacity: 5, refillPerSecond: 1 };
+
+// Circuit breaker: stop calling a host after too many 429s, then probe before reopening
+const RATE_LIMIT_THRESHOLD = 5; // Max 5 rate limits in 10 minutes
+const RATE_LIMIT_WINDOW = 10 * 60 * 1000; // 10 minutes
+const OPEN_DURATION = 60 * 1000; // How long a tripped breaker refuses requests before a probe
+const PROBE_WAIT = 5 * 1000; // Suggested wait while a probe request is in flight
+
 /**
- * Global request queue to prevent concurrent requests
+ * Token bucket for one host
  */
-class RequestQueue {
-    constructor() {
-        this.queue = [];
-        this.processing = false;
-        this.lastRequestTime = 0;
-        this.minRequestInterval = 1200; // Minimum 1.2s between requests (increased for better rate limiting)
-        this.activeRequests = new Map(); // Track active requests to prevent duplicates
+class TokenBucket {
+    constructor({ capacity, refillPerSecond }) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.updatedAt = Date.now();
+        this.blockedUntil = 0; // Set from Retry-After so every caller backs off together
     }
 
-    async addRequest(requestFn, requestKey = null) {
-        return new Promise((resolve, reject) => {
-            // Create a unique key for this request if not provided
-            const key = requestKey || `req_${Date.now()}_${Math.random()}`;
-            
-            // Check if this request is already active
-            if (this.activeRequests.has(key)) {
-                console.log(`🔄 Request already active, waiting for existing request: ${key}`);
-                // Wait for the existing request to complete
-                const existingPromise = this.activeRequests.get(key);
-                existingPromise.then(resolve).catch(reject);
-                return;
-            }
-            
-            // Mark this request as active
-            const requestPromise = new Promise((innerResolve, innerReject) => {
-                this.queue.push({ 
-                    requestFn, 
-                    resolve: (result) => {
-                        this.activeRequests.delete(key);
-                        innerResolve(result);
-                        resolve(result);
-                    }, 
-                    reject: (error) => {
-                        this.activeRequests.delete(key);
-                        innerReject(error);
-                        reject(error);
-                    },
-                    key
-                });
-            });
-            
-            this.activeRequests.set(key, requestPromise);
-            this.processQueue();
-        });
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) / 1000 * this.refillPerSecond);
+        this.updatedAt = now;
     }
 
-    async processQueue() {
-        if (this.processing || this.queue.length === 0) {
-            return;
+    /**
+     * Takes a token, waiting until one is available
+     * @param {string} host - Host name for logging
+     */
+    async take(host) {
+        this.refill();
+        // Reserve synchronously so concurrent callers queue up behind each other
+        this.tokens -= 1;
+        const waitForToken = this.tokens >= 0 ? 0 : (-this.tokens / this.refillPerSecond) * 1000;
+        const waitTime = Math.ceil(Math.max(waitForToken, this.blockedUntil - Date.now()));
+
+        if (waitTime > 0) {
+            console.log(`⏳ Waiting ${waitTime}ms before next ${host} request to respect rate limits`);
+            await sleep(waitTime);
         }
+    }
 
-        this.processing = true;
-
-        while (this.queue.length > 0) {
-            const { requestFn, resolve, reject, key } = this.queue.shift();
-            
-            try {
-                // Ensure minimum interval between requests
-                const timeSinceLastRequest = Date.now() - this.lastRequestTime;
-                if (timeSinceLastRequest < this.minRequestInterval) {
-                    const waitTime = this.minRequestInterval - timeSinceLastRequest;
-                    console.log(`⏳ Waiting ${waitTime}ms before next request to respect rate limits`);
-                    await sleep(waitTime);
-                }
+    /**
+     * Holds back every request to this host for a while
+     * @param {number} ms - Milliseconds to wait
+     */
+    block(ms) {
+        this.blockedUntil = Math.max(this.blockedUntil, Date.now() + ms);
+    }
+}
 
-                this.lastRequestTime = Date.now();
-                console.log(`🚀 Processing request: ${key}`);
-                const result = await requestFn();
-                resolve(result);
-            } catch (error) {
-                reject(error);
-            }
+/**
+ * Circuit breaker for one host
+ *   closed    - requests flow; 429s are counted
+ *   open      - requests are refused until OPEN_DURATION has passed
+ *   half-open - one probe request is let through; success closes, a 429 reopens
+ */
+class CircuitBreaker {
+    constructor() {
+        this.state = 'closed';
+        this.rateLimitCount = 0;
+        this.lastRateLimitTime = 0;
+        this.openedAt = 0;
+        this.probeInFlight = false;
+    }
+
+    /**
+     * Whether a request may go out now (claims the probe slot when half-open)
+     * @returns {boolean}
+     */
+    tryAcquire() {
+        if (this.state === 'open' && Date.now() - this.openedAt >= OPEN_DURATION) {
+            this.state = 'half-open';
+            this.probeInFlight = false;
         }
 
-        this.processing = false;
-        
-        // Check if more requests were added while processing
-        if (this.queue.length > 0) {
-            setImmediate(() => this.processQueue());
+        if (this.state === 'closed') return true;
+        if (this.state === 'half-open' && !this.probeInFlight) {
+            this.probeInFlight = true;
+            return true;
         }
+        return false;
+    }
+
+    // Milliseconds until a request is worth trying again
+    retryInMs() {
+        if (this.state === 'open') return Math.max(0, this.openedAt + OPEN_DURATION - Date.now());
+        if (this.state === 'half-open') return PROBE_WAIT;
+        return 0;
+    }
+
+    recordSuccess() {
+        if (this.state !== 'half-open') return;
+        console.log('✅ Circuit breaker probe succeeded, closing');
+        this.state = 'closed';
+        this.rateLimitCount = 0;
+        this.probeInFlight = false;
+    }
+
+    // Errors other than 429 say nothing about rate limits; just free the probe slot
+    recordFailure() {
+        this.probeInFlight = false;
+    }
+
+    recordRateLimit() {
+        const now = Date.now();
+        if (now - this.lastRateLimitTime > RATE_LIMIT_WINDOW) {
+            this.rateLimitCount = 0; // Reset counter
+        }
+        this.rateLimitCount++;
+        this.lastRateLimitTime = now;
+
+        if (this.state === 'half-open' || this.rateLimitCount >= RATE_LIMIT_THRESHOLD) {
+            this.state = 'open';
+            this.openedAt = now;
+            this.probeInFlight = false;
+        }
+    }
+
+    status() {
+        // Report an expired open breaker as half-open without claiming the probe
+        const state = this.state === 'open' && this.retryInMs() === 0 ? 'half-open' : this.state;
+        return { state, rateLimitCount: this.rateLimitCount, retryInMs: this.retryInMs() };
     }
 }
 
-// Global request queue instance
-const requestQueue = new RequestQueue();
+const hostLimiters = new Map(); // host -> { bucket, breaker }
 
-// Global circuit breaker to prevent infinite retries
-let globalRateLimitCount = 0;
-let lastGlobalRateLimitTime = 0;
-const GLOBAL_RATE_LIMIT_THRESHOLD = 5; // Max 5 rate limits in 10 minutes
-const GLOBAL_RATE_LIMIT_WINDOW = 10 * 60 * 1000; // 10 minutes
+/**
+ * Bucket and breaker for a host, created on first use
+ * @param {string} host - Host name (e.g. api.coingecko.com)
+ * @returns {Object} - { bucket, breaker }
+ */
+function getHostLimiter(host) {
+    if (!hostLimiters.has(host)) {
+        hostLimiters.set(host, {
+            bucket: new TokenBucket(HOST_LIMITS[host] || DEFAULT_HOST_LIMIT),
+            breaker: new CircuitBreaker()
+        });
+    }
+    return hostLimiters.get(host);
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch (error) {
+        return 'default';
+    }
+}
+
+/**
+ * Delay requested by a Retry-After header (seconds or an HTTP date)
+ * @param {Object} error - Axios error
+ * @returns {number|null} - Milliseconds to wait, or null when the header is missing
+ */
+function getRetryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (header == null || header === '') return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
 /**
  * Makes an API request with retry logic for rate limiting (429 errors)
  * @param {Function} requestFn - Function that makes the API request
  * @param {Object} options - Configuration options
+ * @param {string} options.host - Host whose bucket and breaker are used (default: 'default')
  * @param {number} options.maxRetries - Maximum number of retries (default: 5)
- * @param {number} options.baseDelay - Base delay in milliseconds (default: 5000)
- * @param {number} options.maxDelay - Maximum delay in milliseconds (default: 60000)
+ * @param {number} options.baseDelay - Base delay in milliseconds (default: 2000)
+ * @param {number} options.maxDelay - Maximum delay in milliseconds (default: 30000)
  * @param {number} options.backoffMultiplier - Backoff multiplier (default: 2)
- * @param {boolean} options.useQueue - Whether to use the request queue (default: true)
+ * @param {boolean} options.useQueue - Whether to wait for a token from the host bucket (default: true)
  * @returns {Promise} - Promise that resolves with the response or rejects with error
  */
 async function makeRateLimitedRequest(requestFn, options = {}) {
     const {
+        host = 'default',
         maxRetries = 5,
-        baseDelay = 2000, // Reduced from 5000ms to 2000ms
-        maxDelay = 30000, // Reduced from 60000ms to 30000ms
+        baseDelay = 2000,
+        maxDelay = 30000,
         backoffMultiplier = 2,
         useQueue = true
     } = options;
 
-    // Check global circuit breaker
-    const now = Date.now();
-    if (now - lastGlobalRateLimitTime > GLOBAL_RATE_LIMIT_WINDOW) {
-        globalRateLimitCount = 0; // Reset counter
-    }
-    
-    if (globalRateLimitCount >= GLOBAL_RATE_LIMIT_THRESHOLD) {
-        console.error(`🚫 Global circuit breaker activated - too many rate limits (${globalRateLimitCount} in 10 minutes)`);
-        throw new Error('Rate limit circuit breaker activated - too many failures');
-    }
+    const { bucket, breaker } = getHostLimiter(host);
 
     let lastError;
-    
-    // Create a unique key for this request to prevent duplicates
-    const requestKey = `rate_limit_${Date.now()}_${Math.random()}`;
-    
+
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        if (!breaker.tryAcquire()) {
+            const retryInMs = breaker.retryInMs();
+            console.error(`🚫 Circuit breaker ${breaker.state} for ${host} - retry in ${Math.ceil(retryInMs / 1000)}s`);
+            throw Object.assign(new Error(`Rate limit circuit breaker open for ${host}`), {
+                code: 'CIRCUIT_OPEN',
+                host,
+                retryInMs
+            });
+        }
+
         try {
-            // Always use queue to prevent duplicate processing
-            const response = useQueue
-                ? await requestQueue.addRequest(requestFn, `${requestKey}_${attempt}`)
-                : await requestFn();
+            if (useQueue) await bucket.take(host);
+            const response = await requestFn();
+            breaker.recordSuccess();
             return response;
         } catch (error) {
             lastError = error;
-            
+
             // Check if it's a rate limit error (429)
             if (error.response && error.response.status === 429) {
-                // Increment global rate limit counter
-                globalRateLimitCount++;
-                lastGlobalRateLimitTime = now;
-                
-                if (attempt === maxRetries) {
-                    console.error(`❌ Rate limit exceeded after ${maxRetries + 1} attempts - STOPPING RETRIES`);
+                breaker.recordRateLimit();
+
+                // Other requests to the same host honour Retry-After even when this one gives up
+                const retryAfter = getRetryAfterMs(error);
+                if (retryAfter != null) bucket.block(retryAfter);
+
+                if (attempt === maxRetries || breaker.state === 'open') {
+                    console.error(`❌ Rate limit exceeded after ${attempt + 1} attempts on ${host} (breaker ${breaker.state}) - STOPPING RETRIES`);
                     throw error;
                 }
-                
-                // Calculate delay with exponential backoff
-                const delay = Math.min(
+
+                // The server's Retry-After wins over our own backoff
+                const delay = retryAfter ?? Math.min(
                     baseDelay * Math.pow(backoffMultiplier, attempt),
                     maxDelay
                 );
-                
-                console.warn(`⚠️ Rate limit hit (429), retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1}) - Global count: ${globalRateLimitCount}`);
-                
+
                 // Add a maximum retry time limit to prevent infinite retries
-                if (delay > 30000) { // If delay is more than 30 seconds, give up
+                if (delay > maxDelay) {
                     console.error(`❌ Delay too long (${delay}ms), giving up to prevent infinite retries`);
                     throw error;
                 }
-                
-                await sleep(delay);
+
+                console.warn(`⚠️ Rate limit hit (429) on ${host}, retrying in ${delay}ms (attempt ${attempt + 1}/${maxRetries + 1}) - Host count: ${breaker.rateLimitCount}`);
+
+                // Other requests to the same host wait too; the retry itself sleeps through the block in take()
+                bucket.block(delay);
+                if (!useQueue) await sleep(delay);
                 continue;
             }
-            
+
             // For non-rate-limit errors, throw immediately
+            breaker.recordFailure();
             throw error;
         }
     }
-    
+
     throw lastError;
 }
 
@@ -195,25 +283,41 @@ async function makeRateLimitedRequest(requestFn, options = {}) {
  * @returns {Promise} - Promise that resolves with the response
  */
 async function makeRateLimitedAxiosRequest(axiosConfig, retryOptions = {}) {
-    // Use optimized rate limiting by default
-    const defaultOptions = {
-        maxRetries: 5,
-        baseDelay: 2000, // Reduced from 5000ms to 2000ms
-        maxDelay: 30000, // Reduced from 60000ms to 30000ms
-        backoffMultiplier: 2,
-        useQueue: true,
-        ...retryOptions
-    };
-
     return makeRateLimitedRequest(
         () => axios(axiosConfig),
-        defaultOptions
+        { host: hostOf(axiosConfig.url), ...retryOptions }
     );
 }
 
+/**
+ * Breaker state of every host used so far
+ * @returns {Object[]} - [{ host, state, rateLimitCount, retryInMs }]
+ */
+function getBreakerStatus() {
+    return Array.from(hostLimiters.entries()).map(([host, { breaker }]) => ({ host, ...breaker.status() }));
+}
+
+/**
+ * The open breaker with the longest wait, if any
+ * @returns {Object|null} - { host, retryInMs } or null when every breaker is closed
+ */
+function getCooldown() {
+    const open = getBreakerStatus()
+        .filter(status => status.state === 'open')
+        .sort((a, b) => b.retryInMs - a.retryInMs);
+    return open.length > 0 ? { host: open[0].host, retryInMs: open[0].retryInMs } : null;
+}
+
+const isCircuitOpenError = (error) => error?.code === 'CIRCUIT_OPEN';
+
 export {
     makeRateLimitedRequest,
     makeRateLimitedAxiosRequest,
+    getHostLimiter,
+    getRetryAfterMs,
+    getBreakerStatus,
+    getCooldown,
+    isCircuitOpenError,
     sleep,
-    requestQueue
-};
\ No newline at end of file
+    HOST_LIMITS
+};
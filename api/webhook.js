@@ -1,64 +1,28 @@
 import axios from 'axios';
-import admin from 'firebase-admin';
+import crypto from 'crypto';
 import { GoogleGenerativeAI } from "@google/generative-ai";
-import FormData from 'form-data';
-import { makeRateLimitedAxiosRequest } from './rate-limiter.js';
-
-// --- Firebase Initialization ---
-if (!admin.apps.length) {
-    try {
-        const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-        });
-    } catch (error) {
-        console.error("Firebase admin initialization failed:", error);
-    }
-}
-
-const db = admin.firestore();
-
-// --- FIXED: Comprehensive Markdown V1 escaping for safe Telegram sending ---
-function escapeMarkdown(text) {
-    if (!text) return '';
-    // Escape ALL Markdown V1 special characters for Telegram
-    return text
-        .replace(/\\/g, '\\\\')  // Backslash must be first
-        .replace(/\*/g, '\\*')   // Bold
-        .replace(/_/g, '\\_')    // Italic
-        .replace(/\[/g, '\\[')   // Link start
-        .replace(/\]/g, '\\]')   // Link end
-        .replace(/\(/g, '\\(')   // Link URL start
-        .replace(/\)/g, '\\)')   // Link URL end
-        .replace(/~/g, '\\~')    // Strikethrough
-        .replace(/`/g, '\\`')    // Code
-        .replace(/>/g, '\\>')    // Quote
-        .replace(/#/g, '\\#')    // Header
-        .replace(/\+/g, '\\+')   // Plus
-        .replace(/-/g, '\\-')    // Minus
-        .replace(/=/g, '\\=')    // Equal
-        .replace(/\|/g, '\\|')   // Pipe
-        .replace(/\{/g, '\\{')   // Curly brace
-        .replace(/\}/g, '\\}')   // Curly brace
-        .replace(/\./g, '\\.')   // Dot
-        .replace(/!/g, '\\!');   // Exclamation
-}
-
-// --- FIXED: Safe username escaping for mentions ---
-function escapeUsername(text) {
-    if (!text) return '';
-    // For usernames in mentions, we need to be very careful
-    // Only escape characters that would break Markdown parsing
-    return text
-        .replace(/\\/g, '\\\\')  // Backslash must be first
-        .replace(/\*/g, '\\*')   // Bold
-        .replace(/\[/g, '\\[')   // Link start  
-        .replace(/\]/g, '\\]')   // Link end
-        .replace(/\(/g, '\\(')   // Link URL start
-        .replace(/\)/g, '\\)')   // Link URL end
-        .replace(/`/g, '\\`')    // Code
-        .replace(/~/g, '\\~');   // Strikethrough
-}
+import { CommandRegistry } from '../lib/command-registry.js';
+import { getProviderNames } from '../lib/market-data.js';
+import { getPriceService } from '../lib/prices.js';
+import { makeRateLimitedAxiosRequest, getBreakerStatus, getCooldown } from './rate-limiter.js';
+import { getStorage } from '../lib/storage/index.js';
+import { getTelegramClient, logTelegramError } from '../lib/telegram.js';
+import { getChatSettings, DEFAULT_SETTINGS, TOGGLES, COIN_LIMIT_MIN, COIN_LIMIT_MAX } from '../lib/chat-settings.js';
+import { createMentionText, isValidMentionContext } from '../lib/mentions.js';
+import { createCommandThrottle, getCommandLimits, DEFAULT_COMMAND_LIMITS, LIMIT_MAX } from '../lib/command-throttle.js';
+import { createPermissions } from '../lib/permissions.js';
+import { escapeMarkdown, escapeUsername, escapeHtml, fmtBig, fmtPrice, fmtChange, formatTimeDuration } from '../lib/format.js';
+import { getTranslator, resolveLocale, SUPPORTED_LOCALES } from '../lib/i18n.js';
+import { FIAT_CURRENCIES, isFiat, fiatSymbol } from '../lib/fiat.js';
+import { parseExpression, evaluateExpression } from '../lib/expression.js';
+import { lookupCoinGecko, lookupContractCoinGecko } from '../lib/coin-resolver.js';
+
+const storage = getStorage();
+
+// --- External API endpoints (overridable so the replay harness can use local stubs) ---
+const DEXSCREENER_API_BASE = process.env.DEXSCREENER_API_BASE || 'https://api.dexscreener.com';
+const ETHERSCAN_API_BASE = process.env.ETHERSCAN_API_BASE || 'https://api.etherscan.io';
+const GEMINI_REQUEST_OPTIONS = process.env.GEMINI_API_BASE ? { baseUrl: process.env.GEMINI_API_BASE } : undefined;
 
 // --- Simple Social Media Link Detection with Single Best Alternative ---
 function getSingleBestAlternative(text) {
@@ -210,48 +174,6 @@ function splitMessage(text, maxLength = 600) {
     return parts;
 }
 
-// --- Helpers ---
-function fmtBig(n) {
-    if (n == null) return "N/A";
-    if (n >= 1e12) return (n / 1e12).toFixed(2) + "T";
-    if (n >= 1e9) return (n / 1e9).toFixed(2) + "B";
-    if (n >= 1e6) return (n / 1e6).toFixed(2) + "M";
-    if (n >= 1e3) return (n / 1e3).toFixed(2) + "K";
-    return n.toLocaleString();
-}
-
-function fmtPrice(n) {
-    if (n == null) return "$0";
-    return "$" + n.toLocaleString(undefined, {
-        maximumFractionDigits: 8
-    });
-}
-
-function fmtChange(n) {
-    if (n == null) return "N/A";
-    const sign = n >= 0 ? '🟢' : '🔴';
-    return `${sign} ${n.toFixed(2)}%`;
-}
-
-// --- Format time duration with better display ---
-function formatTimeDuration(seconds) {
-    if (seconds < 60) {
-        return `${seconds}s`;
-    } else if (seconds < 3600) {
-        const minutes = Math.floor(seconds / 60);
-        const remainingSeconds = seconds % 60;
-        return remainingSeconds > 0 ? `${minutes}m ${remainingSeconds}s` : `${minutes}m`;
-    } else if (seconds < 86400) {
-        const hours = Math.floor(seconds / 3600);
-        const remainingMinutes = Math.floor((seconds % 3600) / 60);
-        return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
-    } else {
-        const days = Math.floor(seconds / 86400);
-        const remainingHours = Math.floor((seconds % 86400) / 3600);
-        return remainingHours > 0 ? `${days}d ${remainingHours}h` : `${days}d`;
-    }
-}
-
 // --- Profile Photo Cache ---
 const profilePhotoCache = new Map();
 const CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
@@ -271,44 +193,39 @@ async function getUserProfilePhotoUrl(botToken, userId) {
     try {
         // Get user profile photos
         console.log(`🔍 Requesting profile photos from Telegram API for user ${userId}...`);
-        const response = await axios.get(`https://api.telegram.org/bot${botToken}/getUserProfilePhotos`, {
-            params: {
-                user_id: userId,
-                limit: 1 // Get only the most recent profile photo
-            },
-            timeout: 10000
+        const telegram = getTelegramClient(botToken);
+        const photosResponse = await telegram.call('getUserProfilePhotos', {
+            user_id: userId,
+            limit: 1 // Get only the most recent profile photo
         });
         
         console.log(`📊 Telegram API response for user ${userId}:`, {
-            ok: response.data.ok,
-            total_count: response.data.result?.total_count,
-            photos_available: response.data.result?.photos?.length
+            ok: photosResponse.ok,
+            total_count: photosResponse.result?.total_count,
+            photos_available: photosResponse.result?.photos?.length
         });
 
-        if (response.data.ok && response.data.result.total_count > 0) {
-            console.log(`✅ Found ${response.data.result.total_count} profile photo(s) for user ${userId}`);
+        if (photosResponse.ok && photosResponse.result.total_count > 0) {
+            console.log(`✅ Found ${photosResponse.result.total_count} profile photo(s) for user ${userId}`);
             
             // Get the largest available size for better quality (last element in the array)
-            const photoSizes = response.data.result.photos[0];
+            const photoSizes = photosResponse.result.photos[0];
             const photo = photoSizes[photoSizes.length - 1]; // Get the largest size
             const fileId = photo.file_id;
             
             console.log(`🔍 Getting file path for photo with file_id: ${fileId}`);
 
             // Get file path
-            const fileResponse = await axios.get(`https://api.telegram.org/bot${botToken}/getFile`, {
-                params: { file_id: fileId },
-                timeout: 10000
-            });
+            const fileResponse = await telegram.call('getFile', { file_id: fileId });
             
             console.log(`📊 File API response:`, {
-                ok: fileResponse.data.ok,
-                file_path: fileResponse.data.result?.file_path
+                ok: fileResponse.ok,
+                file_path: fileResponse.result?.file_path
             });
 
-            if (fileResponse.data.ok) {
-                const filePath = fileResponse.data.result.file_path;
-                const photoUrl = `https://api.telegram.org/file/bot${botToken}/${filePath}`;
+            if (fileResponse.ok) {
+                const filePath = fileResponse.result.file_path;
+                const photoUrl = telegram.fileUrl(filePath);
                 
                 // Cache the result
                 profilePhotoCache.set(cacheKey, {
@@ -329,12 +246,12 @@ async function getUserProfilePhotoUrl(botToken, userId) {
                     return photoUrl;
                 }
             } else {
-                console.warn(`⚠️ Failed to get file path for user ${userId}:`, fileResponse.data);
+                console.warn(`⚠️ Failed to get file path for user ${userId}:`, fileResponse);
             }
-        } else if (response.data.ok && response.data.result.total_count === 0) {
+        } else if (photosResponse.ok && photosResponse.result.total_count === 0) {
             console.log(`📸 User ${userId} has no profile photos`);
         } else {
-            console.warn(`⚠️ Unexpected API response for user ${userId}:`, response.data);
+            console.warn(`⚠️ Unexpected API response for user ${userId}:`, photosResponse);
         }
         
         // Cache null result to avoid repeated failed requests
@@ -729,279 +646,45 @@ async function getQuoteImageUrl(message, repliedToMessage, botToken) {
     }
 }
 
-// --- CUSTOM @ALL MENTION CONFIGURATION ---
-const MENTION_CONFIG = {
-    // Replace this with your specific group chat ID (including the minus sign)
-    TARGET_GROUP_ID: -1002115391578, // TODO: Replace with your actual group ID
-    
-    // Replace these with the 9 specific usernames (without @)
-    CHOSEN_MEMBERS: [
-        'KiNGViNU7',
-        'Xeron888',
-        'RemindMeOfThis',
-        'austrianbae250',
-        'ferno_x',
-        'Ananthu_VB',
-        'Oxshahid13',
-        'unknownking7',
-        'BeastIncarnate7',
-        'waazze'
-    ]
-};
-
-// FIXED: Function to create mention text with better validation and escaping for different parse modes
-function createMentionText(parseMode = 'markdown') {
-    const validUsernames = MENTION_CONFIG.CHOSEN_MEMBERS
-        .filter(username => {
-            // More robust validation
-            return username && 
-                   typeof username === 'string' && 
-                   username.trim() !== '' &&
-                   !username.startsWith('username') && // Filter out placeholder usernames
-                   username.length <= 32 && // Telegram username max length
-                   /^[a-zA-Z0-9_]+$/.test(username); // Valid username characters only
-        });
-    
-    if (validUsernames.length === 0) {
-        console.warn('⚠️ No valid usernames found in MENTION_CONFIG.CHOSEN_MEMBERS');
-        return '';
-    }
-    
-    console.log(`📝 Creating mention text for ${validUsernames.length} valid usernames (${parseMode} mode):`, validUsernames);
-    
-    const mentionArray = validUsernames.map(username => {
-        let processedUsername;
-        switch(parseMode.toLowerCase()) {
-            case 'markdown':
-                processedUsername = escapeUsername(username);
-                console.log(`🔍 DEBUG - Original: "${username}" -> Escaped: "${processedUsername}"`);
-                return `@${processedUsername}`;
-            case 'html':
-            case 'plain':
-            default:
-                // For HTML and plain text modes, don't escape usernames - preserve underscores
-                console.log(`🔍 DEBUG - Original: "${username}" -> No escaping: "${username}"`);
-                return `@${username}`;
-        }
-    });
-    
-    const finalMentionText = mentionArray.join(' ');
-    console.log(`🔍 DEBUG - Final mention text: "${finalMentionText}"`);
-    
-    return finalMentionText;
-}
-
-// Function to check if @all command should work in this chat
-function isValidMentionContext(chatId) {
-    return parseInt(chatId) === MENTION_CONFIG.TARGET_GROUP_ID;
-}
-
-// Strong guarantees for common tickers
-const priority = {
-    btc: "bitcoin",
-    eth: "ethereum",
-    usdt: "tether",
-    usdc: "usd-coin",
-    bnb: "binancecoin",
-    xrp: "ripple",
-    sol: "solana",
-    ton: "the-open-network",
-    ada: "cardano",
-    doge: "dogecoin",
-    trx: "tron",
-    avax: "avalanche-2",
-    shib: "shiba-inu",
-    wbtc: "wrapped-bitcoin",
-    link: "chainlink",
-    dot: "polkadot",
-    bch: "bitcoin-cash",
-    near: "near",
-    dai: "dai",
-    ltc: "litecoin",
-    uni: "uniswap",
-    matic: "matic-network",
-    etc: "ethereum-classic",
-    atom: "cosmos",
-    hbar: "hedera-hashgraph",
-    xlm: "stellar",
-    cro: "crypto-com-chain",
-    fil: "filecoin",
-    vet: "vechain",
-};
-
-// --- Get all coin data in a single API call ---
-export async function getCoinDataWithChanges(symbol) {
-    // Add input validation and type conversion
-    if (!symbol) {
-        console.error('❌ Symbol is required for getCoinDataWithChanges');
-        return null;
-    }
-
-    // Ensure symbol is a string
-    const s = String(symbol).toLowerCase().trim();
-    if (!s) {
-        console.error('❌ Empty symbol after conversion:', symbol);
-        return null;
-    }
-
-    let coinId = priority[s];
-    try {
-        if (!coinId) {
-            const searchResponse = await makeRateLimitedAxiosRequest({
-                method: 'get',
-                url: "https://api.coingecko.com/api/v3/search",
-                params: {
-                    query: s
-                },
-                timeout: 15000,
-            });
-            const bestMatch = searchResponse.data.coins.find(c => c.symbol.toLowerCase() === s);
-            if (bestMatch) {
-                coinId = bestMatch.id;
-            }
-        }
-
-        if (!coinId) {
-            console.warn(`⚠️ Could not find a matching ID for symbol: ${s}`);
-            return null;
-        }
-
-        const response = await makeRateLimitedAxiosRequest({
-            method: 'get',
-            url: "https://api.coingecko.com/api/v3/coins/markets",
-            params: {
-                vs_currency: "usd",
-                ids: coinId,
-                price_change_percentage: "1h,24h,7d,30d",
-                sparkline: "true"
-            },
-            timeout: 15000,
-        });
-        if (response.data.length > 0) {
-            return response.data[0];
-        }
+// --- Shared services: per-chat settings and price lookups (also used by check-alerts) ---
+const chatSettings = getChatSettings();
+const prices = getPriceService();
+const { getChatProvider, getChatFiat, getOHLCData, getHistoricalData } = prices;
 
-        return null;
-    } catch (e) {
-        console.error(`❌ getCoinDataWithChanges failed for ${s}:`, e.message);
-        return null;
-    }
-}
+export const getCoinDataWithChanges = prices.getCoinDataWithChanges;
+export const getBatchCoinData = prices.getBatchCoinData;
 
-// --- ENHANCED: Get OHLC historical data for candlestick charts ---
-async function getOHLCData(coinId, days) {
-    try {
-        const response = await makeRateLimitedAxiosRequest({
-            method: 'get',
-            url: `https://api.coingecko.com/api/v3/coins/${coinId}/ohlc`,
-            params: {
-                vs_currency: "usd",
-                days: days,
-            },
-            timeout: 15000,
-        });
-        return response.data;
-    } catch (e) {
-        console.error("❌ getOHLCData failed:", e.message);
-        return null;
-    }
-}
+// Batch quotes carry the ticker they were asked for as query; for an alias it differs from the coin's symbol
+const findQuote = (coins, symbol) => coins.find(coin => (coin.query || coin.symbol).toLowerCase() === symbol.toLowerCase());
 
-// --- Get historical data for chart (fallback for line charts) ---
-async function getHistoricalData(coinId) {
-    try {
-        const response = await makeRateLimitedAxiosRequest({
-            method: 'get',
-            url: `https://api.coingecko.com/api/v3/coins/${coinId}/market_chart`,
-            params: {
-                vs_currency: "usd",
-                days: 30,
-            },
-            timeout: 15000,
-        });
-        return response.data.prices;
-    } catch (e) {
-        console.error("❌ getHistoricalData failed:", e.message);
-        return null;
-    }
+// --- Provider cooldown notice (shown instead of silence while a circuit breaker is open) ---
+function buildCooldownReply() {
+    const cooldown = getCooldown();
+    if (!cooldown) return null;
+    return `\`⏳ Data provider cooling down, retry in ${Math.max(1, Math.ceil(cooldown.retryInMs / 1000))}s\``;
 }
 
-// --- Batch coin data function for multiple coins ---
-export async function getBatchCoinData(symbols) {
-    if (!symbols || symbols.length === 0) return [];
-    
-    const s = symbols.map(symbol => String(symbol).toLowerCase().trim()).filter(s => s);
-    if (s.length === 0) return [];
-    
-    try {
-        // First, get coin IDs for all symbols
-        const coinIds = [];
-        const unknownSymbols = [];
-        
-        for (const symbol of s) {
-            let coinId = priority[symbol];
-            if (!coinId) {
-                unknownSymbols.push(symbol);
-            } else {
-                coinIds.push(coinId);
-            }
-        }
-        
-        // Search for unknown symbols
-        if (unknownSymbols.length > 0) {
-            const searchPromises = unknownSymbols.map(symbol => 
-                makeRateLimitedAxiosRequest({
-                    method: 'get',
-                    url: "https://api.coingecko.com/api/v3/search",
-                    params: { query: symbol },
-                    timeout: 15000,
-                }).catch(() => null) // Don't fail the whole batch if one search fails
-            );
-            
-            const searchResults = await Promise.all(searchPromises);
-            searchResults.forEach((result, index) => {
-                if (result && result.data && result.data.coins) {
-                    const bestMatch = result.data.coins.find(c => c.symbol.toLowerCase() === unknownSymbols[index]);
-                    if (bestMatch) {
-                        coinIds.push(bestMatch.id);
-                    }
-                }
-            });
-        }
-        
-        if (coinIds.length === 0) return [];
-        
-        // Get market data for all coins in one request
-        const response = await makeRateLimitedAxiosRequest({
-            method: 'get',
-            url: "https://api.coingecko.com/api/v3/coins/markets",
-            params: {
-                vs_currency: "usd",
-                ids: coinIds.join(','),
-                price_change_percentage: "1h,24h,7d,30d",
-                sparkline: "true"
-            },
-            timeout: 15000,
-        });
-        
-        return response.data || [];
-    } catch (e) {
-        console.error(`❌ getBatchCoinData failed for ${s.join(',')}:`, e.message);
-        return [];
-    }
+// Sends the cooldown notice when it applies; returns whether it was sent
+async function replyIfCoolingDown(botToken, chatId, messageThreadId, options = {}) {
+    const cooldownReply = buildCooldownReply();
+    if (!cooldownReply) return false;
+    await sendMessageToTopic(botToken, chatId, messageThreadId, cooldownReply, '', options);
+    return true;
 }
 
 // --- Get Ethereum Gas Price ---
 async function getEthGasPrice() {
     try {
-        const response = await axios.get("https://api.etherscan.io/api", {
+        const response = await makeRateLimitedAxiosRequest({
+            method: 'get',
+            url: `${ETHERSCAN_API_BASE}/api`,
             params: {
                 module: "gastracker",
                 action: "gasoracle",
                 apikey: process.env.ETHERSCAN_API_KEY,
             },
             timeout: 15000,
-        });
+        }, { maxRetries: 1 });
         if (response.data.status === "1") {
             const result = response.data.result;
             return {
@@ -1022,7 +705,11 @@ async function getEthGasPrice() {
 // --- Get coin data from DexScreener (address lookup) ---
 async function getCoinFromDexScreener(address) {
     try {
-        const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${address}`);
+        const response = await makeRateLimitedAxiosRequest({
+            method: 'get',
+            url: `${DEXSCREENER_API_BASE}/latest/dex/tokens/${address}`,
+            timeout: 15000
+        }, { maxRetries: 1 });
         if (response.data && response.data.pairs && response.data.pairs.length > 0) {
             return response.data.pairs[0];
         }
@@ -1037,7 +724,11 @@ async function getCoinFromDexScreener(address) {
 // --- Get live price from DexScreener for a specific token (for leaderboard) ---
 async function getLivePriceFromDexScreener(address) {
     try {
-        const response = await axios.get(`https://api.dexscreener.com/latest/dex/tokens/${address}`);
+        const response = await makeRateLimitedAxiosRequest({
+            method: 'get',
+            url: `${DEXSCREENER_API_BASE}/latest/dex/tokens/${address}`,
+            timeout: 15000
+        }, { maxRetries: 1 });
         if (response.data && response.data.pairs && response.data.pairs.length > 0) {
             return parseFloat(response.data.pairs[0].priceUsd);
         }
@@ -1049,28 +740,59 @@ async function getLivePriceFromDexScreener(address) {
     }
 }
 
-// --- Evaluate a mathematical expression safely ---
-function evaluateExpression(expression) {
-    try {
-        const sanitizedExpression = expression.replace(/[^0-9+\-*/(). ]/g, ' ');
-        if (!sanitizedExpression || /^[+\-*/.]/.test(sanitizedExpression) || /[+\-*/.]$/.test(sanitizedExpression)) {
-            return null;
+// --- Calculator ---
+
+/**
+ * Evaluates a parsed calculator expression, pricing coin operands live and
+ * remembering the result as the user's next "ans"
+ * @param {string} text - Expression as typed
+ * @param {Object} expression - Result of parseExpression
+ * @param {Object} options - { chatId, userId, tr }
+ * @returns {Promise<string|null>} - Reply, or null to stay silent (a coin nobody can price)
+ */
+async function runCalculation(text, expression, { chatId, userId, tr }) {
+    const { ast, symbols, usesAns } = expression;
+
+    const prices = {};
+    let fiat = null;
+    if (symbols.length > 0) {
+        const coins = await getBatchCoinData(symbols, { chatId });
+        for (const symbol of symbols) {
+            const coin = findQuote(coins, symbol);
+            if (!coin?.current_price) {
+                console.log(`⚠️ Calculator coin not found: ${symbol} (staying silent)`);
+                return null;
+            }
+            prices[symbol] = coin.current_price;
+            fiat = coin.fiat;
         }
+    }
 
-        const result = new Function(`return ${sanitizedExpression}`)() ;
-        if (typeof result === 'number' && isFinite(result)) {
-            return result;
-        }
+    let ans = null;
+    if (usesAns) {
+        ans = await storage.calcResults.get(userId).catch(error => {
+            console.error('❌ Error reading calculator result:', error.message);
+            return null;
+        });
+        if (ans === null) return `\`${tr.t('calc.noAns')}\``;
+    }
 
-        return null;
-    } catch (e) {
-        console.error('❌ Calculator evaluation failed:', e.message);
-        return null;
+    const result = evaluateExpression(ast, { prices, ans });
+    if (result === null) return `\`${tr.t('calc.invalid')}\``;
+
+    try {
+        await storage.calcResults.set(userId, result);
+    } catch (error) {
+        console.error('❌ Error saving calculator result:', error.message);
     }
+
+    // Coin operands make the result an amount of money in the chat's currency
+    const formatted = fiat ? tr.price(result, fiat) : tr.number(result, { maximumFractionDigits: 12 });
+    return `\`${text} = ${formatted}\``;
 }
 
 // --- ENHANCED: Generate Candlestick Chart URL using Chart.js compatible format ---
-function getCandlestickChartUrl(coinName, ohlcData, timeframe) {
+function getCandlestickChartUrl(coinName, ohlcData, timeframe, fiat = 'usd') {
     try {
         if (!ohlcData || ohlcData.length === 0) {
             throw new Error('No OHLC data provided');
@@ -1133,7 +855,7 @@ function getCandlestickChartUrl(coinName, ohlcData, timeframe) {
                 },
                 scales: {
                     x: { display: true, title: { display: true, text: 'Time' }},
-                    y: { display: true, title: { display: true, text: 'Price (USD)' }, beginAtZero: false }
+                    y: { display: true, title: { display: true, text: `Price (${fiat.toUpperCase()})` }, beginAtZero: false }
                 },
                 interaction: { intersect: false, mode: 'index' }
             }
@@ -1184,13 +906,97 @@ function getChartImageUrl(coinName, historicalData) {
     }
 }
 
-function buildReply(coin, amount) {
+// --- Sparkline grid for multi-coin replies (the "Sparkline charts" setting) ---
+const SPARKLINE_POINTS = 28; // CoinGecko sends hourly prices for 7 days; one every 6 hours keeps the URL short
+const SPARKLINE_ROW_HEIGHT = 110;
+
+const fmtChangeShort = (change) => change == null ? 'N/A' : `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
+
+/**
+ * Builds a QuickChart image with one 7-day sparkline row per coin, labelled with its price and changes
+ * @param {Object[]} coins - Quotes with sparkline_in_7d, already in the reply's fiat
+ * @param {Object} tr - Translator
+ * @returns {string|null} - Image URL, or null when fewer than two coins have a sparkline
+ */
+function getSparklineGridUrl(coins, tr) {
+    const rows = coins.filter(coin => coin.sparkline_in_7d?.price?.length > 1);
+    if (rows.length < 2) return null;
+
+    const datasets = [];
+    const scales = { x: { display: false } };
+    rows.forEach((coin, index) => {
+        const prices = coin.sparkline_in_7d.price;
+        const step = Math.max(1, Math.floor(prices.length / SPARKLINE_POINTS));
+        const points = prices
+            .filter((_, i) => i % step === 0)
+            .map(price => parseFloat(price.toPrecision(5)));
+        const change7d = coin.price_change_percentage_7d_in_currency;
+        const axis = `y${index}`;
+
+        datasets.push({
+            data: points,
+            yAxisID: axis,
+            borderColor: (change7d ?? 0) >= 0 ? '#27AE60' : '#E74C3C',
+            borderWidth: 2,
+            pointRadius: 0,
+            fill: false
+        });
+        // Stacked scales give every coin its own row and its own price range
+        scales[axis] = {
+            stack: 'coins',
+            stackWeight: 1,
+            offset: true,
+            ticks: { display: false },
+            grid: { display: false },
+            title: {
+                display: true,
+                font: { size: 11 },
+                text: [
+                    `${coin.symbol.toUpperCase()} ${tr.price(coin.current_price, coin.fiat)}`,
+                    `24h ${fmtChangeShort(coin.price_change_percentage_24h_in_currency)} 7d ${fmtChangeShort(change7d)}`
+                ]
+            }
+        };
+    });
+
+    const longest = Math.max(...datasets.map(dataset => dataset.data.length));
+    const chartConfig = {
+        type: 'line',
+        data: { labels: Array.from({ length: longest }, (_, i) => i), datasets },
+        options: {
+            plugins: { legend: { display: false }, title: { display: true, text: '7D' } },
+            scales
+        }
+    };
+
+    const compactConfig = encodeURIComponent(JSON.stringify(chartConfig));
+    const height = rows.length * SPARKLINE_ROW_HEIGHT + 40;
+    return `https://quickchart.io/chart?version=4&c=${compactConfig}&w=500&h=${height}&backgroundColor=white`;
+}
+
+// Photo captions are capped at 1024 characters, so the grid carries the detail and the caption the totals
+function buildSparklineCaption(entries, tr) {
+    const lines = entries.map(({ coin, amount }) =>
+        `${tr.number(amount, { maximumFractionDigits: 8 })} ${coin.symbol.toUpperCase()} = ${tr.price(coin.current_price * amount, coin.fiat)}`);
+    return `\`${lines.join('\n')}\``;
+}
+
+// Reply language: the chat's /language setting, else the sender's Telegram language
+async function getChatTranslator(ctx) {
+    const settings = await chatSettings.get(ctx.chatId);
+    return getTranslator(resolveLocale(settings.language, ctx.user?.language_code));
+}
+
+function buildReply(coin, amount, tr = getTranslator()) {
     try {
-        const priceUSD = coin.current_price ?? 0;
-        const totalUSD = priceUSD * (amount ?? 1);
+        // Quotes arrive already converted to the chat's (or the query's) fiat
+        const fiat = coin.fiat;
+        const price = coin.current_price ?? 0;
+        const total = price * (amount ?? 1);
         const mc = coin.market_cap ?? null;
         const ath = coin.ath ?? null;
-        const fdv = (coin.fully_diluted_valuation === 0 || coin.fully_diluted_valuation == null) ? "N/A" : fmtBig(coin.fully_diluted_valuation);
+        const bigMoney = (n) => (n == null ? tr.big(n) : `${fiatSymbol(fiat)}${tr.big(n)}`);
+        const fdv = (coin.fully_diluted_valuation === 0 || coin.fully_diluted_valuation == null) ? "N/A" : bigMoney(coin.fully_diluted_valuation);
         const price_change_1h = coin.price_change_percentage_1h_in_currency ?? null;
         const price_change_24h = coin.price_change_percentage_24h_in_currency ?? null;
         const price_change_7d = coin.price_change_percentage_7d_in_currency ?? null;
@@ -1198,36 +1004,74 @@ function buildReply(coin, amount) {
 
         const lines = [];
         if (amount != null && amount !== 1) {
-            lines.push(`${amount} ${coin.symbol.toUpperCase()} = ${fmtPrice(totalUSD)}`);
+            lines.push(`${tr.number(amount, { maximumFractionDigits: 8 })} ${coin.symbol.toUpperCase()} = ${tr.price(total, fiat)}`);
         }
 
-        lines.push(`Price: ${fmtPrice(priceUSD)}`);
-        lines.push(`MC: ${fmtBig(mc)}`);
-        lines.push(`FDV: ${fdv}`);
-        lines.push(`ATH: ${fmtPrice(ath)}`);
-        lines.push(`H/L: ${fmtPrice(coin.high_24h)}/${fmtPrice(coin.low_24h)}`);
-        lines.push(`1H: ${fmtChange(price_change_1h)}`);
-        lines.push(`1D: ${fmtChange(price_change_24h)}`);
-        lines.push(`7D: ${fmtChange(price_change_7d)}`);
-        lines.push(`30D: ${fmtChange(price_change_30d)}`);
+        lines.push(`${tr.t('coin.price')}: ${tr.price(price, fiat)}`);
+        lines.push(`${tr.t('coin.marketCap')}: ${bigMoney(mc)}`);
+        lines.push(`${tr.t('coin.fdv')}: ${fdv}`);
+        lines.push(`${tr.t('coin.ath')}: ${tr.price(ath, fiat)}`);
+        lines.push(`${tr.t('coin.highLow')}: ${tr.price(coin.high_24h, fiat)}/${tr.price(coin.low_24h, fiat)}`);
+        lines.push(`${tr.t('coin.change1h')}: ${fmtChange(price_change_1h)}`);
+        lines.push(`${tr.t('coin.change24h')}: ${fmtChange(price_change_24h)}`);
+        lines.push(`${tr.t('coin.change7d')}: ${fmtChange(price_change_7d)}`);
+        lines.push(`${tr.t('coin.change30d')}: ${fmtChange(price_change_30d)}`);
 
         return `\`${coin.name} (${coin.symbol.toUpperCase()})\n${lines.join('\n')}\``;
     } catch (error) {
         console.error('❌ buildReply error:', error.message);
-        return `\`Error formatting reply for ${coin?.name || 'unknown coin'}\``;
+        return `\`${tr.t('coin.error', { name: coin?.name || 'unknown coin' })}\``;
+    }
+}
+
+// Cross rates can be tiny (SHIB in BTC), so small numbers keep significant digits instead of decimals
+function formatCoinAmount(n, tr) {
+    return n >= 1
+        ? tr.number(n, { maximumFractionDigits: 4 })
+        : tr.number(n, { maximumSignificantDigits: 6 });
+}
+
+function buildConversionReply(fromCoin, toCoin, amount, tr = getTranslator()) {
+    try {
+        const from = fromCoin.symbol.toUpperCase();
+        const to = toCoin.symbol.toUpperCase();
+        const rate = fromCoin.current_price / toCoin.current_price;
+
+        const lines = [`${fromCoin.name} (${from}) → ${toCoin.name} (${to})`];
+        lines.push(`${tr.number(amount, { maximumFractionDigits: 8 })} ${from} = ${formatCoinAmount(amount * rate, tr)} ${to}`);
+        if (amount !== 1) {
+            lines.push(`1 ${from} = ${formatCoinAmount(rate, tr)} ${to}`);
+        }
+        lines.push(`1 ${to} = ${formatCoinAmount(1 / rate, tr)} ${from}`);
+        lines.push(`${tr.t('convert.value')}: ${tr.price(fromCoin.current_price * amount, fromCoin.fiat)}`);
+
+        return `\`${lines.join('\n')}\``;
+    } catch (error) {
+        console.error('❌ buildConversionReply error:', error.message);
+        return `\`${tr.t('coin.error', { name: fromCoin?.name || 'unknown coin' })}\``;
     }
 }
 
+/**
+ * Prices both coins in one batch lookup and builds the conversion reply
+ * @param {Object} conversion - { amount, from, to } from parseConversionQuery
+ * @param {Object} options - { chatId }
+ * @param {Object} tr - Translator
+ * @returns {Promise<string|null>} - Reply, or null when either coin is unknown
+ */
+async function buildConversionMessage({ amount, from, to }, options, tr) {
+    const coins = await getBatchCoinData([from, to], options);
+    const fromCoin = findQuote(coins, from);
+    const toCoin = findQuote(coins, to);
+    if (!fromCoin || !toCoin || !fromCoin.current_price || !toCoin.current_price) return null;
+    return buildConversionReply(fromCoin, toCoin, amount, tr);
+}
+
 async function getFirstPostInfo(address, chatId) {
     try {
-        const snapshot = await db.collection('first_posts')
-            .where('address', '==', address.toLowerCase())
-            .where('chatId', '==', String(chatId))
-            .limit(1)
-            .get();
-
-        if (!snapshot.empty) {
-            const firstPostData = snapshot.docs[0].data();
+        const firstPostData = await storage.firstPosts.findByAddress(address, chatId);
+
+        if (firstPostData) {
             console.log('✅ Found existing first post:', firstPostData);
             return firstPostData;
         } else {
@@ -1240,18 +1084,15 @@ async function getFirstPostInfo(address, chatId) {
     }
 }
 
-async function storeFirstPostInfo(address, chatId, username, marketCap, timestamp, messageId, symbol) {
+async function storeFirstPostInfo(address, chatId, username, marketCap, messageId, symbol) {
     try {
-        const docRef = db.collection('first_posts').doc();
-        await docRef.set({
-            address: address.toLowerCase(),
-            chatId: String(chatId),
+        await storage.firstPosts.add({
+            address,
+            chatId,
             firstUsername: username,
             firstMarketCap: marketCap,
-            firstTimestamp: timestamp,
             firstMessageId: messageId,
-            symbol: symbol,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+            symbol: symbol
         });
         console.log('✅ Stored first post info for address:', address);
         return true;
@@ -1276,9 +1117,7 @@ function buildSignature(firstPostData, currentPriceChange1h, chatId) {
     const usernameLink = `[@${safeUsername}](${telegramLink})`;
 
     let timestampDate;
-    if (firstPostData.firstTimestamp && typeof firstPostData.firstTimestamp.toDate === 'function') {
-        timestampDate = firstPostData.firstTimestamp.toDate();
-    } else if (firstPostData.firstTimestamp instanceof Date) {
+    if (firstPostData.firstTimestamp instanceof Date) {
         timestampDate = firstPostData.firstTimestamp;
     } else if (typeof firstPostData.firstTimestamp === 'number') {
         timestampDate = new Date(firstPostData.firstTimestamp);
@@ -1346,23 +1185,24 @@ function buildDexScreenerReply(dexScreenerData) {
     }
 }
 
-function buildCompareReply(coin1, coin2, theoreticalPrice) {
+function buildCompareReply(coin1, coin2, theoreticalPrice, tr = getTranslator()) {
     try {
-        const formattedPrice = fmtPrice(theoreticalPrice);
-        const lines = [];
-        lines.push(`If ${coin1.name} (${coin1.symbol.toUpperCase()}) had the market cap of ${coin2.name} (${coin2.symbol.toUpperCase()}),`);
-        lines.push(`its price would be approximately ${formattedPrice}.`);
-        return `\`${lines.join('\n')}\``;
+        const text = tr.t('compare.result', {
+            coin1: `${coin1.name} (${coin1.symbol.toUpperCase()})`,
+            coin2: `${coin2.name} (${coin2.symbol.toUpperCase()})`,
+            price: tr.price(theoreticalPrice, coin2.fiat)
+        });
+        return `\`${text}\``;
     } catch (error) {
         console.error('❌ buildCompareReply error:', error.message);
-        return '`Error formatting comparison reply`';
+        return `\`${tr.t('compare.error')}\``;
     }
 }
 
-function buildGasReply(gasPrices, ethPrice) {
+function buildGasReply(gasPrices, ethPrice, tr = getTranslator(), fiat = 'usd') {
     try {
         if (!gasPrices) {
-            return '`Could not retrieve gas prices. Please try again later.`';
+            return `\`${tr.t('gas.unavailable')}\``;
         }
 
         const gasLimit = 21000;
@@ -1372,34 +1212,31 @@ function buildGasReply(gasPrices, ethPrice) {
         const highCost = calculateCost(gasPrices.high, ethPrice);
 
         const lines = [];
-        lines.push('Ethereum Gas Prices');
+        lines.push(tr.t('gas.title'));
         lines.push('-------------------');
-        lines.push(`Slow: ${gasPrices.low} Gwei (~${fmtPrice(slowCost)})`);
-        lines.push(`Avg: ${gasPrices.average} Gwei (~${fmtPrice(averageCost)})`);
-        lines.push(`Fast: ${gasPrices.high} Gwei (~${fmtPrice(highCost)})`);
-        lines.push(`ETH: ${fmtPrice(ethPrice)}`);
+        lines.push(`${tr.t('gas.slow')}: ${gasPrices.low} Gwei (~${tr.price(slowCost, fiat)})`);
+        lines.push(`${tr.t('gas.average')}: ${gasPrices.average} Gwei (~${tr.price(averageCost, fiat)})`);
+        lines.push(`${tr.t('gas.fast')}: ${gasPrices.high} Gwei (~${tr.price(highCost, fiat)})`);
+        lines.push(`ETH: ${tr.price(ethPrice, fiat)}`);
 
         return `\`${lines.join('\n')}\``;
     } catch (error) {
         console.error('❌ buildGasReply error:', error.message);
-        return '`Error formatting gas prices`';
+        return `\`${tr.t('gas.error')}\``;
     }
 }
 
 // NEW: Alert and Reminder Functions
-async function createPriceAlert(userId, chatId, symbol, condition, targetPrice, username) {
+async function createPriceAlert(userId, chatId, symbol, condition, targetPrice, username, currency = 'usd') {
     try {
-        const docRef = db.collection('price_alerts').doc();
-        await docRef.set({
+        await storage.priceAlerts.add({
             userId,
             username,
-            chatId: String(chatId),
+            chatId,
             symbol: symbol.toLowerCase(),
             targetPrice,
             condition,
-            isActive: true,
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            lastChecked: admin.firestore.FieldValue.serverTimestamp()
+            currency
         });
         console.log(`✅ Created price alert: ${symbol} ${condition} ${targetPrice} for user ${userId}`);
         return true;
@@ -1411,15 +1248,12 @@ async function createPriceAlert(userId, chatId, symbol, condition, targetPrice,
 
 async function createTimeReminder(userId, chatId, message, triggerTime, username) {
     try {
-        const docRef = db.collection('time_reminders').doc();
-        await docRef.set({
+        await storage.timeReminders.add({
             userId,
             username,
-            chatId: String(chatId),
+            chatId,
             message,
-            triggerTime: admin.firestore.Timestamp.fromDate(triggerTime),
-            isActive: true,
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+            triggerTime
         });
         console.log(`✅ Created time reminder: "${message}" for ${triggerTime} for user ${userId}`);
         return true;
@@ -1432,30 +1266,14 @@ async function createTimeReminder(userId, chatId, message, triggerTime, username
 async function getUserAlerts(userId, chatId) {
     try {
         console.log(`🔍 Getting alerts for user ${userId} in chat ${chatId}`);
-        const [priceAlertsSnapshot, timeRemindersSnapshot] = await Promise.all([
-            db.collection('price_alerts')
-                .where('userId', '==', userId)
-                .where('chatId', '==', String(chatId))
-                .where('isActive', '==', true)
-                .get(),
-            db.collection('time_reminders')
-                .where('userId', '==', userId)
-                .where('chatId', '==', String(chatId))
-                .where('isActive', '==', true)
-                .get()
+        // Same newest-first order as cancelAlert so list numbers match /cancel
+        const [activeAlerts, activeReminders] = await Promise.all([
+            storage.priceAlerts.listActiveForUser(userId, chatId),
+            storage.timeReminders.listActiveForUser(userId, chatId)
         ]);
 
-        const priceAlerts = priceAlertsSnapshot.docs.map(doc => ({
-            id: doc.id,
-            type: 'price',
-            ...doc.data()
-        }));
-
-        const timeReminders = timeRemindersSnapshot.docs.map(doc => ({
-            id: doc.id,
-            type: 'time',
-            ...doc.data()
-        }));
+        const priceAlerts = activeAlerts.map(alert => ({ type: 'price', ...alert }));
+        const timeReminders = activeReminders.map(reminder => ({ type: 'time', ...reminder }));
 
         console.log(`📊 Found ${priceAlerts.length} price alerts and ${timeReminders.length} time reminders`);
         return { priceAlerts, timeReminders };
@@ -1465,30 +1283,32 @@ async function getUserAlerts(userId, chatId) {
     }
 }
 
-function buildAlertsReply(alerts) {
+function buildAlertsReply(alerts, tr = getTranslator()) {
     const { priceAlerts, timeReminders } = alerts;
     
     if (priceAlerts.length === 0 && timeReminders.length === 0) {
-        return '`No active alerts or reminders found.`';
+        return `\`${tr.t('alerts.none')}\``;
     }
 
-    let reply = '*Your Active Alerts & Reminders:*\n\n';
+    let reply = `*${tr.t('alerts.title')}*\n\n`;
 
     if (priceAlerts.length > 0) {
-        reply += '*🚨 Price Alerts:*\n';
+        reply += `*${tr.t('alerts.priceHeading')}*\n`;
         priceAlerts.forEach((alert, index) => {
-            reply += `${index + 1}. ${alert.symbol.toUpperCase()} ${alert.condition} $${alert.targetPrice.toLocaleString()}\n`;
+            reply += `${index + 1}. ${alert.symbol.toUpperCase()} ${tr.t(`condition.${alert.condition}`)} ${tr.price(alert.targetPrice, alert.currency)}\n`;
         });
         reply += '\n';
     }
 
     if (timeReminders.length > 0) {
-        reply += '*⏰ Time Reminders:*\n';
+        reply += `*${tr.t('alerts.timeHeading')}*\n`;
         timeReminders.forEach((reminder, index) => {
-            const triggerDate = reminder.triggerTime.toDate();
-            const dateStr = triggerDate.toLocaleDateString();
-            const timeStr = triggerDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-            reply += `${index + 1}. "${reminder.message}" on ${dateStr} at ${timeStr}\n`;
+            reply += tr.t('alerts.timeLine', {
+                index: index + 1,
+                message: reminder.message,
+                date: tr.date(reminder.triggerTime),
+                time: tr.time(reminder.triggerTime)
+            }) + '\n';
         });
     }
 
@@ -1497,17 +1317,11 @@ function buildAlertsReply(alerts) {
 
 async function cancelAlert(userId, chatId, alertType, alertIndex) {
     try {
-        const collectionName = alertType === 'price' ? 'price_alerts' : 'time_reminders';
-        const snapshot = await db.collection(collectionName)
-            .where('userId', '==', userId)
-            .where('chatId', '==', String(chatId))
-            .where('isActive', '==', true)
-            .orderBy('createdAt', 'desc')
-            .get();
-
-        if (alertIndex > 0 && alertIndex <= snapshot.size) {
-            const docToUpdate = snapshot.docs[alertIndex - 1];
-            await docToUpdate.ref.update({ isActive: false });
+        const repository = alertType === 'price' ? storage.priceAlerts : storage.timeReminders;
+        const active = await repository.listActiveForUser(userId, chatId);
+
+        if (alertIndex > 0 && alertIndex <= active.length) {
+            await repository.deactivate(active[alertIndex - 1].id);
             return true;
         }
         return false;
@@ -1517,135 +1331,112 @@ async function cancelAlert(userId, chatId, alertType, alertIndex) {
     }
 }
 
-async function sendMessageToTopic(botToken, chatId, messageThreadId, text, callbackData = '', options = {}) {
-    if (!text || text.trim() === '') {
-        console.error('❌ Refusing to send an empty message.');
-        return;
-    }
-
-    const baseOptions = {
-        chat_id: parseInt(chatId),
-        text: text,
-        parse_mode: 'Markdown',
-        ...options
-    };
-
-    if (callbackData) {
-        baseOptions.reply_markup = {
-            inline_keyboard: [
-                [{
-                    text: '🔄 Refresh',
-                    callback_data: `refresh_${callbackData}`
-                }, {
-                    text: '🗑️ Delete',
-                    callback_data: 'delete_message'
-                }]
-            ]
-        };
-    }
-
-    const trySend = async(opts) => {
-        try {
-            const response = await axios.post(`https://api.telegram.org/bot${botToken}/sendMessage`, opts, {
-                timeout: 10000,
-                headers: { 'Content-Type': 'application/json' }
-            });
-            return response.data;
-        } catch (error) {
-            if (error.response) {
-                console.error('Response data:', error.response.data);
-                console.error('Response status:', error.response.status);
-            }
-            throw error;
-        }
-    };
-
+// --- Callback state (button payloads that do not fit in callback_data) ---
+const CALLBACK_DATA_MAX = 64; // bytes, Telegram's limit
+const CALLBACK_STATE_TTL = 7 * 24 * 60 * 60 * 1000; // Refreshing a reply keeps its buttons alive for another week
+const CALLBACK_TOKEN = /^(.*)cb_([0-9a-f]{12})$/;
+
+/**
+ * Returns a payload that fits behind the longest button prefix. Long payloads
+ * (Solana addresses, multi-coin queries) are stored server-side and replaced by
+ * cb_<token>; the token is derived from the payload, so refreshing a reply
+ * reuses its record instead of creating another.
+ * @param {string} payload - Refresh/chart payload
+ * @param {string} prefix - Longest prefix the payload is sent behind
+ * @param {number|null} requesterId - User the reply was made for
+ * @returns {Promise<string|null>} - Payload, cb_<token>, or null when the record could not be saved
+ */
+async function packCallbackPayload(payload, prefix, requesterId = null) {
+    if (Buffer.byteLength(`${prefix}${payload}`) <= CALLBACK_DATA_MAX) return payload;
+
+    const token = crypto.createHash('sha256').update(`${requesterId}:${payload}`).digest('hex').slice(0, 12);
     try {
-        let attemptOptions = { ...baseOptions };
-        if (messageThreadId && parseInt(messageThreadId) > 0) {
-            attemptOptions.message_thread_id = parseInt(messageThreadId);
-        }
-
-        return await trySend(attemptOptions);
+        await storage.callbackStates.set(token, { payload, requesterId }, CALLBACK_STATE_TTL);
+        return `cb_${token}`;
     } catch (error) {
-        if (error.response && error.response.status === 400 && error.response.data.description.includes('message thread not found')) {
-            console.warn('⚠️ Thread not found, attempting to send to main chat.');
-            try {
-                const fallbackOptions = { ...baseOptions };
-                delete fallbackOptions.message_thread_id;
-                return await trySend(fallbackOptions);
-            } catch (fallbackError) {
-                console.error('❌ Fallback to main chat also failed:', fallbackError.message);
-                throw fallbackError;
-            }
-        } else {
-            throw error;
-        }
+        console.error('❌ Error saving callback state:', error.message);
+        return null;
     }
 }
 
-async function sendPhotoToTopic(botToken, chatId, messageThreadId, photoUrl, caption = '', callbackData = '', showTimeframeButtons = false) {
-    let replyMarkup;
+/**
+ * Expands cb_<token> callback data back into the stored payload
+ * @param {string} data - Callback data from the pressed button
+ * @returns {Promise<Object|null>} - { data, requesterId }, or null when the record has expired
+ */
+async function unpackCallbackData(data) {
+    const match = data?.match(CALLBACK_TOKEN);
+    if (!match) return { data, requesterId: null };
+
+    const state = await storage.callbackStates.get(match[2]).catch(error => {
+        console.error('❌ Error reading callback state:', error.message);
+        return null;
+    });
+    return state ? { data: `${match[1]}${state.payload}`, requesterId: state.requesterId ?? null } : null;
+}
+
+// Refresh/delete buttons, plus timeframe buttons on chart messages
+async function buildReplyMarkup(callbackData, showTimeframeButtons = false, requesterId = null) {
+    callbackData = await packCallbackPayload(callbackData, showTimeframeButtons ? 'refresh_chart_' : 'refresh_', requesterId);
+    // The requester's id rides along so they can delete their own reply (see lib/permissions.js)
+    const deleteData = requesterId ? `delete_message_${requesterId}` : 'delete_message';
+    if (callbackData === null) {
+        // Without a saved payload only the delete button still works
+        return { inline_keyboard: [[{text: '🗑️ Delete', callback_data: deleteData}]] };
+    }
     if (showTimeframeButtons) {
-        replyMarkup = {
+        return {
             inline_keyboard: [
                 [{text: '1D', callback_data: `chart_1d_${callbackData}`}, {text: '7D', callback_data: `chart_7d_${callbackData}`}, 
                  {text: '30D', callback_data: `chart_30d_${callbackData}`}, {text: '90D', callback_data: `chart_90d_${callbackData}`}],
-                [{text: '🔄 Refresh', callback_data: `refresh_chart_${callbackData}`}, {text: '🗑️ Delete', callback_data: 'delete_message'}]
-            ]
-        };
-    } else {
-        replyMarkup = {
-            inline_keyboard: [
-                [{text: '🔄 Refresh', callback_data: `refresh_${callbackData}`}, {text: '🗑️ Delete', callback_data: 'delete_message'}]
+                [{text: '🔄 Refresh', callback_data: `refresh_chart_${callbackData}`}, {text: '🗑️ Delete', callback_data: deleteData}]
             ]
         };
     }
-
-    const baseOptions = {
-        chat_id: parseInt(chatId),
-        photo: photoUrl,
-        caption: caption,
-        parse_mode: 'Markdown',
-        reply_markup: replyMarkup
+    return {
+        inline_keyboard: [
+            [{text: '🔄 Refresh', callback_data: `refresh_${callbackData}`}, {text: '🗑️ Delete', callback_data: deleteData}]
+        ]
     };
+}
 
-    const trySend = async(opts) => {
-        try {
-            const response = await axios.post(`https://api.telegram.org/bot${botToken}/sendPhoto`, opts, {
-                timeout: 15000,
-                headers: { 'Content-Type': 'application/json' }
-            });
-            return response.data;
-        } catch (error) {
-            if (error.response) {
-                console.error('Photo response data:', error.response.data);
-            }
-            throw error;
-        }
+// text may also be { html, markdown, plain } variants, tried in that order
+async function sendMessageToTopic(botToken, chatId, messageThreadId, text, callbackData = '', options = {}) {
+    const isEmpty = typeof text === 'string' ? text.trim() === '' : !text || Object.values(text).every(t => !t);
+    if (!text || isEmpty) {
+        console.error('❌ Refusing to send an empty message.');
+        return;
+    }
+
+    const { requesterId, ...extra } = options;
+    const sendOptions = {
+        parse_mode: 'Markdown',
+        ...extra,
+        messageThreadId
     };
+    if (callbackData) {
+        sendOptions.reply_markup = await buildReplyMarkup(callbackData, false, requesterId);
+    }
 
     try {
-        let attemptOptions = { ...baseOptions };
-        if (messageThreadId && parseInt(messageThreadId) > 0) {
-            attemptOptions.message_thread_id = parseInt(messageThreadId);
-        }
+        return await getTelegramClient(botToken).sendMessage(chatId, text, sendOptions);
+    } catch (error) {
+        logTelegramError('Error sending message', error);
+        throw error;
+    }
+}
 
-        return await trySend(attemptOptions);
+async function sendPhotoToTopic(botToken, chatId, messageThreadId, photoUrl, caption = '', callbackData = '', showTimeframeButtons = false, requesterId = null) {
+    try {
+        return await getTelegramClient(botToken).sendPhoto(chatId, photoUrl, {
+            messageThreadId,
+            caption,
+            parse_mode: 'Markdown',
+            reply_markup: await buildReplyMarkup(callbackData, showTimeframeButtons, requesterId)
+        });
     } catch (error) {
-        if (error.response && error.response.status === 400 && error.response.data.description.includes('message thread not found')) {
-            console.warn('⚠️ Thread not found for photo, attempting to send to main chat.');
-            try {
-                const fallbackOptions = { ...baseOptions };
-                delete fallbackOptions.message_thread_id;
-                return await trySend(fallbackOptions);
-            } catch (fallbackError) {
-                console.error('❌ Fallback photo send also failed:', fallbackError.message);
-                throw fallbackError;
-            }
-        } else {
-            throw error;
-        }
+        logTelegramError('Error sending photo', error);
+        throw error;
     }
 }
 
@@ -1662,153 +1453,140 @@ async function sendStickerToTopic(botToken, chatId, messageThreadId, stickerBuff
     
     console.log('📤 Attempting to send sticker with size:', stickerBuffer.length, 'bytes');
 
-    const createFormData = (includeThreadId = true) => {
-        const formData = new FormData();
-        formData.append('sticker', stickerBuffer, {
+    try {
+        const response = await getTelegramClient(botToken).sendSticker(chatId, {
+            buffer: stickerBuffer,
             filename: 'quote_sticker.webp',
             contentType: 'image/webp'
-        });
-        formData.append('chat_id', chatId);
-
-        if (includeThreadId && messageThreadId && parseInt(messageThreadId) > 0) {
-            formData.append('message_thread_id', messageThreadId);
-        }
-
-        return formData;
-    };
-
-    const trySend = async (formData) => {
+        }, { messageThreadId });
+        console.log('✅ Sticker sent successfully');
+        return response;
+    } catch (error) {
+        logTelegramError('Failed to send sticker', error);
         try {
-            const response = await axios.post(`https://api.telegram.org/bot${botToken}/sendSticker`, formData, {
-                timeout: 15000,
-                headers: { 'Content-Type': `multipart/form-data; boundary=${formData._boundary}` }
-            });
-            console.log('✅ Sticker sent successfully:', response.data);
-            return response;
-        } catch (error) {
-            if (error.response) {
-                console.error('Response data:', error.response.data);
-                console.error('Response status:', error.response.status);
-            }
-            throw error;
+            await sendMessageToTopic(botToken, chatId, messageThreadId, '`Failed to send sticker. Please try again later.`');
+        } catch (fallbackError) {
+            console.error('❌ Fallback message also failed:', fallbackError.message);
         }
-    };
+        throw error;
+    }
+}
+
+async function editMessageInTopic(botToken, chatId, messageId, messageThreadId, text, photoUrl, callbackData, showTimeframeButtons = false, requesterId = null) {
+    // For photo messages, edit caption; for text messages, edit text
+    const isPhoto = !!photoUrl;
 
     try {
-        const formData = createFormData(true);
-        return await trySend(formData);
+        const response = await getTelegramClient(botToken).editMessage(chatId, messageId, text, {
+            isCaption: isPhoto,
+            parse_mode: 'Markdown',
+            reply_markup: await buildReplyMarkup(callbackData, showTimeframeButtons, requesterId)
+        });
+        console.log(isPhoto ? '✅ Successfully edited photo caption' : '✅ Successfully edited message text');
+        return response;
     } catch (error) {
-        if (error.response && error.response.status === 400 && error.response.data.description.includes('message thread not found')) {
-            console.warn('⚠️ Thread not found for sticker, attempting to send to main chat.');
-            try {
-                const fallbackFormData = createFormData(false);
-                return await trySend(fallbackFormData);
-            } catch (fallbackError) {
-                console.error('❌ Fallback sticker send also failed:', fallbackError.message);
-                try {
-                    await sendMessageToTopic(botToken, chatId, messageThreadId, '`Failed to send sticker. Please try again later.`');
-                } catch (messageError) {
-                    console.error('❌ Fallback message also failed:', messageError.message);
-                }
-                throw fallbackError;
-            }
+        if (error.response?.data?.description?.includes('message is not modified')) {
+            console.log('✅ Message content is identical, no edit needed.');
+        } else if (error.response?.status === 400 && error.response?.data?.description?.includes('message to edit not found')) {
+            console.error('❌ Message to edit not found - it may have been deleted');
         } else {
-            console.error('❌ Failed to send sticker:', error.response?.data?.description || error.message);
-            try {
-                await sendMessageToTopic(botToken, chatId, messageThreadId, '`Failed to send sticker. Please try again later.`');
-            } catch (fallbackError) {
-                console.error('❌ Fallback message also failed:', fallbackError.message);
-            }
-            throw error;
+            logTelegramError('Error editing message', error);
         }
+        return null;
     }
 }
 
-async function editMessageInTopic(botToken, chatId, messageId, messageThreadId, text, photoUrl, callbackData, showTimeframeButtons = false) {
-    const isPhoto = !!photoUrl;
-    let replyMarkup;
-
-    if (showTimeframeButtons) {
-        replyMarkup = {
-            inline_keyboard: [
-                [{text: '1D', callback_data: `chart_1d_${callbackData}`}, {text: '7D', callback_data: `chart_7d_${callbackData}`}, 
-                 {text: '30D', callback_data: `chart_30d_${callbackData}`}, {text: '90D', callback_data: `chart_90d_${callbackData}`}],
-                [{text: '🔄 Refresh', callback_data: `refresh_chart_${callbackData}`}, {text: '🗑️ Delete', callback_data: 'delete_message'}]
-            ]
-        };
-    } else {
-        replyMarkup = {
-            inline_keyboard: [
-                [{text: '🔄 Refresh', callback_data: `refresh_${callbackData}`}, {text: '🗑️ Delete', callback_data: 'delete_message'}]
-            ]
-        };
-    }
-
-    const baseOptions = {
-        chat_id: parseInt(chatId),
-        message_id: parseInt(messageId),
-        parse_mode: 'Markdown',
-        reply_markup: replyMarkup
-    };
-
+// Swaps a photo message's image as well as its caption (a refreshed sparkline grid)
+async function editPhotoInTopic(botToken, chatId, messageId, photoUrl, caption, callbackData, requesterId = null) {
     try {
-        if (isPhoto) {
-            // For photo messages, edit caption
-            let options = { ...baseOptions, caption: text };
-            if (messageThreadId) {
-                options.message_thread_id = parseInt(messageThreadId);
-            }
-
-            const response = await axios.post(`https://api.telegram.org/bot${botToken}/editMessageCaption`, options, {
-                timeout: 10000,
-                headers: { 'Content-Type': 'application/json' }
-            });
-            console.log('✅ Successfully edited photo caption');
-            return response.data;
-        } else {
-            // For text messages, edit text
-            let options = { ...baseOptions, text: text };
-            if (messageThreadId) {
-                options.message_thread_id = parseInt(messageThreadId);
-            }
-
-            const response = await axios.post(`https://api.telegram.org/bot${botToken}/editMessageText`, options, {
-                timeout: 10000,
-                headers: { 'Content-Type': 'application/json' }
-            });
-            console.log('✅ Successfully edited message text');
-            return response.data;
-        }
+        const response = await getTelegramClient(botToken).editMessagePhoto(chatId, messageId, photoUrl, caption, {
+            parse_mode: 'Markdown',
+            reply_markup: await buildReplyMarkup(callbackData, false, requesterId)
+        });
+        console.log('✅ Successfully replaced photo');
+        return response;
     } catch (error) {
         if (error.response?.data?.description?.includes('message is not modified')) {
-            console.log('✅ Message content is identical, no edit needed.');
-        } else if (error.response?.status === 400 && error.response?.data?.description?.includes('message to edit not found')) {
-            console.error('❌ Message to edit not found - it may have been deleted');
+            console.log('✅ Photo is identical, no edit needed.');
         } else {
-            console.error('❌ Error editing message:', {
-                status: error.response?.status,
-                statusText: error.response?.statusText,
-                data: error.response?.data,
-                message: error.message
-            });
+            logTelegramError('Error replacing photo', error);
         }
         return null;
     }
 }
 
+// --- Lookup replies follow edits of the message they answer ---
+const LOOKUP_REPLY_TTL = 48 * 60 * 60 * 1000; // Bots can only edit their messages for 48 hours
+
+/**
+ * Answers a price, calculator or address lookup. When the lookup comes from an edited
+ * message the bot already answered, that earlier reply is edited instead.
+ * @param {Object} ctx - { botToken, chatId, messageId, messageThreadId, isEdit }
+ * @param {string} text - Reply text (Markdown); also sent when the photo cannot be sent
+ * @param {string} callbackData - Refresh payload ('' for no buttons)
+ * @param {Object} options - sendMessageToTopic options, plus photo: { url, caption } to answer with an image
+ */
+async function sendLookupReply(ctx, text, callbackData = '', options = {}) {
+    const { botToken, chatId, messageId, messageThreadId, isEdit } = ctx;
+    const { photo = null, ...sendOptions } = options;
+    const telegram = getTelegramClient(botToken);
+
+    const previous = isEdit ? await storage.lookupReplies.get(chatId, messageId).catch(error => {
+        console.error('❌ Error reading lookup reply:', error.message);
+        return null;
+    }) : null;
+
+    // Text can only become a photo in a new message; a photo keeps its image when the answer becomes text
+    const previousIsPhoto = previous?.type === 'photo';
+    if (previous && (previousIsPhoto || !photo)) {
+        try {
+            const reply_markup = sendOptions.reply_markup
+                || (callbackData ? await buildReplyMarkup(callbackData, false, sendOptions.requesterId) : undefined);
+            if (photo) {
+                await telegram.editMessagePhoto(chatId, previous.replyMessageId, photo.url, photo.caption, { parse_mode: 'Markdown', reply_markup });
+            } else {
+                await telegram.editMessage(chatId, previous.replyMessageId, text, { parse_mode: 'Markdown', isCaption: previousIsPhoto, reply_markup });
+            }
+            console.log(`✅ Updated reply ${previous.replyMessageId} after an edit`);
+            return;
+        } catch (error) {
+            if (error.response?.data?.description?.includes('message is not modified')) return;
+            // The reply was deleted, is too old to edit or the text is too long for a caption, so answer afresh
+            logTelegramError('Error editing lookup reply', error);
+        }
+    }
+
+    let response = null;
+    let type = 'text';
+    if (photo) {
+        // Telegram rejects image URLs it cannot fetch; the text reply is the fallback
+        response = await sendPhotoToTopic(botToken, chatId, messageThreadId, photo.url, photo.caption,
+            callbackData, false, sendOptions.requesterId).catch(() => null);
+        if (response) type = 'photo';
+    }
+    if (!response) {
+        response = await sendMessageToTopic(botToken, chatId, messageThreadId, text, callbackData, sendOptions);
+    }
+
+    const replyMessageId = response?.result?.message_id;
+    if (replyMessageId) {
+        await storage.lookupReplies.set(chatId, messageId, replyMessageId, LOOKUP_REPLY_TTL, type).catch(error => {
+            console.error('❌ Error saving lookup reply:', error.message);
+        });
+    }
+}
+
 async function logUserQuery(user, chatId, query, price, symbol, marketCap, messageId) {
     try {
-        const docRef = db.collection('queries').doc();
-        await docRef.set({
+        await storage.queries.add({
             userId: user.id,
             username: user.username || user.first_name || `User${user.id}`,
-            chatId: String(chatId),
+            chatId,
             messageId,
             query,
             symbol,
             priceAtQuery: price,
-            marketCap,
-            timestamp: admin.firestore.FieldValue.serverTimestamp()
+            marketCap
         });
         console.log(`✅ Logged query for user ${user.id} in chat ${chatId}: ${query}`);
     } catch (error) {
@@ -1818,19 +1596,16 @@ async function logUserQuery(user, chatId, query, price, symbol, marketCap, messa
 
 async function buildLeaderboardReply(chatId) {
     try {
-        const snapshot = await db.collection('queries')
-            .where('chatId', '==', String(chatId))
-            .get();
+        const storedQueries = await storage.queries.listByChat(chatId);
 
-        if (snapshot.empty) {
+        if (storedQueries.length === 0) {
             return "`Leaderboard is empty. Be the first to search for a token address!`";
         }
 
         const queries = {};
         const uniqueAddresses = new Set();
 
-        snapshot.forEach(doc => {
-            const data = doc.data();
+        storedQueries.forEach(data => {
             const userId = data.userId;
             const queryAddress = data.query;
             const price = data.priceAtQuery;
@@ -1901,7 +1676,7 @@ async function getGeminiReply(prompt) {
         const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
         const model = genAI.getGenerativeModel({
             model: "gemini-2.5-flash-lite"
-        });
+        }, GEMINI_REQUEST_OPTIONS);
 
         const result = await model.generateContent(dynamicPrompt);
         const response = await result.response;
@@ -1961,6 +1736,67 @@ function extractMultipleTokens(text) {
     return tokens.length > 0 ? tokens : null;
 }
 
+/**
+ * Parses a price query: "2 eth", "1 eth 2 btc", optionally followed by a fiat
+ * code for the whole query ("2 eth inr"); with a fiat a bare ticker works too ("btc eur")
+ * @param {string} text - Message text
+ * @returns {Object|null} - { tokens: [{ amount, symbol }], fiat } where fiat is null for the chat's default
+ */
+function parseCoinQuery(text) {
+    const parseTokens = (query) => {
+        const single = isValidCoinPattern(query);
+        return single ? [single] : extractMultipleTokens(query);
+    };
+
+    const fiatMatch = text.trim().match(/^(.+?)\s+([a-z]{3})$/i);
+    if (fiatMatch && isFiat(fiatMatch[2])) {
+        const query = fiatMatch[1].trim();
+        const tokens = /^[a-z]{2,10}$/i.test(query) ? [{ amount: 1, symbol: query.toLowerCase() }] : parseTokens(query);
+        if (tokens) return { tokens, fiat: fiatMatch[2].toLowerCase() };
+    }
+
+    const tokens = parseTokens(text);
+    return tokens ? { tokens, fiat: null } : null;
+}
+
+/**
+ * Parses a coin-to-coin conversion: "1 eth to btc", "500 usdt in sol", "0.5 btc = ? eth"
+ * @param {string} text - Message text
+ * @returns {Object|null} - { amount, from, to }, or null for anything else (fiat targets stay price queries)
+ */
+function parseConversionQuery(text) {
+    const match = text.trim().match(/^(\d+(?:\.\d+)?)\s+([a-z]{2,10})\s*(?:to|in|into|->|=\s*\?|=)\s*([a-z]{2,10})\s*\??$/i);
+    if (!match) return null;
+
+    const amount = parseFloat(match[1]);
+    const from = match[2].toLowerCase();
+    const to = match[3].toLowerCase();
+    if (amount <= 0 || amount > 999999999 || from === to || isFiat(to)) return null;
+    return { amount, from, to };
+}
+
+// --- Group to supergroup upgrades ---
+/**
+ * Moves a chat's stored data to its new id. Telegram posts a service message in
+ * both chats (migrate_to_chat_id in the old one, migrate_from_chat_id in the new
+ * one); whichever arrives first moves the data and the other finds nothing left.
+ * @param {number} fromChatId - Old group id
+ * @param {number} toChatId - New supergroup id
+ * @returns {Promise<Object|null>} - Documents moved per repository, or null on failure
+ */
+async function migrateChat(fromChatId, toChatId) {
+    try {
+        const moved = await storage.chats.migrate(fromChatId, toChatId);
+        chatSettings.forget(fromChatId);
+        chatSettings.forget(toChatId);
+        console.log(`🔀 Migrated chat ${fromChatId} -> ${toChatId}:`, moved);
+        return moved;
+    } catch (error) {
+        console.error('❌ Error migrating chat data:', error.message);
+        return null;
+    }
+}
+
 // --- Chat Summary Feature Functions ---
 
 // Store a message in Firebase for later summarization
@@ -1975,15 +1811,10 @@ async function storeMessageForSummary(chatId, messageId, userId, username, text,
             userId,
             username: username || `User${userId}`,
             text: text.substring(0, 500), // Limit text length to save space
-            timestamp: timestamp || Date.now(),
-            createdAt: admin.firestore.FieldValue.serverTimestamp()
+            timestamp: timestamp || Date.now()
         };
 
-        await db.collection('chat_messages')
-            .doc(`${chatId}`)
-            .collection('messages')
-            .doc(`${messageId}`)
-            .set(messageData);
+        await storage.chatMessages.add(chatId, messageId, messageData);
 
         console.log(`💾 Stored message ${messageId} from chat ${chatId}`);
     } catch (error) {
@@ -2033,28 +1864,13 @@ function parseTimeParameter(timeStr) {
 // Retrieve messages from Firebase within a time range
 async function getMessagesForSummary(chatId, startTime) {
     try {
-        const messagesRef = db.collection('chat_messages')
-            .doc(`${chatId}`)
-            .collection('messages')
-            .where('timestamp', '>=', startTime)
-            .orderBy('timestamp', 'asc')
-            .limit(500); // Limit to 500 messages max
-
-        const snapshot = await messagesRef.get();
-        
-        if (snapshot.empty) {
-            return [];
-        }
+        const stored = await storage.chatMessages.listSince(chatId, startTime, 500); // Limit to 500 messages max
 
-        const messages = [];
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            messages.push({
-                username: data.username,
-                text: data.text,
-                timestamp: data.timestamp
-            });
-        });
+        const messages = stored.map(data => ({
+            username: data.username,
+            text: data.text,
+            timestamp: data.timestamp
+        }));
 
         console.log(`📖 Retrieved ${messages.length} messages for summary`);
         return messages;
@@ -2092,7 +1908,7 @@ Please provide a comprehensive summary that includes:
 Keep the summary concise but informative (around 200-300 words). Format it in a clear, easy-to-read structure.`;
 
         const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY);
-        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash-lite" });
+        const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash-lite" }, GEMINI_REQUEST_OPTIONS);
 
         const result = await model.generateContent(prompt);
         const response = await result.response;
@@ -2106,307 +1922,1576 @@ Keep the summary concise but informative (around 200-300 words). Format it in a
     }
 }
 
-export default async function handler(req, res) {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+// --- Command Handlers ---
 
-    if (req.method === 'OPTIONS') {
-        return res.status(200).end();
+// Parse time and convert to IST
+function parseTimeToIST(timeStr) {
+    const now = new Date();
+    let hours, minutes;
+    
+    // Handle 12-hour format (3pm, 9:30am)
+    const twelveHourMatch = timeStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
+    if (twelveHourMatch) {
+        hours = parseInt(twelveHourMatch[1]);
+        minutes = parseInt(twelveHourMatch[2] || '0');
+        const period = twelveHourMatch[3].toLowerCase();
+        
+        if (period === 'pm' && hours !== 12) hours += 12;
+        if (period === 'am' && hours === 12) hours = 0;
+    } 
+    // Handle 24-hour format (15:30 or just 15)
+    else {
+        const twentyFourHourMatch = timeStr.match(/(\d{1,2})(?::(\d{2}))?/);
+        if (twentyFourHourMatch) {
+            hours = parseInt(twentyFourHourMatch[1]);
+            minutes = parseInt(twentyFourHourMatch[2] || '0');
+        } else {
+            return null;
+        }
+    }
+    
+    if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
+        return null;
+    }
+    
+    // Create IST date for today
+    const istTime = new Date();
+    // Convert to IST (UTC+5:30)
+    istTime.setUTCHours(hours - 5, minutes - 30, 0, 0);
+    
+    // If the time has passed today, set it for tomorrow
+    if (istTime <= now) {
+        istTime.setUTCDate(istTime.getUTCDate() + 1);
     }
+    
+    return istTime;
+}
 
-    if (req.method === 'GET') {
-        return res.status(200).json({
-            status: 'Webhook endpoint is working!',
-            method: 'GET',
-            timestamp: new Date().toISOString()
-        });
+// Builds the 30D chart shared by /chart and its refresh button
+async function buildChartReply(symbol, chatId) {
+    const coinData = await getCoinDataWithChanges(symbol, { chatId });
+    if (!coinData) return null;
+
+    const ohlcData = await getOHLCData(coinData, 30, { chatId });
+    if (ohlcData && ohlcData.length > 0) {
+        return {
+            text: `*${coinData.name}* Candlestick Chart (30D)`,
+            photoUrl: getCandlestickChartUrl(coinData.name, ohlcData, '30D', coinData.fiat),
+            showTimeframeButtons: true
+        };
     }
 
-    if (req.method !== 'POST') {
-        return res.status(405).json({
-            message: 'Method not allowed'
-        });
+    const historicalData = await getHistoricalData(coinData, { chatId });
+    if (historicalData && historicalData.length > 0) {
+        return {
+            text: `*${coinData.name}* Price Chart (30D) - Line Chart Fallback`,
+            photoUrl: getChartImageUrl(coinData.name, historicalData),
+            showTimeframeButtons: false
+        };
     }
 
-    const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-    if (!BOT_TOKEN) {
-        console.error('❌ TELEGRAM_BOT_TOKEN not set');
-        return res.status(500).json({
-            error: 'Bot token not configured'
-        });
+    return { text: `\`Failed to get chart data for ${coinData.name}\``, photoUrl: '' };
+}
+
+// Returns null when either coin cannot be found
+async function buildCompareMessage(symbol1, symbol2, chatId, tr = getTranslator()) {
+    const coin1 = await getCoinDataWithChanges(symbol1, { chatId });
+    const coin2 = await getCoinDataWithChanges(symbol2, { chatId });
+    if (!coin1 || !coin2) return null;
+
+    const circulatingSupply1 = coin1.circulating_supply;
+    const marketCap2 = coin2.market_cap;
+    let theoreticalPrice = null;
+    if (circulatingSupply1 > 0 && marketCap2 > 0) {
+        theoreticalPrice = marketCap2 / circulatingSupply1;
+    }
+
+    if (theoreticalPrice) {
+        return buildCompareReply(coin1, coin2, theoreticalPrice, tr);
+    }
+    return `\`${tr.t('compare.missing')}\``;
+}
+
+async function buildGasMessage(chatId, tr = getTranslator()) {
+    const ethCoin = await getCoinDataWithChanges('eth', { chatId });
+    const ethPrice = ethCoin ? ethCoin.current_price : null;
+    const gasPrices = await getEthGasPrice();
+    if (ethPrice && gasPrices) {
+        return buildGasReply(gasPrices, ethPrice, tr, ethCoin.fiat);
+    }
+    return `\`${tr.t('gas.failed')}\``;
+}
+
+async function handleQueCommand(ctx, question) {
+    const { botToken, chatId, msg } = ctx;
+    let prompt = question;
+
+    if (msg.reply_to_message && msg.reply_to_message.text) {
+        const repliedText = msg.reply_to_message.text;
+        prompt = `(Context: "${repliedText}")\n\n${prompt}`;
     }
 
     try {
-        const update = req.body;
-        if (!update || (!update.message && !update.callback_query)) {
-            return res.status(200).json({
-                ok: true,
-                message: 'No message or callback in update'
-            });
+        let responseText;
+        if (prompt.length > 0) {
+            responseText = await getGeminiReply(prompt);
+        } else {
+            responseText = "Please provide a query after the /que command.";
         }
 
-        // ENHANCED: Handle callback queries for timeframe selection and refresh
-        if (update.callback_query) {
-            const callbackQuery = update.callback_query;
-            const chatId = callbackQuery.message.chat.id;
-            const messageId = callbackQuery.message.message_id;
-            const messageThreadId = callbackQuery.message.message_thread_id;
-            const callbackData = callbackQuery.data;
+        responseText = escapeHtml(responseText);
+        const messageParts = splitMessage(responseText, 600);
 
-            try {
-                await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/answerCallbackQuery`, {
-                    callback_query_id: callbackQuery.id
-                });
-            } catch (error) {
-                console.error('❌ Error answering callback query:', error.message);
+        for (let i = 0; i < messageParts.length; i++) {
+            const part = messageParts[i];
+            const isLastPart = i === messageParts.length - 1;
+
+            const partIndicator = messageParts.length > 1 ?
+                `\n\n📱 ${i + 1}/${messageParts.length}` : '';
+
+            await getTelegramClient(botToken).sendMessage(chatId, part + partIndicator, {
+                reply_to_message_id: isLastPart ? msg.message_id : undefined,
+                parse_mode: "HTML"
+            });
+
+            if (i < messageParts.length - 1) {
+                await new Promise(resolve => setTimeout(resolve, 100));
             }
+        }
+    } catch (err) {
+        logTelegramError('Telegram API error', err);
+        try {
+            await getTelegramClient(botToken).sendMessage(chatId, "Sorry, I'm having trouble right now. Please try again!", {
+                reply_to_message_id: msg.message_id,
+                parse_mode: "HTML"
+            });
+        } catch (fallbackErr) {
+            console.error("Fallback message also failed:", fallbackErr);
+        }
+    }
+}
 
-            // Handle timeframe-specific chart requests
-            if (callbackData.startsWith('chart_1d_') || callbackData.startsWith('chart_7d_') ||
-                callbackData.startsWith('chart_30d_') || callbackData.startsWith('chart_90d_')) {
-                const parts = callbackData.split('_');
-                const timeframe = parts[1].toUpperCase();
-                const symbol = parts.slice(2).join('_');
-
-                const coinData = await getCoinDataWithChanges(symbol);
-                if (coinData) {
-                    let days;
-                    switch (timeframe) {
-                        case '1D': days = 1; break;
-                        case '7D': days = 7; break;
-                        case '30D': days = 30; break;
-                        case '90D': days = 90; break;
-                        default: days = 30;
-                    }
+async function handleQuoteCommand(ctx) {
+    const { botToken, chatId, messageThreadId, msg } = ctx;
+    const repliedToMessage = msg.reply_to_message;
+    console.log('🔍 Quote command received:', {
+        hasReplyMessage: !!repliedToMessage,
+        hasText: !!(repliedToMessage?.text),
+        hasCaption: !!(repliedToMessage?.caption),
+        textPreview: repliedToMessage?.text?.substring(0, 30) || 'none'
+    });
+    
+    if (!repliedToMessage) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, '`Please reply to a message with /quote or /s to create an image.`');
+        return;
+    }
 
-                    const ohlcData = await getOHLCData(coinData.id, days);
-                    let chartUrl, caption;
+    // Ensure the replied message has proper text content or is a media message
+    let messageText = repliedToMessage.text || repliedToMessage.caption || '';
+    const isMediaMessage = !!(repliedToMessage.photo || repliedToMessage.video || repliedToMessage.document || repliedToMessage.sticker || repliedToMessage.animation);
+    
+    // Basic validation logging
+    if (!messageText || messageText.trim() === '') {
+        console.log('🔍 Empty message detected, checking for media:', {
+            isMediaMessage: isMediaMessage,
+            hasPhoto: !!repliedToMessage.photo,
+            hasVideo: !!repliedToMessage.video,
+            hasDocument: !!repliedToMessage.document
+        });
+    }
+    
+    // If no text/caption but it's a media message, use a placeholder
+    if ((!messageText || messageText.trim() === '') && isMediaMessage) {
+        const mediaType = repliedToMessage.photo ? 'Photo' : 
+                        repliedToMessage.video ? 'Video' : 
+                        repliedToMessage.document ? 'Document' : 
+                        repliedToMessage.sticker ? 'Sticker' : 
+                        repliedToMessage.animation ? 'GIF' : 'Media';
+        messageText = `[${mediaType}]`;
+        console.log(`📸 Using placeholder text for ${mediaType.toLowerCase()}: "${messageText}"`);
+    }
+    
+    // Use a generic placeholder if there is still nothing to quote
+    if (!messageText || messageText.trim() === '') {
+        console.log('⚠️ Message validation failed - using fallback:', {
+            hasText: !!repliedToMessage.text,
+            hasCaption: !!repliedToMessage.caption,
+            hasMedia: isMediaMessage
+        });
+        messageText = '[Message]';
+    }
+    
+    console.log('📝 Creating quote for message:', {
+        text: messageText,
+        originalText: repliedToMessage.text,
+        caption: repliedToMessage.caption,
+        isMediaMessage: isMediaMessage,
+        from: repliedToMessage.from,
+        messageId: repliedToMessage.message_id
+    });
+    
+    // Create a modified message object with the processed text
+    const messageToQuote = {
+        ...repliedToMessage,
+        text: messageText // Use processed text (text, caption, or placeholder)
+    };
+    const quoteImageBuffer = await getQuoteImageUrl(messageToQuote, null, botToken);
+    
+    if (quoteImageBuffer && quoteImageBuffer.length > 0) {
+        console.log('✅ Quote image generated successfully, size:', quoteImageBuffer.length, 'bytes');
+        await sendStickerToTopic(botToken, chatId, messageThreadId, quoteImageBuffer);
+    } else {
+        console.error('❌ Quote image buffer is empty or null');
+        await sendMessageToTopic(botToken, chatId, messageThreadId, '`Failed to generate quote image. Please try again later.`');
+    }
+}
 
-                    if (ohlcData && ohlcData.length > 0) {
-                        chartUrl = getCandlestickChartUrl(coinData.name, ohlcData, timeframe);
-                        caption = `*${coinData.name}* OHLC Chart (${timeframe})`;
-                    } else {
-                        const historicalData = await getHistoricalData(coinData.id);
-                        if (historicalData && historicalData.length > 0) {
-                            chartUrl = getChartImageUrl(coinData.name, historicalData);
-                            caption = `*${coinData.name}* Price Chart (${timeframe}) - Line Chart Fallback`;
-                        } else {
-                            caption = `\`Failed to get chart data for ${coinData.name}\``;
-                        }
-                    }
+async function handleChartCommand(ctx, { symbol }) {
+    if (!symbol) return;
 
-                    if (chartUrl) {
-                        try {
-                            const deleteResponse = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/deleteMessage`, {
-                                chat_id: parseInt(chatId),
-                                message_id: parseInt(messageId)
-                            }, {
-                                timeout: 10000,
-                                headers: { 'Content-Type': 'application/json' }
-                            });
-                            console.log('✅ Successfully deleted old chart message');
-                            
-                            await sendPhotoToTopic(BOT_TOKEN, chatId, messageThreadId, chartUrl, caption, symbol, true);
-                        } catch (deleteError) {
-                            console.warn('⚠️ Could not delete message, trying to edit instead:', deleteError.message);
-                            await editMessageInTopic(BOT_TOKEN, chatId, messageId, messageThreadId, caption, chartUrl, symbol, true);
-                        }
-                    } else {
-                        await editMessageInTopic(BOT_TOKEN, chatId, messageId, messageThreadId, caption, '', symbol, false);
-                    }
-                }
+    const chart = await buildChartReply(symbol, ctx.chatId);
+    // FIXED: Stay silent when the coin or its chart data is missing (unless a provider is cooling down)
+    if (chart && chart.photoUrl) {
+        await sendPhotoToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId, chart.photoUrl,
+            chart.text, symbol, chart.showTimeframeButtons, ctx.user.id);
+    } else {
+        await replyIfCoolingDown(ctx.botToken, ctx.chatId, ctx.messageThreadId);
+    }
+}
 
-                return res.status(200).json({ ok: true });
-            }
+async function handleAlertCommand(ctx, { symbol, condition, priceStr, fiat }) {
+    const { botToken, chatId, messageThreadId, user } = ctx;
+    const tr = await getChatTranslator(ctx);
 
-            // FIXED: Enhanced refresh handler with proper amount preservation
-            if (callbackData.startsWith('refresh_')) {
-                const originalCommand = callbackData.substring('refresh_'.length);
-                let reply = '';
-                let isPhoto = false;
-                let photoUrl = '';
-                let showTimeframeButtons = false;
-
-                if (originalCommand.startsWith('dexscreener_')) {
-                    const address = originalCommand.substring('dexscreener_'.length);
-                    const dexScreenerData = await getCoinFromDexScreener(address);
-                    if (dexScreenerData) {
-                        reply = buildDexScreenerReply(dexScreenerData);
-                        const firstPostInfo = await getFirstPostInfo(address, chatId);
-                        if (firstPostInfo) {
-                            const signature = buildSignature(firstPostInfo, dexScreenerData.priceChange?.h1 || 0, chatId);
-                            reply += signature;
-                        }
-                    } else {
-                        reply = '`Could not refresh DexScreener data.`';
-                    }
-                } else if (originalCommand.startsWith('chart_')) {
-                    const symbol = originalCommand.substring('chart_'.length);
-                    const coinData = await getCoinDataWithChanges(symbol);
-                    if (coinData) {
-                        const ohlcData = await getOHLCData(coinData.id, 30);
-                        if (ohlcData && ohlcData.length > 0) {
-                            reply = `*${coinData.name}* Candlestick Chart (30D)`;
-                            photoUrl = getCandlestickChartUrl(coinData.name, ohlcData, '30D');
-                            isPhoto = true;
-                            showTimeframeButtons = true;
-                        } else {
-                            const historicalData = await getHistoricalData(coinData.id);
-                            if (historicalData && historicalData.length > 0) {
-                                reply = `*${coinData.name}* Price Chart (30D) - Line Chart Fallback`;
-                                photoUrl = getChartImageUrl(coinData.name, historicalData);
-                                isPhoto = true;
-                            } else {
-                                reply = `\`Failed to get chart data for ${coinData.name}\``;
-                            }
-                        }
-                    }
-                } else if (originalCommand === 'gas') {
-                    const ethCoin = await getCoinDataWithChanges('eth');
-                    const ethPrice = ethCoin ? ethCoin.current_price : null;
-                    const gasPrices = await getEthGasPrice();
-                    if (ethPrice && gasPrices) {
-                        reply = buildGasReply(gasPrices, ethPrice);
-                    } else {
-                        reply = '`Failed to retrieve gas data`';
-                    }
-                } else if (originalCommand.startsWith('compare_')) {
-                    const parts = originalCommand.substring('compare_'.length).split('_');
-                    const [symbol1, symbol2] = parts;
-                    const coin1 = await getCoinDataWithChanges(symbol1);
-                    const coin2 = await getCoinDataWithChanges(symbol2);
-                    if (coin1 && coin2) {
-                        const circulatingSupply1 = coin1.circulating_supply;
-                        const marketCap2 = coin2.market_cap;
-                        let theoreticalPrice = null;
-                        if (circulatingSupply1 > 0 && marketCap2 > 0) {
-                            theoreticalPrice = marketCap2 / circulatingSupply1;
-                        }
+    // Usage: /alert btc above 100000 [fiat]
+    if (!symbol || !condition || !priceStr || (fiat && !isFiat(fiat))) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('alert.usage')}\``);
+        return;
+    }
+    
+    if (!['above', 'below'].includes(condition)) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('alert.badCondition')}\``);
+        return;
+    }
+    
+    const targetPrice = parseFloat(priceStr);
+    if (isNaN(targetPrice) || targetPrice <= 0) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('alert.badPrice')}\``);
+        return;
+    }
 
-                        if (theoreticalPrice) {
-                            reply = buildCompareReply(coin1, coin2, theoreticalPrice);
-                        } else {
-                            reply = '`Could not perform comparison. Missing required data.`';
-                        }
-                    }
-                } else if (originalCommand.startsWith('leaderboard')) {
-                    reply = await buildLeaderboardReply(chatId);
-                    await editMessageInTopic(BOT_TOKEN, chatId, messageId, messageThreadId, reply, '', 'leaderboard');
-                    return res.status(200).json({ ok: true });
-                }
-                // FIXED: Multi-token refresh handler with amount preservation
-                else if (originalCommand.startsWith('multi_')) {
-                    const tokensString = originalCommand.substring('multi_'.length);
-                    const tokenPairs = tokensString.split('|');
-                    
-                    const tokensToFetch = tokenPairs.map(pair => {
-                        const [amount, symbol] = pair.split('_');
-                        return { amount: parseFloat(amount), symbol: symbol };
-                    });
-                    
-                    console.log(`🔄 Refreshing ${tokensToFetch.length} tokens:`, tokensToFetch);
-                    
-                    // Use batch API call for better performance and rate limiting
-                    const symbols = tokensToFetch.map(token => token.symbol);
-                    const batchCoins = await getBatchCoinData(symbols);
-                    
-                    const results = tokensToFetch.map(token => {
-                        const coin = batchCoins.find(c => c.symbol.toLowerCase() === token.symbol.toLowerCase());
-                        if (coin) {
-                            return buildReply(coin, token.amount);
-                        } else {
-                            console.log(`⚠️ Coin not found during refresh: ${token.symbol}`);
-                            return null; // Don't show "not found" messages during refresh
-                        }
-                    });
-                    const validResults = results.filter(r => r !== null);
-                    
-                    if (validResults.length > 0) {
-                        reply = validResults.join('\n\n');
-                    } else {
-                        reply = '`Unable to refresh data. Please try again later.`';
-                    }
-                    
-                    console.log(`✅ Refreshed multi-token reply with ${validResults.length} tokens`);
-                }
-                // FIXED: Single token refresh with amount preservation
-                else {
-                    if (originalCommand.includes('_')) {
-                        const [amountStr, symbol] = originalCommand.split('_');
-                        const amount = parseFloat(amountStr);
-                        if (!isNaN(amount) && symbol) {
-                            const coin = await getCoinDataWithChanges(symbol);
-                            if (coin) {
-                                reply = buildReply(coin, amount);
-                            } else {
-                                console.log(`⚠️ Coin not found during refresh: ${symbol}`);
-                                reply = '`Unable to refresh data. Please try again later.`';
-                            }
-                        } else {
-                            const coin = await getCoinDataWithChanges(originalCommand);
-                            if (coin) {
-                                reply = buildReply(coin, 1);
-                            } else {
-                                console.log(`⚠️ Coin not found during refresh: ${originalCommand}`);
-                                reply = '`Unable to refresh data. Please try again later.`';
-                            }
-                        }
-                    } else {
-                        const coin = await getCoinDataWithChanges(originalCommand);
-                        if (coin) {
-                            reply = buildReply(coin, 1);
-                        } else {
-                            console.log(`⚠️ Coin not found during refresh: ${originalCommand}`);
-                            reply = '`Unable to refresh data. Please try again later.`';
-                        }
-                    }
-                }
+    // Verify the coin exists
+    const currency = fiat ? fiat.toLowerCase() : await getChatFiat(chatId);
+    const coinData = await getCoinDataWithChanges(symbol, { chatId, fiat: currency });
+    if (!coinData) {
+        if (await replyIfCoolingDown(botToken, chatId, messageThreadId)) return;
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('alert.notFound', { symbol: symbol.toUpperCase() })}\``);
+        return;
+    }
+    // The target is in the alert's currency, so a missing exchange rate cannot be papered over with USD
+    if (coinData.fiat !== currency) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('alert.failed')}\``);
+        return;
+    }
 
-                await editMessageInTopic(BOT_TOKEN, chatId, messageId, messageThreadId, reply, photoUrl, originalCommand, showTimeframeButtons);
-            } else if (callbackData === 'delete_message') {
-                try {
-                    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/deleteMessage`, {
-                        chat_id: parseInt(chatId),
-                        message_id: parseInt(messageId)
-                    }, {
-                        timeout: 10000,
-                        headers: { 'Content-Type': 'application/json' }
-                    });
-                    console.log('✅ Successfully deleted message');
-                } catch (error) {
-                    console.error('❌ Error deleting message:', {
-                        status: error.response?.status,
-                        statusText: error.response?.statusText,
-                        data: error.response?.data,
-                        message: error.message
-                    });
-                }
-            }
+    const username = user.username || user.first_name || `User${user.id}`;
+    const success = await createPriceAlert(user.id, chatId, symbol, condition, targetPrice, username, currency);
+    
+    if (success) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, tr.t('alert.set', {
+            symbol: symbol.toUpperCase(),
+            condition: tr.t(`condition.${condition}`),
+            target: tr.price(targetPrice, currency),
+            price: tr.price(coinData.current_price, currency)
+        }), 'alert_set', { requesterId: user.id });
+    } else {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('alert.failed')}\``);
+    }
+}
 
-            return res.status(200).json({ ok: true });
-        }
+async function handleRemindCommand(ctx) {
+    const { botToken, chatId, messageThreadId, user, text } = ctx;
+    const tr = await getChatTranslator(ctx);
 
-        const msg = update.message;
-        // Basic message processing logging
-        if (msg?.text?.startsWith('/')) {
-            console.log('📨 Processing command message:', msg.text);
-        }
-        
-        if (!msg || !msg.text) {
-            console.log('⚠️ Skipping message - no text content');
-            return res.status(200).json({
-                ok: true,
-                message: 'No text in message'
-            });
-        }
+    // Usage: /remind "check portfolio" 3pm
+    const reminderMatch = text.match(/^[/.]remind(?:@\w+)?\s+"([^"]+)"\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i);
+    
+    if (!reminderMatch) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, tr.t('remind.usage'));
+        return;
+    }
+    
+    const [, reminderMessage, timeStr] = reminderMatch;
+    const triggerTime = parseTimeToIST(timeStr);
+    
+    if (!triggerTime) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('remind.badTime')}\``);
+        return;
+    }
+    
+    // Validate date is not too far in future (7 days max for time-only reminders)
+    const sevenDaysFromNow = new Date();
+    sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
+    if (triggerTime > sevenDaysFromNow) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('remind.tooFar')}\``);
+        return;
+    }
 
-        const chatId = msg.chat.id;
-        const messageId = msg.message_id;
-        const messageThreadId = msg.message_thread_id;
-        const text = msg.text.trim();
-        const user = msg.from;
-        const chatType = msg.chat.type;
+    const username = user.username || user.first_name || `User${user.id}`;
+    const success = await createTimeReminder(user.id, chatId, reminderMessage, triggerTime, username);
+    
+    if (success) {
+        // The translator shows dates and times in IST
+        await sendMessageToTopic(botToken, chatId, messageThreadId, tr.t('remind.set', {
+            message: reminderMessage,
+            date: tr.date(triggerTime),
+            time: tr.time(triggerTime)
+        }), 'reminder_set', { requesterId: user.id });
+    } else {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('remind.failed')}\``);
+    }
+}
+
+async function handleCancelCommand(ctx, { alertType, indexStr }) {
+    const { botToken, chatId, messageThreadId, user } = ctx;
+    const tr = await getChatTranslator(ctx);
+
+    // Usage: /cancel price 1 OR /cancel time 2
+    if (!alertType || !indexStr) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('cancel.usage')}\``);
+        return;
+    }
+    
+    if (!['price', 'time'].includes(alertType)) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('cancel.badType')}\``);
+        return;
+    }
+    
+    const alertIndex = parseInt(indexStr);
+    if (isNaN(alertIndex) || alertIndex <= 0) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('cancel.badIndex')}\``);
+        return;
+    }
+    
+    const success = await cancelAlert(user.id, chatId, alertType, alertIndex);
+    
+    if (success) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, tr.t(`cancel.done.${alertType}`, { index: alertIndex }));
+    } else {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('cancel.notFound')}\``);
+    }
+}
+
+async function handleCompareCommand(ctx, { symbol1, symbol2 }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const tr = await getChatTranslator(ctx);
+    if (!symbol1 || !symbol2) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('compare.usage')}\``, `compare_${symbol1}_${symbol2}`);
+        return;
+    }
+
+    const reply = await buildCompareMessage(symbol1, symbol2, chatId, tr);
+    // FIXED: Removed "coins not found" message
+    if (reply) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, reply, `compare_${symbol1}_${symbol2}`, { requesterId: ctx.user.id });
+    } else {
+        await replyIfCoolingDown(botToken, chatId, messageThreadId);
+    }
+}
+
+async function handleHelpCommand(ctx) {
+    const settings = await chatSettings.get(ctx.chatId);
+    const tr = getTranslator(resolveLocale(settings.language, ctx.user?.language_code));
+    // Lines without a translation keep the English text from the registry
+    let helpMessage = commands.buildHelp((type, id, text) => {
+        const key = `help.${type}.${id}`;
+        return tr.has(key) ? tr.t(key) : text;
+    });
+
+    // Only show @all command where it is switched on
+    if (isValidMentionContext(settings)) {
+        helpMessage += `\n\n${tr.t('help.mentions')}`;
+    }
+
+    helpMessage += `\n\n${tr.t('help.other')}`;
+
+    await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId, helpMessage);
+}
+
+async function handleSumCommand(ctx, { timeParam }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const tr = await getChatTranslator(ctx);
+
+    // Usage: /sum 6h, /sum 1d, /sum 30m
+    if (!timeParam) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('sum.usage')}\``);
+        return;
+    }
+    
+    const timeRange = parseTimeParameter(timeParam);
+    
+    if (!timeRange) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('sum.badTime')}\``);
+        return;
+    }
+    
+    // Send a "generating" message
+    await sendMessageToTopic(botToken, chatId, messageThreadId, tr.t('sum.generating', { duration: timeRange.duration }));
+    
+    // Retrieve messages from Firebase
+    const messages = await getMessagesForSummary(chatId, timeRange.startTime);
+    
+    if (messages.length === 0) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('sum.empty', { duration: timeRange.duration })}\``);
+        return;
+    }
+    
+    // Generate summary using Gemini AI
+    const summary = await generateChatSummary(messages, timeRange.duration);
+    
+    // Format the final message
+    const basedOn = tr.t(messages.length === 1 ? 'sum.basedOn.one' : 'sum.basedOn.other', { count: messages.length });
+    const finalMessage = `${tr.t('sum.title', { duration: timeRange.duration })}\n\n${summary}\n\n${basedOn}`;
+    
+    await sendMessageToTopic(botToken, chatId, messageThreadId, finalMessage, 'summary', { requesterId: ctx.user.id });
+}
+
+async function handleProviderCommand(ctx, { providerName }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const names = ['auto', ...getProviderNames()];
+    const available = names.join(', ');
+    const tr = await getChatTranslator(ctx);
+
+    if (!providerName) {
+        const current = await getChatProvider(chatId);
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('provider.current', { name: current || 'auto', available })}\``);
+        return;
+    }
+
+    if (!names.includes(providerName)) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('provider.unknown', { name: providerName, available })}\``);
+        return;
+    }
+
+    const updated = await chatSettings.update(chatId, { marketDataProvider: providerName === 'auto' ? null : providerName });
+    if (updated) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('provider.set', { name: providerName })}\``);
+    } else {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('provider.saveFailed')}\``);
+    }
+}
+
+async function handleLanguageCommand(ctx, { code }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const codes = Object.keys(SUPPORTED_LOCALES).join(' | ');
+    const tr = await getChatTranslator(ctx);
+
+    if (!code) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('language.current', { name: SUPPORTED_LOCALES[tr.locale].name, codes })}\``);
+        return;
+    }
+
+    const locale = code.toLowerCase();
+    if (!SUPPORTED_LOCALES[locale]) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('language.unknown', { code, codes })}\``);
+        return;
+    }
+
+    const updated = await chatSettings.update(chatId, { language: locale });
+    if (updated) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${getTranslator(locale).t('language.set', { name: SUPPORTED_LOCALES[locale].name })}\``);
+    } else {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('language.saveFailed')}\``);
+    }
+}
+
+async function handleCurrencyCommand(ctx, { code }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const codes = Object.keys(FIAT_CURRENCIES).join(' | ');
+    const tr = await getChatTranslator(ctx);
+
+    if (!code) {
+        const current = await getChatFiat(chatId);
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('currency.current', {
+            name: FIAT_CURRENCIES[current].name, code: current.toUpperCase(), codes
+        })}\``);
+        return;
+    }
+
+    const fiat = code.toLowerCase();
+    if (!isFiat(fiat)) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('currency.unknown', { code, codes })}\``);
+        return;
+    }
+
+    const updated = await chatSettings.update(chatId, { fiat });
+    if (updated) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('currency.set', { name: FIAT_CURRENCIES[fiat].name, code: fiat.toUpperCase() })}\``);
+    } else {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('currency.saveFailed')}\``);
+    }
+}
+
+async function handlePinCommand(ctx, { symbol, coinId }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+
+    if (!symbol || !coinId) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            '`Usage: /pin [symbol] [coingecko-id]\nExample: /pin pepe pepe\nUse /unpin [symbol] to remove a pin.`');
+        return;
+    }
+
+    // Verify the id with CoinGecko itself before pinning so a typo cannot break lookups
+    // (symbol-based providers would price the ticker whatever id came with it)
+    let coin;
+    try {
+        coin = await lookupCoinGecko(coinId);
+    } catch (error) {
+        console.error(`❌ Could not verify coin id ${coinId}:`, error.message);
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            '`Could not reach CoinGecko to check that id. Please try again later.`');
+        return;
+    }
+    if (!coin) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`No coin found with id "${coinId}".\``);
+        return;
+    }
+
+    await prices.resolver.pin(symbol, coinId);
+    await sendMessageToTopic(botToken, chatId, messageThreadId,
+        `\`${symbol.toUpperCase()} now always resolves to ${coin.name} (${coinId}).\``);
+}
+
+async function handleUnpinCommand(ctx, { symbol }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+
+    if (!symbol) {
+        await sendMessageToTopic(botToken, chatId, messageThreadId, '`Usage: /unpin [symbol]`');
+        return;
+    }
+
+    await prices.resolver.unpin(symbol);
+    await sendMessageToTopic(botToken, chatId, messageThreadId,
+        `\`${symbol.toUpperCase()} pin removed.\``);
+}
+
+// --- /alias (per-chat tickers: nicknames and project coins search gets wrong) ---
+const ALIAS_NAME = /^[a-z]{2,10}$/; // Typeable wherever a ticker is ("2 frog")
+const MAX_ALIASES = 50;
+
+/**
+ * Finds the coin an alias should point at
+ * @param {string} target - CoinGecko id or contract address
+ * @returns {Promise<Object|null>} - { id, symbol, name }, or null when no listed coin matches
+ */
+async function resolveAliasTarget(target) {
+    try {
+        if (isContractAddress(target)) {
+            // DexScreener knows the chain, CoinGecko then maps the contract on it to a coin id
+            const pair = await getCoinFromDexScreener(target);
+            return pair ? await lookupContractCoinGecko(pair.chainId, target) : null;
+        }
+        return await lookupCoinGecko(target.toLowerCase());
+    } catch (error) {
+        console.error(`❌ Alias target lookup failed for ${target}:`, error.message);
+        return null;
+    }
+}
+
+async function handleAliasCommand(ctx, { action, name, target }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const tr = await getChatTranslator(ctx);
+    const reply = (key, params) => sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t(key, params)}\``);
+
+    const settings = await chatSettings.get(chatId);
+    const aliases = settings.aliases || {};
+    const alias = name?.toLowerCase();
+
+    switch (action?.toLowerCase()) {
+        case 'list': {
+            const names = Object.keys(aliases).sort();
+            if (names.length === 0) return reply('alias.none');
+            return reply('alias.list', { aliases: names.map(n => `${n.toUpperCase()} → ${aliases[n].id}`).join('\n') });
+        }
+        case 'add': {
+            if (!alias || !target) return reply('alias.usage');
+            if (!ALIAS_NAME.test(alias) || isFiat(alias)) return reply('alias.badName', { name });
+            if (!(alias in aliases) && Object.keys(aliases).length >= MAX_ALIASES) {
+                return reply('alias.tooMany', { max: MAX_ALIASES });
+            }
+
+            const coin = await resolveAliasTarget(target);
+            if (!coin) return reply('alias.notFound', { target });
+
+            const updated = await chatSettings.update(chatId, { aliases: { ...aliases, [alias]: { id: coin.id, symbol: coin.symbol } } });
+            if (!updated) return reply('alias.saveFailed');
+            console.log(`✅ Alias ${alias} -> ${coin.id} in chat ${chatId}`);
+            return reply('alias.added', { name: alias.toUpperCase(), coin: coin.name, id: coin.id });
+        }
+        case 'remove':
+        case 'delete': {
+            if (!alias) return reply('alias.usage');
+            if (!(alias in aliases)) return reply('alias.missing', { name: alias.toUpperCase() });
+
+            // Stored as null so Firestore merges drop the old value
+            const updated = await chatSettings.update(chatId, { aliases: { ...aliases, [alias]: null } });
+            if (!updated) return reply('alias.saveFailed');
+            return reply('alias.removed', { name: alias.toUpperCase(), id: aliases[alias].id });
+        }
+        default:
+            return reply('alias.usage');
+    }
+}
+
+// --- /settings (admin-only per-chat feature switches) ---
+const VALID_USERNAME = /^[a-zA-Z0-9_]{1,32}$/;
+
+function buildSettingsMessage(settings, tr) {
+    const text = tr.t('settings.title', { members: settings.mentionMembers.length, coins: settings.coinLimit });
+
+    // TOGGLES labels are the English names; other languages translate them by key
+    const toggleRows = TOGGLES.map(({ key, label }) => [{
+        text: `${settings[key] ? '✅' : '❌'} ${tr.has(`settings.toggle.${key}`) ? tr.t(`settings.toggle.${key}`) : label}`,
+        callback_data: `settings_toggle_${key}`
+    }]);
+
+    return {
+        text,
+        reply_markup: {
+            inline_keyboard: [
+                ...toggleRows,
+                [
+                    { text: '➖', callback_data: 'settings_coins_dec' },
+                    { text: tr.t('settings.coins', { count: settings.coinLimit }), callback_data: 'settings_coins_show' },
+                    { text: '➕', callback_data: 'settings_coins_inc' }
+                ],
+                [{ text: '🗑️ Delete', callback_data: 'delete_message' }]
+            ]
+        }
+    };
+}
+
+async function handleSettingsMembers(ctx, action, usernames) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const tr = await getChatTranslator(ctx);
+    const settings = await chatSettings.get(chatId);
+    let members = settings.mentionMembers;
+
+    if (action === 'add' || action === 'remove') {
+        const names = usernames.map(name => name.replace(/^@/, '')).filter(name => VALID_USERNAME.test(name));
+        if (names.length === 0) {
+            await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('settings.members.usage')}\``);
+            return;
+        }
+
+        const lowerNames = names.map(name => name.toLowerCase());
+        members = action === 'add'
+            ? [...members, ...names.filter(name => !members.some(m => m.toLowerCase() === name.toLowerCase()))]
+            : members.filter(member => !lowerNames.includes(member.toLowerCase()));
+
+        if (!(await chatSettings.update(chatId, { mentionMembers: members }))) {
+            await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('settings.saveFailed')}\``);
+            return;
+        }
+    }
+
+    const list = members.length > 0 ? members.map(member => `@${member}`).join(' ') : tr.t('settings.members.none');
+    await sendMessageToTopic(botToken, chatId, messageThreadId, tr.t('settings.members', { count: members.length, list }));
+}
+
+// "5/user, 15/chat per 1m" for one command
+function describeCommandLimits(command, overrides, tr) {
+    const { perUser, perChat, windowMs } = getCommandLimits(command, overrides);
+    const part = (limit, scope) => tr.t(`settings.limit.${scope}`, { limit: limit > 0 ? limit : tr.t('settings.limit.unlimited') });
+    const line = tr.t('settings.limit.line', {
+        command, perUser: part(perUser, 'user'), perChat: part(perChat, 'chat'), window: formatTimeDuration(windowMs / 1000)
+    });
+    return overrides[command] ? `${line} ${tr.t('settings.limit.custom')}` : line;
+}
+
+async function handleSettingsLimits(ctx, command, values) {
+    const { botToken, chatId, messageThreadId } = ctx;
+    const tr = await getChatTranslator(ctx);
+    const settings = await chatSettings.get(chatId);
+    const overrides = settings.commandLimits || {};
+
+    if (command !== undefined) {
+        if (!DEFAULT_COMMAND_LIMITS[command]) {
+            await sendMessageToTopic(botToken, chatId, messageThreadId,
+                `\`${tr.t('settings.limit.onlyThese', { commands: Object.keys(DEFAULT_COMMAND_LIMITS).join(', ') })}\``);
+            return;
+        }
+
+        let override;
+        if (values[0] === 'default') {
+            override = null; // Stored as null so Firestore merges drop the old value
+        } else {
+            const [perUser, perChat] = values.map(value => parseInt(value));
+            const valid = (n) => Number.isInteger(n) && n >= 0 && n <= LIMIT_MAX;
+            if (!valid(perUser) || !valid(perChat)) {
+                await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('settings.limit.usage', { max: LIMIT_MAX })}\``);
+                return;
+            }
+            override = { perUser, perChat };
+        }
+
+        const updated = await chatSettings.update(chatId, { commandLimits: { ...overrides, [command]: override } });
+        if (!updated) {
+            await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('settings.saveFailed')}\``);
+            return;
+        }
+        await sendMessageToTopic(botToken, chatId, messageThreadId,
+            `\`${tr.t('settings.limit.updated', { limit: describeCommandLimits(command, updated.commandLimits, tr) })}\``);
+        return;
+    }
+
+    const lines = Object.keys(DEFAULT_COMMAND_LIMITS).map(name => describeCommandLimits(name, overrides, tr));
+    await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${tr.t('settings.limits', { lines: lines.join('\n') })}\``);
+}
+
+async function handleSettingsCommand(ctx, { action, subAction, values, usernames }) {
+    const { botToken, chatId, messageThreadId } = ctx;
+
+    if (action === 'members') {
+        await handleSettingsMembers(ctx, subAction, usernames);
+        return;
+    }
+
+    if (action === 'limits' || action === 'limit') {
+        await handleSettingsLimits(ctx, subAction, values);
+        return;
+    }
+
+    const settings = await chatSettings.get(chatId);
+    const { text, reply_markup } = buildSettingsMessage(settings, await getChatTranslator(ctx));
+    await sendMessageToTopic(botToken, chatId, messageThreadId, text, '', { reply_markup });
+}
+
+async function handleSettingsCallback(ctx, data) {
+    const settings = await chatSettings.get(ctx.chatId);
+    let patch = null;
+
+    if (data.startsWith('settings_toggle_')) {
+        const key = data.substring('settings_toggle_'.length);
+        if (TOGGLES.some(toggle => toggle.key === key)) {
+            patch = { [key]: !settings[key] };
+        }
+    } else if (data === 'settings_coins_inc' && settings.coinLimit < COIN_LIMIT_MAX) {
+        patch = { coinLimit: settings.coinLimit + 1 };
+    } else if (data === 'settings_coins_dec' && settings.coinLimit > COIN_LIMIT_MIN) {
+        patch = { coinLimit: settings.coinLimit - 1 };
+    }
+
+    if (!patch) return;
+
+    const updated = await chatSettings.update(ctx.chatId, patch);
+    if (!updated) return;
+
+    const { text, reply_markup } = buildSettingsMessage(updated, await getChatTranslator(ctx));
+    try {
+        await getTelegramClient(ctx.botToken).editMessage(ctx.chatId, ctx.messageId, text, { parse_mode: 'Markdown', reply_markup });
+    } catch (error) {
+        logTelegramError('Error updating settings message', error);
+    }
+}
+
+// --- Permissions (cached getChatMember checks; see lib/permissions.js) ---
+const permissions = createPermissions();
+
+// Denial text for a rule (catalog keys permission.admin, permission.requester, permission.owner)
+const permissionDenied = (tr, permission) =>
+    tr.t(['admin', 'requester', 'owner'].includes(permission) ? `permission.${permission}` : 'permission.admin');
+
+// --- Command throttling (per user and per chat; group admins are exempt) ---
+const commandThrottle = createCommandThrottle();
+
+// Runs before every command: permission rule first, then the throttle
+async function guardCommand(ctx) {
+    const permission = commands.resolve(ctx.command)?.permission;
+    if (!(await permissions.allows(ctx, permission))) {
+        console.log(`🚫 /${ctx.command} denied for ${ctx.user.id} in ${ctx.chatId} (${permission})`);
+        await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId,
+            `\`${permissionDenied(await getChatTranslator(ctx), permission)}\``, '', { reply_to_message_id: ctx.messageId });
+        return false;
+    }
+    return throttleCommand(ctx);
+}
+
+async function throttleCommand(ctx) {
+    const { botToken, chatId, messageId, messageThreadId, user, command, chatType } = ctx;
+    const settings = await chatSettings.get(chatId);
+    const limits = getCommandLimits(command, settings.commandLimits);
+    if (!limits) return true;
+
+    // Checked before counting so admin usage does not eat into the chat's quota
+    // (only for throttled commands; member statuses are cached)
+    if (chatType !== 'private' && await permissions.isChatAdmin(ctx)) return true;
+
+    const result = commandThrottle.hit({ chatId, userId: user.id, command, limits });
+    if (result.allowed) return true;
+
+    console.log(`⏳ Throttled /${command} for ${user.id} in ${chatId} (${result.scope} limit)`);
+    if (result.notify) {
+        const tr = await getChatTranslator(ctx);
+        const limit = result.scope === 'user'
+            ? tr.t('throttle.perUser', { limit: limits.perUser })
+            : tr.t('throttle.perChat', { limit: limits.perChat });
+        const notice = tr.t('throttle.notice', {
+            command,
+            limit,
+            window: formatTimeDuration(limits.windowMs / 1000),
+            seconds: Math.max(1, Math.ceil(result.retryInMs / 1000))
+        });
+        await sendMessageToTopic(botToken, chatId, messageThreadId, `\`${notice}\``, '', { reply_to_message_id: messageId });
+    }
+    return false;
+}
+
+// --- Refresh Handlers (non-command replies) ---
+
+async function refreshDexScreener(ctx, address) {
+    const dexScreenerData = await getCoinFromDexScreener(address);
+    if (!dexScreenerData) {
+        return { text: '`Could not refresh DexScreener data.`' };
+    }
+
+    let reply = buildDexScreenerReply(dexScreenerData);
+    const firstPostInfo = await getFirstPostInfo(address, ctx.chatId);
+    if (firstPostInfo) {
+        reply += buildSignature(firstPostInfo, dexScreenerData.priceChange?.h1 || 0, ctx.chatId);
+    }
+    return { text: reply };
+}
+
+// FIXED: Multi-token refresh handler with amount preservation
+async function refreshMultiToken(ctx, tokensString) {
+    const tokensToFetch = tokensString.split('|').map(pair => {
+        const [amount, symbol, fiat] = pair.split('_');
+        return { amount: parseFloat(amount), symbol: symbol, fiat: fiat || null };
+    });
+    
+    console.log(`🔄 Refreshing ${tokensToFetch.length} tokens:`, tokensToFetch);
+    
+    // Use batch API call for better performance and rate limiting
+    const symbols = tokensToFetch.map(token => token.symbol);
+    const batchCoins = await getBatchCoinData(symbols, { chatId: ctx.chatId, fiat: tokensToFetch[0].fiat });
+    const tr = await getChatTranslator(ctx);
+    
+    const found = tokensToFetch.map(token => {
+        const coin = findQuote(batchCoins, token.symbol);
+        if (coin) {
+            return { coin, amount: token.amount };
+        }
+        console.log(`⚠️ Coin not found during refresh: ${token.symbol}`);
+        return null; // Don't show "not found" messages during refresh
+    }).filter(r => r !== null);
+    
+    console.log(`✅ Refreshed multi-token reply with ${found.length} tokens`);
+    // Sparkline replies are photos: redraw the grid, or keep the old image if it cannot be drawn
+    const photo = ctx.callbackQuery?.message?.photo;
+    if (photo && found.length > 0) {
+        const gridUrl = getSparklineGridUrl(found.map(entry => entry.coin), tr);
+        return gridUrl
+            ? { text: buildSparklineCaption(found, tr), photoUrl: gridUrl, replacePhoto: true }
+            : { text: buildSparklineCaption(found, tr), photoUrl: photo[photo.length - 1].file_id };
+    }
+    if (found.length > 0) {
+        return { text: found.map(({ coin, amount }) => buildReply(coin, amount, tr)).join('\n\n') };
+    }
+    return { text: buildCooldownReply() || '`Unable to refresh data. Please try again later.`' };
+}
+
+// FIXED: Single token refresh with amount preservation ("2_eth", "2_eth_inr" or "eth")
+async function refreshSingleToken(ctx, payload) {
+    let amount = 1;
+    let symbol = payload;
+    let fiat = null;
+
+    if (payload.includes('_')) {
+        const [amountStr, parsedSymbol, parsedFiat] = payload.split('_');
+        const parsedAmount = parseFloat(amountStr);
+        if (!isNaN(parsedAmount) && parsedSymbol) {
+            amount = parsedAmount;
+            symbol = parsedSymbol;
+            fiat = parsedFiat || null;
+        }
+    }
+
+    const coin = await getCoinDataWithChanges(symbol, { chatId: ctx.chatId, fiat });
+    if (!coin) {
+        console.log(`⚠️ Coin not found during refresh: ${symbol}`);
+        return { text: buildCooldownReply() || '`Unable to refresh data. Please try again later.`' };
+    }
+    return { text: buildReply(coin, amount, await getChatTranslator(ctx)) };
+}
+
+// Conversion refresh ("1_eth_btc")
+async function refreshConversion(ctx, payload) {
+    const [amountStr, from, to] = payload.split('_');
+    const reply = await buildConversionMessage({ amount: parseFloat(amountStr), from, to },
+        { chatId: ctx.chatId }, await getChatTranslator(ctx));
+    return { text: reply || buildCooldownReply() || '`Unable to refresh data. Please try again later.`' };
+}
+
+// --- Ambiguous tickers ("which PEPE did you mean?") ---
+const COIN_PICK_PREFIX = 'pick_';
+
+/**
+ * Finds the first ticker in a lookup that could mean several coins in this chat
+ * @param {string[]} symbols - Tickers from the query
+ * @param {number} chatId - Chat id
+ * @returns {Promise<Object|null>} - { symbol, candidates } or null when every ticker is settled
+ */
+async function findAmbiguousSymbol(symbols, chatId) {
+    for (const symbol of symbols) {
+        const candidates = await prices.getCoinCandidates(symbol, { chatId });
+        if (candidates.length > 0) return { symbol, candidates };
+    }
+    return null;
+}
+
+/**
+ * One button per candidate coin; each carries the lookup to run once the coin is picked
+ * @param {Object} ambiguous - { symbol, candidates } from findAmbiguousSymbol
+ * @param {string} lookupPayload - Refresh payload of the original lookup
+ * @param {number} requesterId - User who asked
+ * @returns {Promise<Object>} - Inline keyboard
+ */
+async function buildCoinPickMarkup({ symbol, candidates }, lookupPayload, requesterId) {
+    const rows = [];
+    for (const candidate of candidates) {
+        const payload = await packCallbackPayload(`${symbol}_${candidate.id}_${lookupPayload}`, COIN_PICK_PREFIX, requesterId);
+        if (payload === null) continue;
+        const rank = candidate.rank ? ` · #${candidate.rank}` : '';
+        rows.push([{ text: `${candidate.name}${rank}`, callback_data: `${COIN_PICK_PREFIX}${payload}` }]);
+    }
+    rows.push([{ text: '🗑️ Delete', callback_data: `delete_message_${requesterId}` }]);
+    return { inline_keyboard: rows };
+}
+
+// Saves the picked coin for the chat, then turns the question into the lookup's reply
+async function handleCoinPick(ctx, data) {
+    const [symbol, coinId, ...rest] = data.slice(COIN_PICK_PREFIX.length).split('_');
+    const lookupPayload = rest.join('_');
+
+    // Callback data comes from the client, so only coins we offered are accepted
+    const candidates = await prices.resolver.candidates(symbol).catch(() => []);
+    if (!candidates.some(candidate => candidate.id === coinId)) {
+        console.log(`⚠️ Ignoring pick of ${coinId} for ${symbol}: not a candidate`);
+        return;
+    }
+
+    const settings = await chatSettings.get(ctx.chatId);
+    const updated = await chatSettings.update(ctx.chatId, { coinChoices: { ...settings.coinChoices, [symbol]: coinId } });
+    if (!updated) {
+        const tr = await getChatTranslator(ctx);
+        await editMessageInTopic(ctx.botToken, ctx.chatId, ctx.messageId, ctx.messageThreadId,
+            `\`${tr.t('coin.pickFailed')}\``, '', lookupPayload, false, ctx.requesterId);
+        return;
+    }
+    console.log(`✅ ${symbol.toUpperCase()} now means ${coinId} in chat ${ctx.chatId}`);
+
+    const route = commands.resolveRefresh(lookupPayload);
+    if (route) {
+        await applyRefresh(ctx, lookupPayload, await route.handler(ctx, route.args, lookupPayload));
+    }
+}
+
+// --- Callback Handlers ---
+
+// Handle timeframe-specific chart requests
+async function handleChartTimeframe(ctx, data) {
+    const { botToken, chatId, messageId, messageThreadId } = ctx;
+    const parts = data.split('_');
+    const timeframe = parts[1].toUpperCase();
+    const symbol = parts.slice(2).join('_');
+
+    const coinData = await getCoinDataWithChanges(symbol, { chatId });
+    if (!coinData) return;
+
+    const days = CHART_TIMEFRAME_DAYS[timeframe] || 30;
+    const ohlcData = await getOHLCData(coinData, days, { chatId });
+    let chartUrl, caption;
+
+    if (ohlcData && ohlcData.length > 0) {
+        chartUrl = getCandlestickChartUrl(coinData.name, ohlcData, timeframe, coinData.fiat);
+        caption = `*${coinData.name}* OHLC Chart (${timeframe})`;
+    } else {
+        const historicalData = await getHistoricalData(coinData, { chatId });
+        if (historicalData && historicalData.length > 0) {
+            chartUrl = getChartImageUrl(coinData.name, historicalData);
+            caption = `*${coinData.name}* Price Chart (${timeframe}) - Line Chart Fallback`;
+        } else {
+            caption = `\`Failed to get chart data for ${coinData.name}\``;
+        }
+    }
+
+    if (!chartUrl) {
+        await editMessageInTopic(botToken, chatId, messageId, messageThreadId, caption, '', symbol, false, ctx.requesterId);
+        return;
+    }
+
+    try {
+        await getTelegramClient(botToken).deleteMessage(chatId, messageId);
+        console.log('✅ Successfully deleted old chart message');
+        
+        await sendPhotoToTopic(botToken, chatId, messageThreadId, chartUrl, caption, symbol, true, ctx.requesterId);
+    } catch (deleteError) {
+        console.warn('⚠️ Could not delete message, trying to edit instead:', deleteError.message);
+        await editMessageInTopic(botToken, chatId, messageId, messageThreadId, caption, chartUrl, symbol, true, ctx.requesterId);
+    }
+}
+
+// The delete button carries the id of the user a reply was made for (delete_message_<userId>)
+function getRequesterId(message) {
+    const buttons = message?.reply_markup?.inline_keyboard?.flat() || [];
+    const deleteButton = buttons.find(button => button.callback_data?.startsWith('delete_message_'));
+    const requesterId = deleteButton ? parseInt(deleteButton.callback_data.slice('delete_message_'.length)) : NaN;
+    return Number.isInteger(requesterId) ? requesterId : null;
+}
+
+async function handleDeleteMessage(ctx) {
+    try {
+        await getTelegramClient(ctx.botToken).deleteMessage(ctx.chatId, ctx.messageId);
+        console.log('✅ Successfully deleted message');
+    } catch (error) {
+        logTelegramError('Error deleting message', error);
+    }
+}
+
+// Applies a refresh result to the message whose button was pressed
+async function applyRefresh(ctx, payload, result) {
+    if (result.replacePhoto) {
+        await editPhotoInTopic(ctx.botToken, ctx.chatId, ctx.messageId, result.photoUrl, result.text,
+            result.callbackData ?? payload, ctx.requesterId);
+        return;
+    }
+    await editMessageInTopic(
+        ctx.botToken,
+        ctx.chatId,
+        ctx.messageId,
+        ctx.messageThreadId,
+        result.text,
+        result.photoUrl || '',
+        result.callbackData ?? payload,
+        result.showTimeframeButtons || false,
+        ctx.requesterId
+    );
+}
+
+// --- Inline mode (@bot btc, @bot 2 eth, @bot 0x...) ---
+const INLINE_CACHE_TTL = 30 * 1000; // Fast typing repeats queries; reuse results for 30s
+const INLINE_CACHE_MAX = 500;
+const INLINE_MAX_COINS = DEFAULT_SETTINGS.coinLimit;
+const inlineCache = new Map(); // locale:query -> { results, timestamp }
+const inlinePending = new Map(); // locale:query -> Promise of results
+
+const isContractAddress = (text) => (text.length === 42 || text.length === 32 || text.length === 44) && /^(0x)?[a-zA-Z0-9]+$/.test(text);
+
+// Inline results must carry an id of at most 64 bytes
+const inlineArticle = (id, title, description, text) => ({
+    type: 'article',
+    id: id.slice(0, 64),
+    title,
+    description,
+    input_message_content: { message_text: text, parse_mode: 'Markdown' }
+});
+
+async function buildInlineResults(query, tr) {
+    if (isContractAddress(query)) {
+        const pair = await getCoinFromDexScreener(query);
+        if (!pair) return [];
+        const price = pair.priceUsd ? fmtPrice(parseFloat(pair.priceUsd)) : 'N/A';
+        return [inlineArticle(`dex_${query}`, `${pair.baseToken.name} (${pair.baseToken.symbol})`,
+            `${price} · ${pair.chainId.toUpperCase()}`, buildDexScreenerReply(pair))];
+    }
+
+    // "btc" on its own means one coin; inline queries have no chat, so prices are in USD unless the query names a fiat
+    const parsed = /^[a-z]{2,10}$/i.test(query) ? { tokens: [{ amount: 1, symbol: query.toLowerCase() }], fiat: null } : parseCoinQuery(query);
+    const tokens = (parsed?.tokens || []).slice(0, INLINE_MAX_COINS);
+    if (tokens.length === 0) return [];
+
+    const coins = await getBatchCoinData(tokens.map(token => token.symbol), { fiat: parsed.fiat });
+    const found = tokens
+        .map(token => ({ ...token, coin: findQuote(coins, token.symbol) }))
+        .filter(token => token.coin);
+
+    const results = found.map(({ amount, coin }, index) => {
+        const symbol = coin.symbol.toUpperCase();
+        const description = amount !== 1
+            ? `${amount} ${symbol} = ${tr.price(coin.current_price * amount, coin.fiat)}`
+            : `${tr.price(coin.current_price, coin.fiat)} · ${fmtChange(coin.price_change_percentage_24h_in_currency ?? null)}`;
+        // The index keeps ids unique when a query names the same coin twice; Telegram rejects duplicates
+        return inlineArticle(`${index}_${coin.id}_${amount}`, `${coin.name} (${symbol})`, description, buildReply(coin, amount, tr));
+    });
+
+    if (found.length > 1) {
+        const combined = found.map(({ amount, coin }) => buildReply(coin, amount, tr)).join('\n\n');
+        const symbols = found.map(({ coin }) => coin.symbol.toUpperCase()).join(', ');
+        results.unshift(inlineArticle(`multi_${found.map(({ coin, amount }) => `${amount}${coin.symbol}`).join('_')}`, symbols, query, combined));
+    }
+    return results;
+}
+
+/**
+ * Inline results for a query, shared between identical queries for INLINE_CACHE_TTL
+ * @param {string} query - Normalized query text
+ * @param {Object} tr - Translator for the person typing
+ * @returns {Promise<Object[]>} - InlineQueryResultArticle list
+ */
+async function getInlineResults(query, tr) {
+    const key = `${tr.locale}:${query}`;
+    const cached = inlineCache.get(key);
+    if (cached && Date.now() - cached.timestamp < INLINE_CACHE_TTL) {
+        return cached.results;
+    }
+
+    if (!inlinePending.has(key)) {
+        inlinePending.set(key, buildInlineResults(query, tr)
+            .then(results => {
+                // Empty results may be a cooldown or a typo in progress; ask again next time
+                if (results.length > 0) {
+                    if (inlineCache.size >= INLINE_CACHE_MAX) {
+                        inlineCache.forEach((entry, entryKey) => {
+                            if (Date.now() - entry.timestamp >= INLINE_CACHE_TTL) inlineCache.delete(entryKey);
+                        });
+                        if (inlineCache.size >= INLINE_CACHE_MAX) inlineCache.delete(inlineCache.keys().next().value);
+                    }
+                    inlineCache.set(key, { results, timestamp: Date.now() });
+                }
+                return results;
+            })
+            .finally(() => inlinePending.delete(key)));
+    }
+    return inlinePending.get(key);
+}
+
+async function handleInlineQuery(botToken, inlineQuery) {
+    // Addresses keep their case (Solana addresses are case-sensitive)
+    const raw = inlineQuery.query.trim();
+    const query = isContractAddress(raw) ? raw : raw.replace(/\s+/g, ' ').toLowerCase();
+    const tr = getTranslator(resolveLocale(inlineQuery.from?.language_code));
+
+    let results = [];
+    if (query) {
+        try {
+            results = await getInlineResults(query, tr);
+        } catch (error) {
+            console.error('❌ Inline query failed:', error.message);
+        }
+    }
+
+    try {
+        await getTelegramClient(botToken).answerInlineQuery(inlineQuery.id, results, {
+            cache_time: Math.floor(INLINE_CACHE_TTL / 1000)
+        });
+        console.log(`✅ Answered inline query "${query}" with ${results.length} result(s)`);
+    } catch (error) {
+        logTelegramError('Error answering inline query', error);
+    }
+}
+
+// --- Command Registry ---
+const CHART_TIMEFRAME_DAYS = { '1D': 1, '7D': 7, '30D': 30, '90D': 90 };
+
+const commands = new CommandRegistry();
+
+commands.addHelpEntry('Commands', '[amount] [symbol] - Get a crypto price, e.g., `2 eth`', 'price');
+commands.addHelpEntry('Commands', '[amount] [symbol] to [symbol] - Convert between coins, e.g., `1 eth to btc`', 'convert');
+commands.addHelpEntry('Commands', '[expression] - Calculate with +, -, *, /, %, ^, k/m/b and coins, e.g., `(2 eth + 0.3 btc) * 0.9`; `ans` is your last result', 'calc');
+
+commands.register({
+    name: 'gas',
+    help: '/gas - Get current Ethereum gas prices',
+    handler: async (ctx) => {
+        const text = await buildGasMessage(ctx.chatId, await getChatTranslator(ctx));
+        await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId, text, 'gas', { requesterId: ctx.user.id });
+    },
+    refresh: async (ctx) => ({ text: await buildGasMessage(ctx.chatId, await getChatTranslator(ctx)) })
+});
+
+commands.register({
+    name: 'chart',
+    help: '/chart [symbol] - View a candlestick chart with timeframes, e.g., `/chart eth`',
+    parseArgs: ([symbol]) => ({ symbol }),
+    handler: handleChartCommand,
+    refresh: async (ctx, symbol) => {
+        const chart = await buildChartReply(symbol, ctx.chatId);
+        return chart ? { ...chart, callbackData: symbol } : null;
+    }
+});
+
+commands.register({
+    name: 'compare',
+    help: '/compare [symbol1] [symbol2] - Compare market caps, e.g., `/compare eth btc`',
+    parseArgs: ([symbol1, symbol2]) => ({ symbol1, symbol2 }),
+    handler: handleCompareCommand,
+    refresh: async (ctx, args) => {
+        const [symbol1, symbol2] = args.split('_');
+        const reply = await buildCompareMessage(symbol1, symbol2, ctx.chatId, await getChatTranslator(ctx));
+        return reply ? { text: reply } : null;
+    }
+});
+
+commands.register({
+    name: 'que',
+    help: '/que [question] - Ask the AI anything, e.g., `/que what is defi`',
+    parseArgs: (args, rawArgs) => rawArgs,
+    handler: handleQueCommand
+});
+
+commands.register({
+    name: 'quote',
+    aliases: ['s'],
+    help: '*/quote* or */s* - Reply to a message with this command to create a quote sticker',
+    handler: handleQuoteCommand
+});
+
+commands.register({
+    name: 'leaderboard',
+    help: '/leaderboard - See the top token finders',
+    handler: async (ctx) => {
+        const reply = await buildLeaderboardReply(ctx.chatId);
+        await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId, reply, 'leaderboard', { requesterId: ctx.user.id });
+    },
+    refresh: async (ctx) => ({ text: await buildLeaderboardReply(ctx.chatId), callbackData: 'leaderboard' })
+});
+
+commands.register({
+    name: 'sum',
+    aliases: ['summary'],
+    help: '*/sum [time]* - Get an AI summary of chat (e.g., `/sum 6h`, `/sum 1d`)',
+    parseArgs: ([timeParam]) => ({ timeParam }),
+    handler: handleSumCommand
+});
+
+commands.register({
+    name: 'provider',
+    help: `/provider [name] - Choose the price data source (auto, ${getProviderNames().join(', ')})`,
+    parseArgs: ([providerName]) => ({ providerName }),
+    permission: 'admin',
+    handler: handleProviderCommand
+});
+
+commands.register({
+    name: 'settings',
+    help: '/settings - Turn bot features on or off and set command limits for this chat (admins only)',
+    parseArgs: ([action, subAction, ...values], rawArgs) => ({
+        action,
+        subAction,
+        values,
+        usernames: rawArgs.split(/\s+/).slice(2)
+    }),
+    permission: 'admin',
+    handler: handleSettingsCommand
+});
+
+commands.register({
+    name: 'language',
+    aliases: ['lang'],
+    help: `/language [${Object.keys(SUPPORTED_LOCALES).join('/')}] - Choose the reply language for this chat`,
+    parseArgs: ([code]) => ({ code }),
+    permission: 'admin',
+    handler: handleLanguageCommand
+});
+
+commands.register({
+    name: 'currency',
+    aliases: ['fiat'],
+    help: '/currency [inr/usd/...] - Choose the currency prices are shown in, e.g., `/currency inr`',
+    parseArgs: ([code]) => ({ code }),
+    permission: 'admin',
+    handler: handleCurrencyCommand
+});
+
+commands.register({
+    name: 'pin',
+    help: '/pin [symbol] [coingecko-id] - Always resolve a ticker to this coin, e.g., `/pin pepe pepe`',
+    parseArgs: ([symbol, coinId]) => ({ symbol, coinId }),
+    permission: 'owner',
+    handler: handlePinCommand
+});
+
+commands.register({
+    name: 'unpin',
+    parseArgs: ([symbol]) => ({ symbol }),
+    permission: 'owner',
+    handler: handleUnpinCommand
+});
+
+commands.register({
+    name: 'alias',
+    help: '/alias add|list|remove - Chat nicknames for coins, e.g., `/alias add frog pepe` (CoinGecko id or contract address)',
+    // Contract addresses keep their case (Solana addresses are case-sensitive)
+    parseArgs: ([action, name], rawArgs) => ({ action, name, target: rawArgs.split(/\s+/)[2] }),
+    permission: 'admin',
+    handler: handleAliasCommand
+});
+
+commands.register({
+    name: 'alert',
+    helpSection: 'NEW: Alerts & Reminders',
+    help: '/alert [symbol] [above/below] [price] [fiat] - Set price alert, e.g., `/alert btc above 100000`',
+    parseArgs: ([symbol, condition, priceStr, fiat]) => ({ symbol, condition, priceStr, fiat }),
+    handler: handleAlertCommand
+});
+
+commands.register({
+    name: 'remind',
+    helpSection: 'NEW: Alerts & Reminders',
+    help: '/remind "message" [time] - Set time reminder (IST), e.g., `/remind "hello" 3pm`',
+    handler: handleRemindCommand
+});
+
+commands.register({
+    name: 'alerts',
+    aliases: ['reminders'],
+    helpSection: 'NEW: Alerts & Reminders',
+    help: '/alerts - View your active alerts and reminders',
+    handler: async (ctx) => {
+        const alerts = await getUserAlerts(ctx.user.id, ctx.chatId);
+        const reply = buildAlertsReply(alerts, await getChatTranslator(ctx));
+        await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId, reply, 'user_alerts', { requesterId: ctx.user.id });
+    },
+    refreshKey: 'user_alerts',
+    refresh: async (ctx) => ({ text: buildAlertsReply(await getUserAlerts(ctx.user.id, ctx.chatId), await getChatTranslator(ctx)) })
+});
+
+commands.register({
+    name: 'cancel',
+    helpSection: 'NEW: Alerts & Reminders',
+    help: '/cancel [price/time] [number] - Cancel specific alert, e.g., `/cancel price 1`',
+    parseArgs: ([alertType, indexStr]) => ({ alertType, indexStr }),
+    handler: handleCancelCommand
+});
+
+commands.register({
+    name: 'help',
+    helpSection: 'NEW: Alerts & Reminders',
+    help: '/help - Show this message',
+    handler: handleHelpCommand
+});
+
+commands.register({
+    name: 'start',
+    handler: async (ctx) => {
+        await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId,
+            '`hey welcome fren! Type /help to know more about the commands.`');
+    }
+});
+
+// One line per upstream host the limiter has seen, e.g. "api.coingecko.com: open (retry in 42s)"
+function formatBreakerStatus() {
+    const hosts = getBreakerStatus();
+    if (hosts.length === 0) return 'Breakers: no requests yet';
+    return 'Breakers:\n' + hosts.map(({ host, state, rateLimitCount, retryInMs }) => {
+        const detail = state === 'open'
+            ? `retry in ${Math.ceil(retryInMs / 1000)}s`
+            : `${rateLimitCount} rate limit${rateLimitCount === 1 ? '' : 's'}`;
+        return `  ${host}: ${state} (${detail})`;
+    }).join('\n');
+}
+
+commands.register({
+    name: 'test',
+    handler: async (ctx) => {
+        await sendMessageToTopic(ctx.botToken, ctx.chatId, ctx.messageThreadId,
+            `\`Bot Status: OK\nChat: ${ctx.chatType}\nTopic: ${ctx.messageThreadId || "None"}\nTime: ${new Date().toISOString()}\n${formatBreakerStatus()}\``);
+    }
+});
+
+commands
+    .setCommandGuard(guardCommand)
+    .registerRefresh('dexscreener', refreshDexScreener)
+    .registerRefresh('multi', refreshMultiToken)
+    .registerRefresh('convert', refreshConversion)
+    .setFallbackRefresh(refreshSingleToken)
+    .registerCallback(/^chart_(1d|7d|30d|90d)_/, handleChartTimeframe)
+    .registerCallback(/^delete_message(_\d+)?$/, handleDeleteMessage, { permission: 'requester' })
+    .registerCallback(/^pick_/, handleCoinPick, { permission: 'requester' })
+    .registerCallback(/^settings_/, handleSettingsCallback, { permission: 'admin' });
+
+// --- Webhook authentication and duplicate-update protection ---
+const UPDATE_ID_TTL = 24 * 60 * 60 * 1000; // Telegram stops redelivering long before this
+let warnedMissingSecret = false;
+
+// Compares the X-Telegram-Bot-Api-Secret-Token header with TELEGRAM_WEBHOOK_SECRET
+function isAuthorizedUpdate(req) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) {
+        if (!warnedMissingSecret) {
+            console.warn('⚠️ TELEGRAM_WEBHOOK_SECRET not set - accepting unauthenticated updates');
+            warnedMissingSecret = true;
+        }
+        return true;
+    }
+
+    const received = req.headers?.['x-telegram-bot-api-secret-token'];
+    if (typeof received !== 'string') return false;
+
+    const expectedBuffer = Buffer.from(secret);
+    const receivedBuffer = Buffer.from(received);
+    return expectedBuffer.length === receivedBuffer.length &&
+        crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
+
+// Returns false when this update_id was already handled (Telegram retries slow requests)
+async function claimUpdate(updateId) {
+    if (updateId == null) return true;
+    try {
+        return await storage.processedUpdates.claim(updateId, UPDATE_ID_TTL);
+    } catch (error) {
+        // Processing twice is better than dropping the update
+        console.error('❌ Error recording update id:', error.message);
+        return true;
+    }
+}
+
+export default async function handler(req, res) {
+    if (req.method === 'GET') {
+        return res.status(200).json({
+            status: 'Webhook endpoint is working!',
+            method: 'GET',
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    if (req.method !== 'POST') {
+        return res.status(405).json({
+            message: 'Method not allowed'
+        });
+    }
+
+    const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+    if (!BOT_TOKEN) {
+        console.error('❌ TELEGRAM_BOT_TOKEN not set');
+        return res.status(500).json({
+            error: 'Bot token not configured'
+        });
+    }
+
+    if (!isAuthorizedUpdate(req)) {
+        console.warn('⚠️ Rejected update with a missing or wrong secret token');
+        return res.status(401).json({
+            error: 'Unauthorized'
+        });
+    }
+
+    try {
+        const update = req.body;
+        if (!update || (!update.message && !update.edited_message && !update.callback_query && !update.inline_query)) {
+            return res.status(200).json({
+                ok: true,
+                message: 'No message or callback in update'
+            });
+        }
+
+        if (!(await claimUpdate(update.update_id))) {
+            console.log(`🔁 Skipping duplicate update ${update.update_id}`);
+            return res.status(200).json({
+                ok: true,
+                message: 'Duplicate update'
+            });
+        }
+
+        if (update.inline_query) {
+            await handleInlineQuery(BOT_TOKEN, update.inline_query);
+            return res.status(200).json({ ok: true });
+        }
+
+        // ENHANCED: Handle callback queries for timeframe selection and refresh
+        if (update.callback_query) {
+            const callbackQuery = update.callback_query;
+            const ctx = {
+                botToken: BOT_TOKEN,
+                chatId: callbackQuery.message.chat.id,
+                messageId: callbackQuery.message.message_id,
+                messageThreadId: callbackQuery.message.message_thread_id,
+                chatType: callbackQuery.message.chat.type,
+                user: callbackQuery.from,
+                requesterId: getRequesterId(callbackQuery.message),
+                callbackQuery
+            };
+
+            const unpacked = await unpackCallbackData(callbackQuery.data);
+            if (!unpacked) {
+                console.log(`⌛ Callback ${callbackQuery.data} has expired`);
+                try {
+                    await getTelegramClient(BOT_TOKEN).answerCallbackQuery(callbackQuery.id, {
+                        text: (await getChatTranslator(ctx)).t('button.expired'),
+                        show_alert: true
+                    });
+                } catch (error) {
+                    console.error('❌ Error answering callback query:', error.message);
+                }
+                return res.status(200).json({ ok: true });
+            }
+            const data = unpacked.data;
+            ctx.requesterId = ctx.requesterId ?? unpacked.requesterId;
+
+            const permission = commands.callbackPermission(data);
+            if (!(await permissions.allows(ctx, permission))) {
+                console.log(`🚫 Callback ${data} denied for ${ctx.user.id} in ${ctx.chatId} (${permission})`);
+                try {
+                    await getTelegramClient(BOT_TOKEN).answerCallbackQuery(callbackQuery.id, {
+                        text: permissionDenied(await getChatTranslator(ctx), permission),
+                        show_alert: true
+                    });
+                } catch (error) {
+                    console.error('❌ Error answering callback query:', error.message);
+                }
+                return res.status(200).json({ ok: true });
+            }
+
+            try {
+                await getTelegramClient(BOT_TOKEN).answerCallbackQuery(callbackQuery.id);
+            } catch (error) {
+                console.error('❌ Error answering callback query:', error.message);
+            }
+
+            await commands.dispatchCallback(ctx, data, applyRefresh);
+
+            return res.status(200).json({ ok: true });
+        }
+
+        // Edits only re-run price, calculator and address lookups (see sendLookupReply)
+        const msg = update.message || update.edited_message;
+        const isEdit = !update.message;
+
+        if (msg?.migrate_to_chat_id || msg?.migrate_from_chat_id) {
+            await migrateChat(msg.migrate_from_chat_id || msg.chat.id, msg.migrate_to_chat_id || msg.chat.id);
+            return res.status(200).json({ ok: true, message: 'Chat migrated' });
+        }
+
+        // Basic message processing logging
+        if (msg?.text?.startsWith('/')) {
+            console.log('📨 Processing command message:', msg.text);
+        }
+        
+        if (!msg || !msg.text) {
+            console.log('⚠️ Skipping message - no text content');
+            return res.status(200).json({
+                ok: true,
+                message: 'No text in message'
+            });
+        }
+
+        const chatId = msg.chat.id;
+        const messageId = msg.message_id;
+        const messageThreadId = msg.message_thread_id;
+        const text = msg.text.trim();
+        const user = msg.from;
+        const chatType = msg.chat.type;
+        const settings = await chatSettings.get(chatId);
+        const lookupCtx = { botToken: BOT_TOKEN, chatId, messageId, messageThreadId, isEdit };
 
         // Store message for summary feature (only for group chats, non-command messages)
         if ((chatType === 'group' || chatType === 'supergroup') && text && !text.startsWith('/')) {
@@ -2429,7 +3514,7 @@ export default async function handler(req, res) {
 
         // Social Media Link Preview
         const linkData = getSingleBestAlternative(text);
-        if (linkData.hasChanges) {
+        if (linkData.hasChanges && settings.linkRewrite && !isEdit) {
             console.log('🔄 Detected social media link, sending clean preview');
             
             const senderUsername = user.username || user.first_name || `User${user.id}`;
@@ -2453,73 +3538,6 @@ export default async function handler(req, res) {
             return res.status(200).json({ ok: true, message: 'Clean preview sent' });
         }
 
-        // Enhanced /que command handler
-        if (text.startsWith('/que')) {
-            let prompt = text.substring(4).trim();
-
-            if (msg.reply_to_message && msg.reply_to_message.text) {
-                const repliedText = msg.reply_to_message.text;
-                prompt = `(Context: "${repliedText}")\n\n${prompt}`;
-            }
-
-            function escapeHtml(str) {
-                if (!str || typeof str !== 'string') return 'Empty response';
-                return str
-                    .replace(/&/g, "&amp;")
-                    .replace(/</g, "&lt;")
-                    .replace(/>/g, "&gt;")
-                    .replace(/"/g, "&quot;")
-                    .replace(/'/g, "&#x27;")
-                    .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
-                    .trim();
-            }
-
-            try {
-                let responseText;
-                if (prompt.length > 0) {
-                    responseText = await getGeminiReply(prompt);
-                } else {
-                    responseText = "Please provide a query after the /que command.";
-                }
-
-                responseText = escapeHtml(responseText);
-                const messageParts = splitMessage(responseText, 600);
-
-                for (let i = 0; i < messageParts.length; i++) {
-                    const part = messageParts[i];
-                    const isLastPart = i === messageParts.length - 1;
-
-                    const partIndicator = messageParts.length > 1 ?
-                        `\n\n📱 ${i + 1}/${messageParts.length}` : '';
-
-                    await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-                        chat_id: chatId,
-                        text: part + partIndicator,
-                        reply_to_message_id: isLastPart ? msg.message_id : undefined,
-                        parse_mode: "HTML"
-                    });
-
-                    if (i < messageParts.length - 1) {
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    }
-                }
-            } catch (err) {
-                console.error("Telegram API error:", err.response?.data || err.message);
-                try {
-                    await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/sendMessage`, {
-                        chat_id: chatId,
-                        text: "Sorry, I'm having trouble right now. Please try again!",
-                        reply_to_message_id: msg.message_id,
-                        parse_mode: "HTML"
-                    });
-                } catch (fallbackErr) {
-                    console.error("Fallback message also failed:", fallbackErr);
-                }
-            }
-
-            return res.status(200).json({ ok: true });
-        }
-
         // FIXED: Move command detection before @all processing to prevent conflicts
         const isCommand = text.startsWith('/') || text.startsWith('.');
         
@@ -2530,9 +3548,9 @@ export default async function handler(req, res) {
 
         // ENHANCED: Check for @all mention command anywhere in the message
         // BUT ONLY if it's not part of a command (like /remind)
-        if (text.toLowerCase().includes('@all') && !isCommand) {
+        if (text.toLowerCase().includes('@all') && !isCommand && !isEdit) {
             // Only work in the specific target group
-            if (isValidMentionContext(chatId)) {
+            if (isValidMentionContext(settings)) {
                 const senderName = user.first_name || user.username || 'Someone';
                 
                 // ENHANCED: Extract custom message by removing @all from the original text
@@ -2541,146 +3559,80 @@ export default async function handler(req, res) {
                 
                 // ENHANCED: Format message based on whether there's custom content
                 const sendMentionMessage = async () => {
-                    // Method 1: Try with HTML formatting first (bypassing markdown issues)
+                    const htmlMentionText = createMentionText('html', settings.mentionMembers);
+                    const markdownMentionText = createMentionText('markdown', settings.mentionMembers);
+                    const plainMentionText = createMentionText('plain', settings.mentionMembers);
+
+                    // FIXED: Add validation to ensure we have mentions to send
+                    if (!htmlMentionText || htmlMentionText.trim() === '') {
+                        console.log(`⚠️ No valid usernames to mention in group ${chatId}`);
+                        return { success: false, error: 'No valid usernames configured' };
+                    }
+
+                    // HTML formatting doesn't need special escaping for usernames (keep newlines, unlike escapeHtml)
+                    const escapeEntities = (str) => str.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+                    const senderName_safe = escapeEntities(senderName);
+                    const escapedSenderName = escapeUsername(senderName);
+                    const variants = hasCustomMessage ? {
+                        // Custom message format: "Message content\n@mentions\n\nMentioned by User"
+                        html: `${escapeEntities(customMessage)}\n${htmlMentionText}\n\n<i>Mentioned by ${senderName_safe}</i>`,
+                        markdown: `${escapeMarkdown(customMessage)}\n${markdownMentionText}\n\n*Mentioned by ${escapedSenderName}*`,
+                        plain: `${customMessage}\n${plainMentionText}\n\nMentioned by ${senderName}`
+                    } : {
+                        // Default format: "Group Mention by User\n@mentions"
+                        html: `🔔 <b>Group Mention by ${senderName_safe}</b>\n\n${htmlMentionText}`,
+                        markdown: `🔔 *Group Mention by ${escapedSenderName}*\n\n${markdownMentionText}`,
+                        plain: `🔔 Group Mention by ${senderName}\n\n${plainMentionText}`
+                    };
+
+                    // Validate message length
+                    if (variants.html.length > 4096) {
+                        console.warn(`⚠️ @all mention too long (${variants.html.length} characters)`);
+                        return { success: false, error: 'Message too long' };
+                    }
+
+                    // The client falls back HTML -> Markdown -> plain text when Telegram rejects the formatting
                     try {
-                        const mentionText = createMentionText('html');
-                        
-                        // FIXED: Add validation to ensure we have mentions to send
-                        if (!mentionText || mentionText.trim() === '') {
-                            console.log(`⚠️ No valid usernames to mention in group ${chatId}`);
-                            return { success: false, error: 'No valid usernames configured' };
-                        }
-                        
-                        // HTML formatting doesn't need special escaping for usernames
-                        const senderName_safe = senderName.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-                        let htmlMessage;
-                        
-                        if (hasCustomMessage) {
-                            // Custom message format: "Message content\n@mentions\n\nMentioned by User"
-                            const customMessage_safe = customMessage.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
-                            htmlMessage = `${customMessage_safe}\n${mentionText}\n\n<i>Mentioned by ${senderName_safe}</i>`;
-                        } else {
-                            // Default format: "Group Mention by User\n@mentions"
-                            htmlMessage = `🔔 <b>Group Mention by ${senderName_safe}</b>\n\n${mentionText}`;
-                        }
-                        
-                        // Validate message length
-                        if (htmlMessage.length > 4096) {
-                            throw new Error('Message too long');
-                        }
-                        
-                        console.log(`🔍 DEBUG - About to send HTML message: "${htmlMessage}"`);
-                        console.log(`🔍 DEBUG - Mention text in message: "${mentionText}"`);
-                        console.log(`🔍 DEBUG - Individual usernames being sent:`, mentionText.split(' '));
-                        console.log(`🔍 DEBUG - Looking for underscores in mention text:`, mentionText.includes('_') ? 'FOUND UNDERSCORES' : 'NO UNDERSCORES');
-                        
-                        await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, htmlMessage, '', {
-                            parse_mode: 'HTML'
-                        });
-                        console.log(`✅ @all mention sent (HTML) in group ${chatId} by user ${user.id}`);
-                        return { success: true, method: 'HTML' };
-                    } catch (htmlError) {
-                        console.warn(`⚠️ HTML mention failed:`, htmlError.response?.data || htmlError.message);
-                        
-                        // Method 2: Try with Markdown formatting
-                        try {
-                            const markdownMentionText = createMentionText('markdown');
-                            
-                            // FIXED: Add validation to ensure we have mentions to send
-                            if (!markdownMentionText || markdownMentionText.trim() === '') {
-                                console.log(`⚠️ No valid usernames to mention in group ${chatId}`);
-                                return { success: false, error: 'No valid usernames configured' };
-                            }
-                            
-                            const escapedSenderName = escapeUsername(senderName);
-                            let markdownMessage;
-                            
-                            if (hasCustomMessage) {
-                                // Custom message format: "Message content\n@mentions\n\nMentioned by User"
-                                const escapedCustomMessage = escapeMarkdown(customMessage);
-                                markdownMessage = `${escapedCustomMessage}\n${markdownMentionText}\n\n*Mentioned by ${escapedSenderName}*`;
-                            } else {
-                                // Default format: "Group Mention by User\n@mentions"
-                                markdownMessage = `🔔 *Group Mention by ${escapedSenderName}*\n\n${markdownMentionText}`;
-                            }
-                            
-                            // Validate message length
-                            if (markdownMessage.length > 4096) {
-                                throw new Error('Message too long');
-                            }
-                            
-                            console.log(`🔍 DEBUG - About to send Markdown fallback message: "${markdownMessage}"`);
-                            console.log(`🔍 DEBUG - Mention text in fallback message: "${markdownMentionText}"`);
-                            
-                            await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, markdownMessage, '', {
-                                parse_mode: 'Markdown'
-                            });
-                            console.log(`✅ @all mention sent (Markdown) in group ${chatId} by user ${user.id}`);
-                            return { success: true, method: 'Markdown' };
-                        } catch (markdownError) {
-                            console.warn(`⚠️ Markdown mention failed:`, markdownError.response?.data || markdownError.message);
-                            
-                            // Method 3: Try with plain text (no formatting)
-                            try {
-                                const plainMentionText = createMentionText('plain');
-                                
-                                // FIXED: Add validation to ensure we have mentions to send
-                                if (!plainMentionText || plainMentionText.trim() === '') {
-                                    console.log(`⚠️ No valid usernames to mention in group ${chatId}`);
-                                    return { success: false, error: 'No valid usernames configured' };
-                                }
-                                
-                                let plainMessage;
-                                if (hasCustomMessage) {
-                                    // Custom message format with plain text
-                                    plainMessage = `${customMessage}\n${plainMentionText}\n\nMentioned by ${senderName}`;
-                                } else {
-                                    // Default format with plain text
-                                    plainMessage = `🔔 Group Mention by ${senderName}\n\n${plainMentionText}`;
-                                }
-                                
-                                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, plainMessage);
-                                console.log(`✅ @all mention sent (plain text) in group ${chatId} by user ${user.id}`);
-                                return { success: true, method: 'Plain Text' };
-                            } catch (plainError) {
-                                console.error(`❌ All mention methods failed:`, plainError.message);
-                                return { success: false, error: plainError.message };
-                            }
-                        }
+                        await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, variants);
+                        console.log(`✅ @all mention sent in group ${chatId} by user ${user.id}`);
+                        return { success: true };
+                    } catch (error) {
+                        console.error(`❌ All mention methods failed:`, error.message);
+                        return { success: false, error: error.message };
                     }
                 };
                 
                 const result = await sendMentionMessage();
                 
                 if (result.success) {
-                    return res.status(200).json({ ok: true, message: `@all mention sent (${result.method})` });
+                    return res.status(200).json({ ok: true, message: '@all mention sent' });
                 } else {
                     return res.status(500).json({ ok: false, error: 'Failed to send mention after all attempts' });
                 }
             } else {
-                // Silently ignore @all in other groups (no response)
-                console.log(`⚠️ @all command ignored in non-target group ${chatId}`);
+                // Silently ignore @all where mentions are off (no response)
+                console.log(`⚠️ @all command ignored in group ${chatId} (mentions disabled)`);
                 return res.status(200).json({ ok: true, message: '@all ignored in wrong group' });
             }
         }
 
         // FIXED: Updated message filtering logic
-        const mathRegex = /^([\d.\s]+(?:[+\-*/][\d.\s]+)+)$/;
-        const isCalculation = mathRegex.test(text);
+        const expression = settings.calculator ? parseExpression(text) : null;
+        const isCalculation = !!expression;
         
-        // FIXED: Precise coin detection - only "1 eth" format, not "1eth"
-        const singleTokenMatch = isValidCoinPattern(text);
-        const multipleTokens = extractMultipleTokens(text);
-        const isCoinCheck = singleTokenMatch || multipleTokens;
+        // FIXED: Precise coin detection - only "1 eth" format, not "1eth" (plus an optional fiat: "2 eth inr")
+        const conversion = parseConversionQuery(text);
+        const coinQuery = conversion ? null : parseCoinQuery(text);
+        const isCoinCheck = !!coinQuery;
         
-        const isAddress = (text.length === 42 || text.length === 32 || text.length === 44) && /^(0x)?[a-zA-Z0-9]+$/.test(text);
+        const isAddress = settings.addressLookup && isContractAddress(text);
 
         // Only log classification for commands
         if (isCommand) {
             console.log('🔍 Command classification passed');
         }
         
-        if (!isCommand && !isCalculation && !isCoinCheck && !isAddress && chatType === 'group') {
+        if (!isCommand && !isCalculation && !conversion && !isCoinCheck && !isAddress && chatType === 'group') {
             console.log('⚠️ Ignoring message - not a command/calculation/coin/address in group');
             return res.status(200).json({
                 ok: true,
@@ -2699,18 +3651,16 @@ export default async function handler(req, res) {
                 if (firstPostInfo) {
                     console.log('🔄 Using existing first post info for signature');
                     const signature = buildSignature(firstPostInfo, dexScreenerData.priceChange?.h1 || 0, chatId);
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, reply + signature, callbackData);
+                    await sendLookupReply(lookupCtx, reply + signature, callbackData, { requesterId: user.id });
                 } else {
                     console.log('🆕 First time posting this address, storing first post info');
                     const username = user.username || user.first_name || `User${user.id}`;
-                    const currentTimestamp = admin.firestore.FieldValue.serverTimestamp();
 
                     await storeFirstPostInfo(
                         text,
                         chatId,
                         username,
                         dexScreenerData.marketCap,
-                        currentTimestamp,
                         messageId,
                         dexScreenerData.baseToken.symbol
                     );
@@ -2723,472 +3673,94 @@ export default async function handler(req, res) {
                     };
 
                     const signature = buildSignature(firstPostData, dexScreenerData.priceChange?.h1 || 0, chatId);
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, reply + signature, callbackData);
+                    await sendLookupReply(lookupCtx, reply + signature, callbackData, { requesterId: user.id });
                 }
 
                 await logUserQuery(user, chatId, text, parseFloat(dexScreenerData.priceUsd), dexScreenerData.baseToken.symbol, dexScreenerData.marketCap, messageId);
             }
             // FIXED: Removed "Could not find coin" message - stays silent
         } else if (isCommand) {
-            const parts = text.substring(1).toLowerCase().split(' ');
-            const command = parts[0].split('@')[0];
-            const symbol = parts[1];
-            
-            // Log quote commands specifically
-            if (command === 'quote' || command === 's') {
-                console.log('🔧 Processing quote command:', command);
-            }
-
-            if (command === 'leaderboard') {
-                const reply = await buildLeaderboardReply(chatId);
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, reply, 'leaderboard');
-            }
-            else if (command === 'quote' || command === 's') {
-                const repliedToMessage = msg.reply_to_message;
-                console.log('🔍 Quote command received:', {
-                    hasReplyMessage: !!repliedToMessage,
-                    hasText: !!(repliedToMessage?.text),
-                    hasCaption: !!(repliedToMessage?.caption),
-                    textPreview: repliedToMessage?.text?.substring(0, 30) || 'none'
-                });
-                
-                if (repliedToMessage) {
-                    // Ensure the replied message has proper text content or is a media message
-                    let messageText = repliedToMessage.text || repliedToMessage.caption || '';
-                    const isMediaMessage = !!(repliedToMessage.photo || repliedToMessage.video || repliedToMessage.document || repliedToMessage.sticker || repliedToMessage.animation);
-                    
-                    // Basic validation logging
-                    if (!messageText || messageText.trim() === '') {
-                        console.log('🔍 Empty message detected, checking for media:', {
-                            isMediaMessage: isMediaMessage,
-                            hasPhoto: !!repliedToMessage.photo,
-                            hasVideo: !!repliedToMessage.video,
-                            hasDocument: !!repliedToMessage.document
-                        });
-                    }
-                    
-                    // If no text/caption but it's a media message, use a placeholder
-                    if ((!messageText || messageText.trim() === '') && isMediaMessage) {
-                        const mediaType = repliedToMessage.photo ? 'Photo' : 
-                                        repliedToMessage.video ? 'Video' : 
-                                        repliedToMessage.document ? 'Document' : 
-                                        repliedToMessage.sticker ? 'Sticker' : 
-                                        repliedToMessage.animation ? 'GIF' : 'Media';
-                        messageText = `[${mediaType}]`;
-                        console.log(`📸 Using placeholder text for ${mediaType.toLowerCase()}: "${messageText}"`);
-                    }
-                    
-                    // Only reject if it's truly empty (no text, caption, or media)
-                    if (!messageText || messageText.trim() === '') {
-                        console.log('⚠️ Message validation failed - using fallback:', {
-                            hasText: !!repliedToMessage.text,
-                            hasCaption: !!repliedToMessage.caption,
-                            hasMedia: isMediaMessage
-                        });
-                        
-                        // Try one more fallback - use a generic placeholder if we have any message at all
-                        if (repliedToMessage) {
-                            console.log('🔄 Using generic placeholder for non-empty message object');
-                            messageText = '[Message]';
-                        } else {
-                            await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, '`Cannot create quote from empty message. Please reply to a message with text, caption, or media.`');
-                            return;
-                        }
-                    }
-                    
-                    console.log('📝 Creating quote for message:', {
-                        text: messageText,
-                        originalText: repliedToMessage.text,
-                        caption: repliedToMessage.caption,
-                        isMediaMessage: isMediaMessage,
-                        from: repliedToMessage.from,
-                        messageId: repliedToMessage.message_id
-                    });
-                    
-                    // Create a modified message object with the processed text
-                    const messageToQuote = {
-                        ...repliedToMessage,
-                        text: messageText // Use processed text (text, caption, or placeholder)
-                    };
-                    const quoteImageBuffer = await getQuoteImageUrl(messageToQuote, null, BOT_TOKEN);
-                    
-                    if (quoteImageBuffer && quoteImageBuffer.length > 0) {
-                        console.log('✅ Quote image generated successfully, size:', quoteImageBuffer.length, 'bytes');
-                        await sendStickerToTopic(BOT_TOKEN, chatId, messageThreadId, quoteImageBuffer);
-                    } else {
-                        console.error('❌ Quote image buffer is empty or null');
-                        await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, '`Failed to generate quote image. Please try again later.`');
-                    }
-                } else {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, '`Please reply to a message with /quote or /s to create an image.`');
-                }
-            }
-            else if (command === 'chart' && symbol) {
-                const coinData = await getCoinDataWithChanges(symbol);
-                if (coinData) {
-                    const ohlcData = await getOHLCData(coinData.id, 30);
-                    if (ohlcData && ohlcData.length > 0) {
-                        const chartImageUrl = getCandlestickChartUrl(coinData.name, ohlcData, '30D');
-                        await sendPhotoToTopic(BOT_TOKEN, chatId, messageThreadId, chartImageUrl,
-                            `*${coinData.name}* Candlestick Chart (30D)`, symbol, true);
-                    } else {
-                        const historicalData = await getHistoricalData(coinData.id);
-                        if (historicalData && historicalData.length > 0) {
-                            const chartImageUrl = getChartImageUrl(coinData.name, historicalData);
-                            await sendPhotoToTopic(BOT_TOKEN, chatId, messageThreadId, chartImageUrl,
-                                `*${coinData.name}* Price Chart (30D) - Line Chart Fallback`, symbol, false);
-                        }
-                        // FIXED: Removed "Failed to get chart data" message
-                    }
-                }
-                // FIXED: Removed "Coin not found" message
-            } else if (command === 'alert') {
-                // Usage: /alert btc above 100000
-                const [symbol, condition, priceStr] = parts.slice(1);
-                
-                if (!symbol || !condition || !priceStr) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Usage: /alert [symbol] [above/below] [price]\nExample: /alert btc above 100000`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                if (!['above', 'below'].includes(condition.toLowerCase())) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Condition must be "above" or "below"\nExample: /alert eth below 3000`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                const targetPrice = parseFloat(priceStr);
-                if (isNaN(targetPrice) || targetPrice <= 0) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Invalid price. Please enter a valid number\nExample: /alert sol above 150`');
-                    return res.status(200).json({ ok: true });
-                }
-
-                // Verify the coin exists
-                const coinData = await getCoinDataWithChanges(symbol);
-                if (!coinData) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        `\`Coin "${symbol.toUpperCase()}" not found. Please check the symbol.\``);
-                    return res.status(200).json({ ok: true });
-                }
-
-                const username = user.username || user.first_name || `User${user.id}`;
-                const success = await createPriceAlert(user.id, chatId, symbol, condition.toLowerCase(), targetPrice, username);
-                
-                if (success) {
-                    const currentPrice = coinData.current_price;
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        `✅ *Price Alert Set*
-
-${symbol.toUpperCase()} ${condition} $${targetPrice.toLocaleString()}
-Current price: $${currentPrice.toLocaleString()}
-
-You'll be notified when the condition is met.`, 'alert_set');
-                } else {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Failed to create alert. Please try again later.`');
-                }
-            }
-
-            else if (command === 'remind') {
-                // Usage: /remind "check portfolio" 3pm
-                const reminderMatch = text.match(/\/remind\s+"([^"]+)"\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)/i);
-                
-                if (!reminderMatch) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        `\`Usage: /remind "message" [time]\n\nExamples:\n/remind "check portfolio" 3pm\n/remind "buy the dip" 9:30am\n/remind "hello" 15:30\`\n\nTime format: IST timezone, supports 12hr (3pm) and 24hr (15:30) formats`);
-                    return res.status(200).json({ ok: true });
-                }
-                
-                const [, reminderMessage, timeStr] = reminderMatch;
-                
-                // Parse time and convert to IST
-                function parseTimeToIST(timeStr) {
-                    const now = new Date();
-                    let hours, minutes;
-                    
-                    // Handle 12-hour format (3pm, 9:30am)
-                    const twelveHourMatch = timeStr.match(/(\d{1,2})(?::(\d{2}))?\s*(am|pm)/i);
-                    if (twelveHourMatch) {
-                        hours = parseInt(twelveHourMatch[1]);
-                        minutes = parseInt(twelveHourMatch[2] || '0');
-                        const period = twelveHourMatch[3].toLowerCase();
-                        
-                        if (period === 'pm' && hours !== 12) hours += 12;
-                        if (period === 'am' && hours === 12) hours = 0;
-                    } 
-                    // Handle 24-hour format (15:30 or just 15)
-                    else {
-                        const twentyFourHourMatch = timeStr.match(/(\d{1,2})(?::(\d{2}))?/);
-                        if (twentyFourHourMatch) {
-                            hours = parseInt(twentyFourHourMatch[1]);
-                            minutes = parseInt(twentyFourHourMatch[2] || '0');
-                        } else {
-                            return null;
-                        }
-                    }
-                    
-                    if (hours < 0 || hours > 23 || minutes < 0 || minutes > 59) {
-                        return null;
-                    }
-                    
-                    // Create IST date for today
-                    const istTime = new Date();
-                    // Convert to IST (UTC+5:30)
-                    istTime.setUTCHours(hours - 5, minutes - 30, 0, 0);
-                    
-                    // If the time has passed today, set it for tomorrow
-                    if (istTime <= now) {
-                        istTime.setUTCDate(istTime.getUTCDate() + 1);
-                    }
-                    
-                    return istTime;
-                }
-                
-                const triggerTime = parseTimeToIST(timeStr);
-                
-                if (!triggerTime) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Invalid time format. Use formats like: 3pm, 9:30am, 15:30`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                // Validate date is not too far in future (7 days max for time-only reminders)
-                const sevenDaysFromNow = new Date();
-                sevenDaysFromNow.setDate(sevenDaysFromNow.getDate() + 7);
-                if (triggerTime > sevenDaysFromNow) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Time-based reminders are limited to within 7 days.`');
-                    return res.status(200).json({ ok: true });
-                }
-
-                const username = user.username || user.first_name || `User${user.id}`;
-                const success = await createTimeReminder(user.id, chatId, reminderMessage, triggerTime, username);
-                
-                if (success) {
-                    // Display time in IST format
-                    const istDate = new Date(triggerTime.getTime() + (5.5 * 60 * 60 * 1000));
-                    const dateStr = istDate.toLocaleDateString('en-IN');
-                    const timeStr12 = istDate.toLocaleTimeString('en-IN', { 
-                        hour: 'numeric', 
-                        minute: '2-digit',
-                        hour12: true 
-                    });
-                    
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        `⏰ *Reminder Set*
-
-"${reminderMessage}"
-
-Date: ${dateStr}
-Time: ${timeStr12} IST
-
-I'll notify you at the specified time.`, 'reminder_set');
-                } else {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Failed to create reminder. Please try again later.`');
-                }
-            }
-
-            else if (command === 'alerts' || command === 'reminders') {
-                const alerts = await getUserAlerts(user.id, chatId);
-                const reply = buildAlertsReply(alerts);
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, reply, 'user_alerts');
-            }
-
-            else if (command === 'cancel') {
-                // Usage: /cancel price 1 OR /cancel time 2
-                const [alertType, indexStr] = parts.slice(1);
-                
-                if (!alertType || !indexStr) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Usage: /cancel [price/time] [number]\nExample: /cancel price 1\nUse /alerts to see your alerts first.`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                if (!['price', 'time'].includes(alertType.toLowerCase())) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Alert type must be "price" or "time"\nExample: /cancel price 1`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                const alertIndex = parseInt(indexStr);
-                if (isNaN(alertIndex) || alertIndex <= 0) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Invalid alert number. Use /alerts to see your alerts.`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                const success = await cancelAlert(user.id, chatId, alertType.toLowerCase(), alertIndex);
-                
-                if (success) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        `✅ ${alertType.charAt(0).toUpperCase() + alertType.slice(1)} alert #${alertIndex} has been canceled.`);
-                } else {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Alert not found or already inactive. Use /alerts to see your active alerts.`');
-                }
-            }
-            else if (command === 'gas') {
-                const ethCoin = await getCoinDataWithChanges('eth');
-                const ethPrice = ethCoin ? ethCoin.current_price : null;
-                const gasPrices = await getEthGasPrice();
-                if (ethPrice && gasPrices) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, buildGasReply(gasPrices, ethPrice), 'gas');
-                } else {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, '`Failed to retrieve gas data`', 'gas');
-                }
-            } else if (command === 'compare') {
-                const [symbol1, symbol2] = parts.slice(1);
-                if (symbol1 && symbol2) {
-                    const coin1 = await getCoinDataWithChanges(symbol1);
-                    const coin2 = await getCoinDataWithChanges(symbol2);
-                    if (coin1 && coin2) {
-                        const circulatingSupply1 = coin1.circulating_supply;
-                        const marketCap2 = coin2.market_cap;
-                        let theoreticalPrice = null;
-                        if (circulatingSupply1 > 0 && marketCap2 > 0) {
-                            theoreticalPrice = marketCap2 / circulatingSupply1;
-                        }
-
-                        if (theoreticalPrice) {
-                            const reply = buildCompareReply(coin1, coin2, theoreticalPrice);
-                            await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, reply, `compare_${symbol1}_${symbol2}`);
-                        } else {
-                            const reply = '`Could not perform comparison. Missing required data.`';
-                            await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, reply, `compare_${symbol1}_${symbol2}`);
-                        }
-                    }
-                    // FIXED: Removed "coins not found" message
-                } else {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, '`Usage: /compare [symbol1] [symbol2]`', `compare_${symbol1}_${symbol2}`);
-                }
-            } else if (command === 'start') {
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId,
-                    '`hey welcome fren! Type /help to know more about the commands.`');
-            } else if (command === 'help') {
-                let helpMessage = `*Commands:*
-[amount] [symbol] - Get a crypto price, e.g., \`2 eth\`
-/gas - Get current Ethereum gas prices
-/chart [symbol] - View a candlestick chart with timeframes, e.g., \`/chart eth\`
-/compare [symbol1] [symbol2] - Compare market caps, e.g., \`/compare eth btc\`
-/que [question] - Ask the AI anything, e.g., \`/que what is defi\`
-*/quote* or */s* - Reply to a message with this command to create a quote sticker
-/leaderboard - See the top token finders
-*/sum [time]* - Get an AI summary of chat (e.g., \`/sum 6h\`, \`/sum 1d\`)
-
-*NEW: Alerts & Reminders:*
-/alert [symbol] [above/below] [price] - Set price alert, e.g., \`/alert btc above 100000\`
-/remind "message" [time] - Set time reminder (IST), e.g., \`/remind "hello" 3pm\`
-/alerts - View your active alerts and reminders
-/cancel [price/time] [number] - Cancel specific alert, e.g., \`/cancel price 1\`
-/help - Show this message`;
-
-                // Only show @all command in the target group
-                if (isValidMentionContext(chatId)) {
-                    helpMessage += `
-
-*Group Mention:*
-@all - Mention specific group members (works only in this group)
-*Enhanced @all usage:*
-- \`@all\` - Simple group mention
-- \`Hello @all today is Wednesday\` - Custom message with mentions`;
-                }
-
-                helpMessage += `
-
-*Other features:*
-- Send a token address to get token info
-- Use simple math, e.g., \`5 * 10\`
-- **Multi-token support**: \`1 eth 2 btc 0.5 doge\`
-- **Auto-enhances Twitter/X, Instagram, TikTok, Reddit links for better previews**`;
-
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, helpMessage);
-    
-            } else if (command === 'test') {
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId,
-                    `\`Bot Status: OK\nChat: ${msg.chat.type}\nTopic: ${messageThreadId || "None"}\nTime: ${new Date().toISOString()}\``);
-            } else if (command === 'sum' || command === 'summary') {
-                // Usage: /sum 6h, /sum 1d, /sum 30m
-                const timeParam = parts[1];
-                
-                if (!timeParam) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Usage: /sum [time]\n\nExamples:\n/sum 6h - Last 6 hours\n/sum 1d - Last 1 day\n/sum 30m - Last 30 minutes\n/sum 2w - Last 2 weeks\n\nSupported units: m (minutes), h (hours), d (days), w (weeks)\nMax: 7 days`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                const timeRange = parseTimeParameter(timeParam);
-                
-                if (!timeRange) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Invalid time format. Use formats like: 6h, 1d, 30m, 2w`');
-                    return res.status(200).json({ ok: true });
-                }
-                
-                // Send a "generating" message
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                    `⏳ Generating summary for the last ${timeRange.duration}...`);
-                
-                // Retrieve messages from Firebase
-                const messages = await getMessagesForSummary(chatId, timeRange.startTime);
-                
-                if (messages.length === 0) {
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        `\`No messages found in the last ${timeRange.duration}. The bot may need more time to collect messages.\``);
-                    return res.status(200).json({ ok: true });
-                }
-                
-                // Generate summary using Gemini AI
-                const summary = await generateChatSummary(messages, timeRange.duration);
-                
-                // Format the final message
-                const finalMessage = `*📊 Chat Summary - Last ${timeRange.duration}*\n\n${summary}\n\n_Based on ${messages.length} message${messages.length !== 1 ? 's' : ''}_`;
-                
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, finalMessage, 'summary');
+            if (isEdit) {
+                console.log('⚠️ Ignoring edited command');
+                return res.status(200).json({ ok: true, message: 'Edited commands are not re-run' });
             }
+            await commands.dispatchCommand({
+                botToken: BOT_TOKEN,
+                chatId,
+                messageId,
+                messageThreadId,
+                msg,
+                user,
+                chatType,
+                text
+            }, text);
         } else if (isCalculation) {
-            const result = evaluateExpression(text);
-            if (result !== null) {
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, `\`${text} = ${result}\``);
+            const tr = getTranslator(resolveLocale(settings.language, user.language_code));
+            const reply = await runCalculation(text, expression, { chatId, userId: user.id, tr });
+            if (reply) {
+                await sendLookupReply(lookupCtx, reply);
             } else {
-                await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, '`Invalid expression`');
+                await replyIfCoolingDown(BOT_TOKEN, chatId, messageThreadId, { reply_to_message_id: messageId });
             }
         } 
+        else if (conversion) {
+            const tr = getTranslator(resolveLocale(settings.language, user.language_code));
+            const reply = await buildConversionMessage(conversion, { chatId }, tr);
+            if (reply) {
+                const { amount, from, to } = conversion;
+                await sendLookupReply(lookupCtx, reply, `convert_${amount}_${from}_${to}`, { requesterId: user.id });
+            } else {
+                // Unknown coins stay silent like price lookups
+                await replyIfCoolingDown(BOT_TOKEN, chatId, messageThreadId, { reply_to_message_id: messageId });
+            }
+        }
         // FIXED: Enhanced coin check handling with silent failures
         else if (isCoinCheck) {
-            let tokensToProcess = [];
-            
-            if (singleTokenMatch) {
-                tokensToProcess = [singleTokenMatch];
-            } else if (multipleTokens) {
-                tokensToProcess = multipleTokens;
-            }
+            const tokensToProcess = coinQuery.tokens;
             
             if (tokensToProcess.length > 0) {
-                // Check if more than 4 coins are requested
-                if (tokensToProcess.length > 4) {
-                    console.log(`❌ Too many coins requested: ${tokensToProcess.length} (max 4 allowed)`);
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, 
-                        '`Hey hey, you can\'t search more than 4 coins at a time`', '', {
-                            reply_to_message_id: messageId
-                        });
+                const tr = getTranslator(resolveLocale(settings.language, user.language_code));
+
+                // Check if more coins are requested than this chat allows
+                if (tokensToProcess.length > settings.coinLimit) {
+                    console.log(`❌ Too many coins requested: ${tokensToProcess.length} (max ${settings.coinLimit} allowed)`);
+                    const tooMany = tr.t(settings.coinLimit === 1 ? 'lookup.tooMany.one' : 'lookup.tooMany.other', { count: settings.coinLimit });
+                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, `\`${tooMany}\``, '', {
+                        reply_to_message_id: messageId
+                    });
                     return res.status(200).json({ ok: true });
                 }
                 
                 console.log(`🔍 Found ${tokensToProcess.length} tokens to fetch:`, tokensToProcess);
                 
-                // Use batch API call for all coin searches (1-4 coins)
                 const symbols = tokensToProcess.map(token => token.symbol);
-                const batchCoins = await getBatchCoinData(symbols);
+                // Refresh payload: "2_eth" for one coin, "multi_2_eth|1_btc" for several (plus an explicit fiat)
+                const fiatSuffix = coinQuery.fiat ? `_${coinQuery.fiat}` : '';
+                const buildLookupPayload = (tokens) => {
+                    const pairs = tokens.map(t => `${t.amount}_${t.symbol}${fiatSuffix}`).join('|');
+                    return tokens.length > 1 ? `multi_${pairs}` : pairs;
+                };
+
+                // Ask which coin was meant before pricing a ticker several coins share
+                const ambiguous = await findAmbiguousSymbol(symbols, chatId);
+                if (ambiguous) {
+                    console.log(`❓ ${ambiguous.symbol} is ambiguous in chat ${chatId}: ${ambiguous.candidates.map(c => c.id).join(', ')}`);
+                    await sendLookupReply(lookupCtx, `\`${tr.t('coin.pick', { symbol: ambiguous.symbol.toUpperCase() })}\``, '', {
+                        reply_markup: await buildCoinPickMarkup(ambiguous, buildLookupPayload(tokensToProcess), user.id)
+                    });
+                    return res.status(200).json({ ok: true });
+                }
+
+                // Use batch API call for all coin searches (1-4 coins)
+                const batchCoins = await getBatchCoinData(symbols, { chatId, fiat: coinQuery.fiat });
                 
                 const results = tokensToProcess.map(token => {
-                    const coin = batchCoins.find(c => c.symbol.toLowerCase() === token.symbol.toLowerCase());
+                    const coin = findQuote(batchCoins, token.symbol);
                     if (coin) {
                         return {
                             success: true,
-                            reply: buildReply(coin, token.amount),
+                            reply: buildReply(coin, token.amount, tr),
+                            coin,
                             symbol: token.symbol,
                             amount: token.amount
                         };
@@ -3203,19 +3775,23 @@ I'll notify you at the specified time.`, 'reminder_set');
                 if (validResults.length > 0) {
                     const combinedReply = validResults.map(result => result.reply).join('\n\n');
                     
-                    // FIXED: Create callback data that preserves amounts for refresh functionality
-                    const symbolsForCallback = tokensToProcess
-                        .filter(t => validResults.some(r => r.symbol === t.symbol))
-                        .map(t => `${t.amount}_${t.symbol}`)
-                        .join('|');
-                    
-                    const callbackData = validResults.length > 1 ? `multi_${symbolsForCallback}` : symbolsForCallback;
+                    // FIXED: Create callback data that preserves amounts (and an explicit fiat) for refresh functionality
+                    const callbackData = buildLookupPayload(
+                        tokensToProcess.filter(t => validResults.some(r => r.symbol === t.symbol)));
                     
-                    await sendMessageToTopic(BOT_TOKEN, chatId, messageThreadId, combinedReply, callbackData);
+                    const gridUrl = settings.sparklines && validResults.length > 1
+                        ? getSparklineGridUrl(validResults.map(result => result.coin), tr)
+                        : null;
+                    await sendLookupReply(lookupCtx, combinedReply, callbackData, {
+                        requesterId: user.id,
+                        photo: gridUrl ? { url: gridUrl, caption: buildSparklineCaption(validResults, tr) } : null
+                    });
                     
                     console.log(`✅ Sent reply with ${validResults.length} valid tokens`);
+                } else {
+                    // FIXED: If no valid results, stay completely silent (unless a provider is cooling down)
+                    await replyIfCoolingDown(BOT_TOKEN, chatId, messageThreadId, { reply_to_message_id: messageId });
                 }
-                // FIXED: If no valid results, stay completely silent (no message sent)
             }
         }
 
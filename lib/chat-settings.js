@@ -0,0 +1,152 @@
+/**
+ * Per-chat settings with defaults and a short in-memory cache
+ */
+
+import { getStorage } from './storage/index.js';
+import { mentionChatDefaults } from './mentions.js';
+
+const DEFAULT_SETTINGS = {
+    mentionsEnabled: false,   // @all mentions
+    mentionMembers: [],       // Usernames (without @) that @all mentions
+    linkRewrite: true,        // Replace social links with preview-friendly mirrors
+    calculator: true,         // Evaluate plain arithmetic messages
+    addressLookup: true,      // DexScreener cards for contract addresses
+    sparklines: false,        // Multi-coin replies as a 7-day sparkline image instead of text
+    coinLimit: 4,             // Max coins per price message
+    marketDataProvider: null, // Preferred price provider (null = default order)
+    commandLimits: {},        // Per-command throttle overrides: { chart: { perUser, perChat } }
+    language: null,           // Reply language from /language (null = each sender's Telegram language)
+    fiat: 'usd',              // Currency prices are shown in (/currency)
+    coinChoices: {},          // Ambiguous ticker -> coin id picked from the "which coin?" buttons
+    aliases: {}               // Chat's own tickers from /alias: name -> { id, symbol } (checked before everything else)
+};
+
+// On/off features shown as /settings toggles, in display order
+const TOGGLES = [
+    { key: 'mentionsEnabled', label: '@all mentions' },
+    { key: 'linkRewrite', label: 'Link rewrite' },
+    { key: 'calculator', label: 'Calculator' },
+    { key: 'addressLookup', label: 'Address lookup' },
+    { key: 'sparklines', label: 'Sparkline charts' }
+];
+
+// Ticker maps whose removed entries are stored as null (Firestore merges keep absent keys)
+const TICKER_MAPS = ['coinChoices', 'aliases'];
+
+const COIN_LIMIT_MIN = 1;
+const COIN_LIMIT_MAX = 10;
+const DEFAULT_TTL = 60 * 1000; // 1 minute
+
+const clampCoinLimit = (value) => Math.min(COIN_LIMIT_MAX, Math.max(COIN_LIMIT_MIN, parseInt(value) || DEFAULT_SETTINGS.coinLimit));
+
+/**
+ * Creates a settings service
+ * @param {Object} options - Service options
+ * @param {Object} options.store - chatSettings repository from storage
+ * @param {Function} options.chatDefaults - (chatId) => per-chat defaults layered over DEFAULT_SETTINGS
+ * @param {number} options.ttl - Cache lifetime in ms
+ * @returns {Object} - Settings service
+ */
+function createChatSettings(options = {}) {
+    const {
+        store,
+        chatDefaults = () => ({}),
+        ttl = DEFAULT_TTL
+    } = options;
+
+    const cache = new Map(); // chatId -> { settings, timestamp }
+
+    const merge = (chatId, stored) => {
+        const settings = { ...DEFAULT_SETTINGS, ...chatDefaults(chatId), ...(stored || {}) };
+        settings.coinLimit = clampCoinLimit(settings.coinLimit);
+        for (const name of TICKER_MAPS) {
+            settings[name] = Object.fromEntries(Object.entries(settings[name] || {}).filter(([, id]) => id != null));
+        }
+        return settings;
+    };
+
+    return {
+        /**
+         * Settings for a chat (never null; falls back to defaults when storage fails)
+         * @param {number|string} chatId - Chat id
+         * @returns {Promise<Object>} - Settings
+         */
+        async get(chatId) {
+            const key = String(chatId);
+            const cached = cache.get(key);
+            if (cached && Date.now() - cached.timestamp < ttl) {
+                return cached.settings;
+            }
+
+            let stored = null;
+            try {
+                stored = await store.get(key);
+            } catch (error) {
+                console.error('❌ Error reading chat settings:', error.message);
+                return merge(key, null);
+            }
+
+            const settings = merge(key, stored);
+            cache.set(key, { settings, timestamp: Date.now() });
+            return settings;
+        },
+
+        /**
+         * Saves changed settings
+         * @param {number|string} chatId - Chat id
+         * @param {Object} patch - Fields to change
+         * @returns {Promise<Object|null>} - Updated settings, or null when saving failed
+         */
+        async update(chatId, patch) {
+            const key = String(chatId);
+            if ('coinLimit' in patch) {
+                patch = { ...patch, coinLimit: clampCoinLimit(patch.coinLimit) };
+            }
+
+            try {
+                await store.update(key, patch);
+            } catch (error) {
+                console.error('❌ Error saving chat settings:', error.message);
+                return null;
+            }
+
+            const current = cache.get(key)?.settings || merge(key, await store.get(key).catch(() => null));
+            const settings = merge(key, { ...current, ...patch });
+            cache.set(key, { settings, timestamp: Date.now() });
+            return settings;
+        },
+
+        /**
+         * Drops cached settings so the next get() reads storage again
+         * @param {number|string} chatId - Chat id
+         */
+        forget(chatId) {
+            cache.delete(String(chatId));
+        }
+    };
+}
+
+let sharedSettings = null;
+
+/**
+ * Returns the settings service both endpoints share (backed by getStorage())
+ * @returns {Object} - Settings service
+ */
+function getChatSettings() {
+    if (!sharedSettings) {
+        sharedSettings = createChatSettings({
+            store: getStorage().chatSettings,
+            chatDefaults: mentionChatDefaults
+        });
+    }
+    return sharedSettings;
+}
+
+export {
+    createChatSettings,
+    getChatSettings,
+    DEFAULT_SETTINGS,
+    TOGGLES,
+    COIN_LIMIT_MIN,
+    COIN_LIMIT_MAX
+};
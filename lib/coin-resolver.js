@@ -0,0 +1,226 @@
+/**
+ * Symbol-to-coin-id resolution with an in-memory and persistent cache
+ *
+ * Searches keep every coin that shares the ticker (best ranked first), so callers
+ * can ask which coin was meant when a symbol is ambiguous.
+ */
+
+import { makeRateLimitedAxiosRequest } from '../api/rate-limiter.js';
+
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+const MISS_TTL = 60 * 60 * 1000; // Remember unknown symbols for 1 hour (memory only)
+const CANDIDATE_LIMIT = 5; // Coins offered when a ticker is ambiguous
+
+// DexScreener chain ids -> CoinGecko asset platforms
+const CONTRACT_PLATFORMS = {
+    ethereum: 'ethereum',
+    bsc: 'binance-smart-chain',
+    solana: 'solana',
+    base: 'base',
+    arbitrum: 'arbitrum-one',
+    polygon: 'polygon-pos',
+    avalanche: 'avalanche',
+    optimism: 'optimistic-ethereum'
+};
+
+/**
+ * Creates a resolver
+ * @param {Object} options - Resolver options
+ * @param {Object} options.store - symbolCache repository from storage (optional; memory-only without it)
+ * @param {Object} options.priority - Hardcoded symbol -> id map checked first
+ * @param {number} options.ttl - Cache lifetime for searched symbols in ms
+ * @param {Function} options.search - async (symbol) => coins with that exact symbol, best first, as
+ *                                    [{ id, name, rank }] (defaults to CoinGecko /search)
+ * @returns {Object} - Resolver
+ */
+function createCoinResolver(options = {}) {
+    const {
+        store = null,
+        priority = {},
+        ttl = parseInt(process.env.SYMBOL_CACHE_TTL_MS) || DEFAULT_TTL,
+        search = searchCoinGecko
+    } = options;
+
+    const memory = new Map(); // symbol -> { coinId, candidates, pinned, resolvedAt }
+    const pending = new Map(); // symbol -> in-flight resolution promise
+
+    const isFresh = (entry) => {
+        if (!entry) return false;
+        if (entry.pinned) return true;
+        const lifetime = entry.coinId ? ttl : MISS_TTL;
+        return Date.now() - entry.resolvedAt < lifetime;
+    };
+
+    async function readStored(symbol) {
+        if (!store) return null;
+        try {
+            return await store.get(symbol);
+        } catch (error) {
+            console.error('❌ Error reading symbol cache:', error.message);
+            return null;
+        }
+    }
+
+    async function writeStored(symbol, entry) {
+        if (!store) return;
+        try {
+            await store.set(symbol, entry);
+        } catch (error) {
+            console.error('❌ Error writing symbol cache:', error.message);
+        }
+    }
+
+    async function resolveUncached(symbol) {
+        const stored = await readStored(symbol);
+        if (isFresh(stored)) {
+            memory.set(symbol, stored);
+            return stored.coinId;
+        }
+
+        const candidates = await search(symbol);
+        const coinId = candidates[0]?.id || null;
+        const entry = { coinId, candidates, pinned: false, resolvedAt: Date.now() };
+        memory.set(symbol, entry);
+        // Misses stay in memory only so newly listed coins are picked up on the next cold start
+        if (coinId) {
+            await writeStored(symbol, entry);
+        }
+        return coinId;
+    }
+
+    return {
+        /**
+         * Resolves a ticker to a coin id
+         * @param {string} symbol - Ticker (any case)
+         * @returns {Promise<string|null>} - Coin id or null when unknown
+         */
+        async resolve(symbol) {
+            const s = String(symbol || '').toLowerCase().trim();
+            if (!s) return null;
+
+            if (priority[s]) return priority[s];
+
+            const cached = memory.get(s);
+            if (isFresh(cached)) return cached.coinId;
+
+            // Share one lookup between concurrent requests for the same symbol
+            if (!pending.has(s)) {
+                pending.set(s, resolveUncached(s).finally(() => pending.delete(s)));
+            }
+            return pending.get(s);
+        },
+
+        /**
+         * Coins sharing a ticker, for asking which one was meant
+         * @param {string} symbol - Ticker (any case)
+         * @returns {Promise<Object[]>} - [{ id, name, rank }]; empty for priority and pinned symbols,
+         *                                whose coin is already settled
+         */
+        async candidates(symbol) {
+            const s = String(symbol || '').toLowerCase().trim();
+            if (!s || priority[s]) return [];
+
+            await this.resolve(s);
+            const entry = memory.get(s);
+            return entry && !entry.pinned ? entry.candidates || [] : [];
+        },
+
+        /**
+         * Pins a symbol to a coin id; pins never expire (the priority map still wins)
+         * @param {string} symbol - Ticker
+         * @param {string} coinId - Coin id
+         */
+        async pin(symbol, coinId) {
+            const s = String(symbol).toLowerCase().trim();
+            const entry = { coinId, pinned: true, resolvedAt: Date.now() };
+            memory.set(s, entry);
+            await writeStored(s, entry);
+        },
+
+        /**
+         * Removes a pin so the symbol resolves normally again
+         * @param {string} symbol - Ticker
+         */
+        async unpin(symbol) {
+            const s = String(symbol).toLowerCase().trim();
+            memory.delete(s);
+            if (!store) return;
+            try {
+                await store.delete(s);
+            } catch (error) {
+                console.error('❌ Error removing symbol pin:', error.message);
+            }
+        }
+    };
+}
+
+/**
+ * Looks a ticker up through CoinGecko /search
+ * @param {string} symbol - Lowercase ticker
+ * @returns {Promise<Object[]>} - Exact symbol matches in CoinGecko's order (best market cap
+ *                                rank first) as [{ id, name, rank }] (throws when search fails)
+ */
+async function searchCoinGecko(symbol) {
+    const baseUrl = process.env.COINGECKO_API_BASE || 'https://api.coingecko.com/api/v3';
+    const searchResponse = await makeRateLimitedAxiosRequest({
+        method: 'get',
+        url: `${baseUrl}/search`,
+        params: { query: symbol },
+        timeout: 15000,
+    });
+    return searchResponse.data.coins
+        .filter(c => c.symbol.toLowerCase() === symbol)
+        .slice(0, CANDIDATE_LIMIT)
+        .map(c => ({ id: c.id, name: c.name, rank: c.market_cap_rank ?? null }));
+}
+
+/**
+ * Checks a CoinGecko coin id through /coins/markets
+ * @param {string} coinId - CoinGecko id
+ * @returns {Promise<Object|null>} - { id, symbol, name }, or null when CoinGecko has no such
+ *                                   coin (throws when the lookup fails)
+ */
+async function lookupCoinGecko(coinId) {
+    const baseUrl = process.env.COINGECKO_API_BASE || 'https://api.coingecko.com/api/v3';
+    const response = await makeRateLimitedAxiosRequest({
+        method: 'get',
+        url: `${baseUrl}/coins/markets`,
+        params: { vs_currency: 'usd', ids: coinId },
+        timeout: 15000,
+    }, { maxRetries: 1 });
+    const coin = (response.data || []).find(c => c.id === coinId);
+    return coin ? { id: coin.id, symbol: coin.symbol.toLowerCase(), name: coin.name } : null;
+}
+
+/**
+ * Finds the CoinGecko coin behind a token contract
+ * @param {string} chainId - DexScreener chain id of the token (e.g. "ethereum", "bsc")
+ * @param {string} address - Contract address
+ * @returns {Promise<Object|null>} - { id, symbol, name }, or null when CoinGecko does not list the
+ *                                   token on that chain (throws when the lookup fails)
+ */
+async function lookupContractCoinGecko(chainId, address) {
+    const platform = CONTRACT_PLATFORMS[chainId];
+    if (!platform) return null;
+
+    const baseUrl = process.env.COINGECKO_API_BASE || 'https://api.coingecko.com/api/v3';
+    try {
+        const response = await makeRateLimitedAxiosRequest({
+            method: 'get',
+            url: `${baseUrl}/coins/${platform}/contract/${address}`,
+            timeout: 15000,
+        }, { maxRetries: 1 });
+        const { id, symbol, name } = response.data || {};
+        return id ? { id, symbol, name } : null;
+    } catch (error) {
+        if (error.response?.status === 404) return null;
+        throw error;
+    }
+}
+
+export {
+    createCoinResolver,
+    searchCoinGecko,
+    lookupCoinGecko,
+    lookupContractCoinGecko
+};
@@ -0,0 +1,250 @@
+/**
+ * Command registry shared by message and callback dispatch
+ */
+
+/**
+ * Splits a command message into its name and arguments
+ * @param {string} text - Message text starting with "/" or "."
+ * @returns {Object|null} - { name, args, rawArgs } or null when text is not a command
+ */
+function parseCommandText(text) {
+    if (!text || !/^[/.]/.test(text)) return null;
+
+    const body = text.substring(1).trim();
+    const firstSpace = body.search(/\s/);
+    const head = firstSpace === -1 ? body : body.substring(0, firstSpace);
+    const rawArgs = firstSpace === -1 ? '' : body.substring(firstSpace).trim();
+
+    // Strip the "@botname" suffix Telegram adds in groups
+    const name = head.split('@')[0].toLowerCase();
+    if (!name) return null;
+
+    const args = rawArgs ? rawArgs.toLowerCase().split(/\s+/) : [];
+    return { name, args, rawArgs };
+}
+
+class CommandRegistry {
+    constructor() {
+        this.commands = new Map(); // name -> definition
+        this.aliases = new Map(); // alias -> name
+        this.refreshHandlers = new Map(); // refresh key -> handler
+        this.callbackHandlers = []; // { match, handler } checked in registration order
+        this.helpEntries = []; // { section, text } in registration order
+        this.fallbackRefresh = null;
+        this.commandGuard = null;
+    }
+
+    /**
+     * Registers a command
+     * @param {Object} definition - Command definition
+     * @param {string} definition.name - Command name without the leading slash
+     * @param {string[]} [definition.aliases] - Alternative names
+     * @param {Function} [definition.parseArgs] - (args, rawArgs, ctx) => parsed arguments passed to the handler
+     * @param {Function} definition.handler - async (ctx, parsedArgs) => void
+     * @param {Function} [definition.refresh] - async (ctx, payload) => { text, photoUrl, showTimeframeButtons }
+     * @param {string} [definition.refreshKey] - Prefix of the refresh payload (defaults to the name)
+     * @param {string} [definition.help] - Line shown by /help; commands without one are hidden
+     * @param {string} [definition.helpSection] - Heading the help line is grouped under
+     * @param {string} [definition.permission] - Who may run it ('admin', 'requester', 'owner'; see lib/permissions.js)
+     */
+    register(definition) {
+        const { name, aliases = [], handler } = definition;
+        if (!name || typeof handler !== 'function') {
+            throw new Error('Command definition needs a name and a handler');
+        }
+        if (this.commands.has(name) || this.aliases.has(name)) {
+            throw new Error(`Command "${name}" is already registered`);
+        }
+
+        this.commands.set(name, definition);
+        aliases.forEach(alias => this.aliases.set(alias, name));
+
+        if (definition.refresh) {
+            this.registerRefresh(definition.refreshKey || name, definition.refresh);
+        }
+        if (definition.help) {
+            this.addHelpEntry(definition.helpSection || 'Commands', definition.help, definition.name);
+        }
+        return this;
+    }
+
+    /**
+     * Registers a refresh handler for replies that do not come from a slash command
+     * (price lookups, token addresses)
+     * @param {string} key - Payload prefix after "refresh_"
+     * @param {Function} handler - async (ctx, payload) => { text, photoUrl, showTimeframeButtons }
+     */
+    registerRefresh(key, handler) {
+        this.refreshHandlers.set(key, handler);
+        return this;
+    }
+
+    /**
+     * Handler used when no refresh key matches the payload
+     * @param {Function} handler - async (ctx, payload) => { text, photoUrl, showTimeframeButtons }
+     */
+    setFallbackRefresh(handler) {
+        this.fallbackRefresh = handler;
+        return this;
+    }
+
+    /**
+     * Check run before every command handler (throttling, permissions)
+     * @param {Function} guard - async (ctx) => boolean; false skips the handler
+     */
+    setCommandGuard(guard) {
+        this.commandGuard = guard;
+        return this;
+    }
+
+    /**
+     * Registers a handler for any other callback data
+     * @param {string|RegExp|Function} match - Exact value, pattern or predicate for the callback data
+     * @param {Function} handler - async (ctx, data) => void
+     * @param {Object} [options] - { permission } with the same rules as commands
+     */
+    registerCallback(match, handler, options = {}) {
+        this.callbackHandlers.push({ match, handler, permission: options.permission || null });
+        return this;
+    }
+
+    findCallback(data) {
+        return this.callbackHandlers.find(({ match }) => typeof match === 'function'
+            ? match(data)
+            : match instanceof RegExp ? match.test(data) : match === data) || null;
+    }
+
+    /**
+     * Permission rule of the handler that would receive this callback data
+     * @param {string} data - Callback data
+     * @returns {string|null} - Permission rule, or null when anyone may press it
+     */
+    callbackPermission(data) {
+        return data ? this.findCallback(data)?.permission || null : null;
+    }
+
+    /**
+     * Adds a help line that is not tied to a registered command
+     * @param {string} section - Heading the line is grouped under
+     * @param {string} text - Help line
+     * @param {string} [id] - Stable id for translations (commands use their name)
+     */
+    addHelpEntry(section, text, id = null) {
+        this.helpEntries.push({ section, text, id });
+        return this;
+    }
+
+    /**
+     * Looks up a command by name or alias
+     * @param {string} name - Command name
+     * @returns {Object|null} - Command definition
+     */
+    resolve(name) {
+        if (!name) return null;
+        const key = this.aliases.get(name) || name;
+        return this.commands.get(key) || null;
+    }
+
+    /**
+     * Runs the command in a message
+     * @param {Object} ctx - Message context passed through to the handler
+     * @param {string} text - Message text
+     * @returns {Promise<boolean>} - Whether a command handled the message (or the guard stopped it)
+     */
+    async dispatchCommand(ctx, text) {
+        const parsed = parseCommandText(text);
+        if (!parsed) return false;
+
+        const definition = this.resolve(parsed.name);
+        if (!definition) {
+            console.log(`⚠️ Unknown command: ${parsed.name}`);
+            return false;
+        }
+
+        const commandCtx = { ...ctx, command: definition.name, invokedAs: parsed.name };
+        if (this.commandGuard && !(await this.commandGuard(commandCtx))) {
+            return true;
+        }
+
+        const args = definition.parseArgs
+            ? definition.parseArgs(parsed.args, parsed.rawArgs, commandCtx)
+            : parsed.args;
+
+        await definition.handler(commandCtx, args);
+        return true;
+    }
+
+    /**
+     * Finds the refresh handler for a payload
+     * @param {string} payload - Callback data with the "refresh_" prefix removed
+     * @returns {Object|null} - { handler, args } where args is the payload after the key
+     */
+    resolveRefresh(payload) {
+        for (const [key, handler] of this.refreshHandlers) {
+            if (payload === key) {
+                return { handler, args: '' };
+            }
+            if (payload.startsWith(`${key}_`)) {
+                return { handler, args: payload.substring(key.length + 1) };
+            }
+        }
+        if (this.fallbackRefresh) {
+            return { handler: this.fallbackRefresh, args: payload };
+        }
+        return null;
+    }
+
+    /**
+     * Routes callback data to its refresh or callback handler
+     * @param {Object} ctx - Callback context passed through to the handler
+     * @param {string} data - Callback data from the inline keyboard
+     * @param {Function} onRefresh - async (ctx, payload, result) => void, applies a refresh result
+     * @returns {Promise<boolean>} - Whether a handler was found
+     */
+    async dispatchCallback(ctx, data, onRefresh) {
+        if (!data) return false;
+
+        const callback = this.findCallback(data);
+        if (callback) {
+            await callback.handler(ctx, data);
+            return true;
+        }
+
+        if (data.startsWith('refresh_')) {
+            const payload = data.substring('refresh_'.length);
+            const route = this.resolveRefresh(payload);
+            if (!route) return false;
+
+            const result = await route.handler(ctx, route.args, payload);
+            if (result && onRefresh) {
+                await onRefresh(ctx, payload, result);
+            }
+            return true;
+        }
+
+        console.log(`⚠️ Unhandled callback data: ${data}`);
+        return false;
+    }
+
+    /**
+     * Builds help text from the registered commands
+     * @param {Function} [localize] - (type, id, text) => text, where type is 'section' or 'command'
+     * @returns {string} - Markdown help text grouped by section
+     */
+    buildHelp(localize = (type, id, text) => text) {
+        const sections = new Map();
+        this.helpEntries.forEach(({ section, text, id }) => {
+            if (!sections.has(section)) sections.set(section, []);
+            sections.get(section).push(id ? localize('command', id, text) : text);
+        });
+
+        return Array.from(sections.entries())
+            .map(([section, lines]) => `*${localize('section', section, section)}:*\n${lines.join('\n')}`)
+            .join('\n\n');
+    }
+}
+
+export {
+    CommandRegistry,
+    parseCommandText
+};
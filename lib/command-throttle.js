@@ -0,0 +1,117 @@
+/**
+ * Per-user and per-chat command throttling with sliding windows
+ *
+ * Counters live in memory, so each serverless instance keeps its own; that is
+ * enough to stop one user from draining the CoinGecko and Gemini quotas.
+ */
+
+const MINUTE = 60 * 1000;
+
+// Commands that hit paid or rate-limited APIs; a limit of 0 means unlimited
+const DEFAULT_COMMAND_LIMITS = {
+    chart: { perUser: 5, perChat: 15, windowMs: MINUTE },
+    compare: { perUser: 5, perChat: 15, windowMs: MINUTE },
+    gas: { perUser: 5, perChat: 15, windowMs: MINUTE },
+    que: { perUser: 3, perChat: 10, windowMs: MINUTE },
+    quote: { perUser: 3, perChat: 10, windowMs: MINUTE },
+    leaderboard: { perUser: 2, perChat: 5, windowMs: MINUTE },
+    sum: { perUser: 2, perChat: 4, windowMs: 10 * MINUTE }
+};
+
+const LIMIT_MAX = 100;
+
+/**
+ * Limits for a command after the chat's overrides
+ * @param {string} command - Command name
+ * @param {Object} overrides - settings.commandLimits ({ [command]: { perUser, perChat } })
+ * @returns {Object|null} - { perUser, perChat, windowMs } or null when the command is not throttled
+ */
+function getCommandLimits(command, overrides = {}) {
+    const defaults = DEFAULT_COMMAND_LIMITS[command];
+    if (!defaults) return null;
+    return { ...defaults, ...(overrides[command] || {}), windowMs: defaults.windowMs };
+}
+
+/**
+ * Creates a throttle
+ * @param {Object} options - Throttle options
+ * @param {Function} options.now - Clock (for tests)
+ * @returns {Object} - Throttle
+ */
+function createCommandThrottle(options = {}) {
+    const { now = Date.now } = options;
+
+    const hits = new Map(); // key -> timestamps inside the window
+    const noticeUntil = new Map(); // chatId:userId:command -> end of the window the user was told about
+
+    const recent = (key, windowMs, time) => {
+        const list = (hits.get(key) || []).filter(at => time - at < windowMs);
+        if (list.length > 0) {
+            hits.set(key, list);
+        } else {
+            hits.delete(key);
+        }
+        return list;
+    };
+
+    // Forget notices whose window is over, including those of users who never come back
+    const pruneNotices = (time) => {
+        for (const [key, until] of noticeUntil) {
+            if (until <= time) noticeUntil.delete(key);
+        }
+    };
+
+    // Wait until the oldest hit in a full window expires
+    const retryIn = (list, windowMs, time) => Math.max(0, list[0] + windowMs - time);
+
+    return {
+        /**
+         * Records a command use if it is within the limits
+         * @param {Object} request - { chatId, userId, command, limits } where limits come from getCommandLimits
+         * @returns {Object} - { allowed } or { allowed: false, scope, retryInMs, notify } where
+         *                     scope is 'user' or 'chat' and notify is true once per cooldown window
+         */
+        hit({ chatId, userId, command, limits }) {
+            if (!limits) return { allowed: true };
+
+            const time = now();
+            pruneNotices(time);
+            const userKey = `${chatId}:${userId}:${command}`;
+            const chatKey = `${chatId}:${command}`;
+            const userHits = recent(userKey, limits.windowMs, time);
+            const chatHits = recent(chatKey, limits.windowMs, time);
+
+            let denied = null;
+            if (limits.perUser > 0 && userHits.length >= limits.perUser) {
+                denied = { scope: 'user', retryInMs: retryIn(userHits, limits.windowMs, time) };
+            } else if (limits.perChat > 0 && chatHits.length >= limits.perChat) {
+                denied = { scope: 'chat', retryInMs: retryIn(chatHits, limits.windowMs, time) };
+            }
+
+            if (denied) {
+                const notify = !noticeUntil.has(userKey);
+                if (notify) noticeUntil.set(userKey, time + denied.retryInMs);
+                return { allowed: false, ...denied, notify };
+            }
+
+            hits.set(userKey, [...userHits, time]);
+            hits.set(chatKey, [...chatHits, time]);
+            return { allowed: true };
+        },
+
+        /**
+         * Number of users currently inside a cooldown they were told about
+         * @returns {number}
+         */
+        noticeCount() {
+            return noticeUntil.size;
+        }
+    };
+}
+
+export {
+    createCommandThrottle,
+    getCommandLimits,
+    DEFAULT_COMMAND_LIMITS,
+    LIMIT_MAX
+};
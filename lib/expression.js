@@ -0,0 +1,214 @@
+/**
+ * Calculator expressions: a small tokenizer and recursive-descent parser
+ *
+ * Grammar (lowest precedence first):
+ *   sum     := product (('+' | '-') product)*
+ *   product := unary (('*' | '/' | '%') unary)*
+ *   unary   := ('-' | '+') unary | power
+ *   power   := percent ('^' unary)?          right-associative, so -2^2 = -4 and 2^3^2 = 512
+ *   percent := operand '%'?                  "20%" is 0.2; "%" between operands is modulo
+ *   operand := number [symbol] | symbol | 'ans' | '(' sum ')'
+ *
+ * Numbers take k/m/b suffixes (2.5k = 2500). A symbol is a coin priced live, so
+ * "2 eth" is two ETH in the chat's currency; "ans" is the user's previous result.
+ * Nothing is ever run as code.
+ */
+
+const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9 };
+const OPERATORS = '+-*/%^()';
+const ANS = 'ans';
+
+// Longest input worth parsing; anything longer is a chat message, not a sum
+const MAX_LENGTH = 200;
+
+/**
+ * Splits text into number, symbol and operator tokens
+ * @param {string} text - Expression text
+ * @returns {Object[]|null} - Tokens, or null when the text has anything else in it
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(?:(\d+(?:\.\d+)?|\.\d+)([kmb](?![a-z0-9]))?|([a-z][a-z0-9]*)|(\S))/gy;
+    const input = text.toLowerCase();
+    let match;
+
+    while (pattern.lastIndex < input.length && (match = pattern.exec(input))) {
+        const [, number, suffix, word, char] = match;
+        if (number !== undefined) {
+            tokens.push({ type: 'number', value: parseFloat(number) * (suffix ? SUFFIXES[suffix] : 1) });
+        } else if (word !== undefined) {
+            tokens.push({ type: 'word', value: word });
+        } else if (char !== undefined && OPERATORS.includes(char)) {
+            tokens.push({ type: 'op', value: char });
+        } else if (char !== undefined) {
+            return null;
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses a calculator expression
+ * @param {string} text - Message text
+ * @returns {Object|null} - { ast, symbols, usesAns }, or null unless the whole text is an
+ *                          expression with at least one number and one binary operator
+ *                          (so "2 eth" stays a price lookup and plain words stay chatter)
+ */
+function parseExpression(text) {
+    if (!text || text.length > MAX_LENGTH) return null;
+    const tokens = tokenize(text);
+    if (!tokens || tokens.length === 0) return null;
+
+    let position = 0;
+    let binaryOperators = 0;
+    let numbers = 0;
+    const symbols = new Set();
+    let usesAns = false;
+
+    const peek = () => tokens[position];
+    const isOp = (token, ops) => token?.type === 'op' && ops.includes(token.value);
+    const startsOperand = (token) => token && (token.type !== 'op' || token.value === '(');
+
+    const fail = () => { throw new SyntaxError(`Unexpected ${peek()?.value ?? 'end of expression'}`); };
+
+    function parseSum() {
+        let node = parseProduct();
+        while (isOp(peek(), '+-')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseProduct() };
+            binaryOperators++;
+        }
+        return node;
+    }
+
+    function parseProduct() {
+        let node = parseUnary();
+        while (isOp(peek(), '*/%')) {
+            const op = tokens[position++].value;
+            node = { type: 'binary', op, left: node, right: parseUnary() };
+            binaryOperators++;
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp(peek(), '+-')) {
+            const op = tokens[position++].value;
+            const arg = parseUnary();
+            return op === '-' ? { type: 'negate', arg } : arg;
+        }
+        return parsePower();
+    }
+
+    function parsePower() {
+        const base = parsePercent();
+        if (isOp(peek(), '^')) {
+            position++;
+            binaryOperators++;
+            return { type: 'binary', op: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    }
+
+    function parsePercent() {
+        const node = parseOperand();
+        // "%" followed by another operand is modulo and is left for parseProduct
+        if (isOp(peek(), '%') && !startsOperand(tokens[position + 1])) {
+            position++;
+            return { type: 'percent', arg: node };
+        }
+        return node;
+    }
+
+    function parseOperand() {
+        const token = tokens[position++];
+        if (!token) fail();
+
+        if (token.type === 'number') {
+            numbers++;
+            const next = peek();
+            if (next?.type === 'word' && next.value !== ANS) {
+                position++;
+                symbols.add(next.value);
+                return { type: 'coin', symbol: next.value, amount: token.value };
+            }
+            return { type: 'number', value: token.value };
+        }
+        if (token.type === 'word') {
+            if (token.value === ANS) {
+                usesAns = true;
+                return { type: 'ans' };
+            }
+            symbols.add(token.value);
+            return { type: 'coin', symbol: token.value, amount: 1 };
+        }
+        if (token.value === '(') {
+            const inner = parseSum();
+            if (!isOp(tokens[position++], ')')) {
+                position--;
+                fail();
+            }
+            return inner;
+        }
+        position--;
+        return fail();
+    }
+
+    try {
+        const ast = parseSum();
+        if (position < tokens.length) fail();
+        if (binaryOperators === 0 || numbers === 0) return null;
+        return { ast, symbols: [...symbols], usesAns };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Evaluates a parsed expression
+ * @param {Object} ast - ast from parseExpression
+ * @param {Object} scope - { prices: { symbol: price }, ans: previous result or null }
+ * @returns {number|null} - Result, or null when a price or ans is missing or the result is not finite
+ */
+function evaluateExpression(ast, scope = {}) {
+    const { prices = {}, ans = null } = scope;
+
+    function evaluate(node) {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'coin': {
+                const price = prices[node.symbol];
+                return price == null ? NaN : node.amount * price;
+            }
+            case 'ans':
+                return ans == null ? NaN : ans;
+            case 'negate':
+                return -evaluate(node.arg);
+            case 'percent':
+                return evaluate(node.arg) / 100;
+            case 'binary': {
+                const left = evaluate(node.left);
+                const right = evaluate(node.right);
+                switch (node.op) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/': return left / right;
+                    case '%': return left % right;
+                    case '^': return left ** right;
+                }
+            }
+        }
+        return NaN;
+    }
+
+    const result = evaluate(ast);
+    // Drop binary floating-point noise (0.1 + 0.2 = 0.3, not 0.30000000000000004)
+    return Number.isFinite(result) ? parseFloat(result.toPrecision(12)) : null;
+}
+
+export {
+    parseExpression,
+    evaluateExpression
+};
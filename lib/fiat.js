@@ -0,0 +1,165 @@
+/**
+ * Fiat currencies prices can be shown in, and USD exchange rates
+ *
+ * Providers quote in USD; quotes and chart series are converted afterwards with
+ * CoinGecko's /exchange_rates (BTC-relative, so USD -> X is rates[x] / rates.usd).
+ */
+
+import { makeRateLimitedAxiosRequest } from '../api/rate-limiter.js';
+
+const DEFAULT_BASE_URL = 'https://api.coingecko.com/api/v3';
+const DEFAULT_TTL = 10 * 60 * 1000; // 10 minutes; fiat rates move slowly
+
+// Codes users can type; tag picks the symbol placement and digit grouping (₹1,23,456 for INR)
+const FIAT_CURRENCIES = {
+    usd: { name: 'US Dollar', tag: 'en-US' },
+    inr: { name: 'Indian Rupee', tag: 'en-IN' },
+    eur: { name: 'Euro', tag: 'de-DE' },
+    gbp: { name: 'British Pound', tag: 'en-GB' },
+    aed: { name: 'UAE Dirham', tag: 'en-AE' },
+    jpy: { name: 'Japanese Yen', tag: 'ja-JP' },
+    cad: { name: 'Canadian Dollar', tag: 'en-CA' },
+    aud: { name: 'Australian Dollar', tag: 'en-AU' },
+    sgd: { name: 'Singapore Dollar', tag: 'en-SG' }
+};
+
+const DEFAULT_FIAT = 'usd';
+
+// Quote fields that hold money (percentages and supplies stay as they are)
+const MONEY_FIELDS = ['current_price', 'market_cap', 'fully_diluted_valuation', 'total_volume', 'ath', 'high_24h', 'low_24h'];
+
+const isFiat = (code) => typeof code === 'string' && code.toLowerCase() in FIAT_CURRENCIES;
+
+/**
+ * Formats an amount in a fiat currency with that currency's symbol and grouping
+ * @param {number} n - Amount
+ * @param {string} fiat - Currency code
+ * @returns {string} - e.g. "₹2,50,000" or "1.234,5 €"
+ */
+function formatFiat(n, fiat) {
+    const code = fiat.toLowerCase();
+    return (n ?? 0).toLocaleString(FIAT_CURRENCIES[code].tag, {
+        style: 'currency',
+        currency: code.toUpperCase(),
+        minimumFractionDigits: 0,
+        maximumFractionDigits: 8
+    });
+}
+
+/**
+ * Symbol of a currency on its own, for compact amounts like "₹5.2T"
+ * @param {string} fiat - Currency code
+ * @returns {string} - e.g. "$", "₹", "€"
+ */
+function fiatSymbol(fiat = DEFAULT_FIAT) {
+    const code = fiat.toLowerCase();
+    return new Intl.NumberFormat(FIAT_CURRENCIES[code]?.tag || 'en-US', { style: 'currency', currency: code.toUpperCase() })
+        .formatToParts(0)
+        .find(part => part.type === 'currency').value;
+}
+
+/**
+ * Converts a USD quote into another currency
+ * @param {Object} quote - Quote in the CoinGecko markets shape
+ * @param {string} fiat - Currency code
+ * @param {number} rate - Units of the currency per USD
+ * @returns {Object} - Converted quote tagged with its fiat
+ */
+function convertQuote(quote, fiat, rate) {
+    const converted = { ...quote, fiat };
+    MONEY_FIELDS.forEach(field => {
+        if (converted[field] != null) converted[field] *= rate;
+    });
+    if (quote.sparkline_in_7d?.price) {
+        converted.sparkline_in_7d = { price: quote.sparkline_in_7d.price.map(price => price * rate) };
+    }
+    return converted;
+}
+
+/**
+ * Converts a chart series ([[time, ...values]]) into another currency
+ * @param {Array[]} series - OHLC candles or [time, price] points
+ * @param {number} rate - Units of the currency per USD
+ * @returns {Array[]} - Converted series
+ */
+function convertSeries(series, rate) {
+    return series.map(([time, ...values]) => [time, ...values.map(value => value * rate)]);
+}
+
+/**
+ * Creates an exchange-rate source
+ * @param {Object} options - Source options
+ * @param {string} options.baseUrl - CoinGecko API root (overridable for stub servers)
+ * @param {Function} options.request - Axios-style request function
+ * @param {number} options.ttl - Rate cache lifetime in ms
+ * @returns {Object} - Rate source
+ */
+function createFiatRates(options = {}) {
+    const {
+        baseUrl = process.env.COINGECKO_API_BASE || DEFAULT_BASE_URL,
+        request = makeRateLimitedAxiosRequest,
+        ttl = DEFAULT_TTL
+    } = options;
+
+    let cached = null; // { rates, timestamp }
+
+    async function fetchRates() {
+        const response = await request({
+            method: 'get',
+            url: `${baseUrl}/exchange_rates`,
+            timeout: 15000,
+        });
+        return response.data?.rates || {};
+    }
+
+    return {
+        /**
+         * Units of a currency per USD
+         * @param {string} fiat - Currency code
+         * @returns {Promise<number|null>} - Rate, or null when it is unavailable
+         */
+        async getRate(fiat) {
+            const code = (fiat || DEFAULT_FIAT).toLowerCase();
+            if (code === 'usd') return 1;
+
+            if (!cached || Date.now() - cached.timestamp >= ttl) {
+                try {
+                    cached = { rates: await fetchRates(), timestamp: Date.now() };
+                } catch (error) {
+                    // A stale rate beats no rate
+                    console.error('❌ Error fetching exchange rates:', error.message);
+                    if (!cached) return null;
+                }
+            }
+
+            const usd = cached.rates.usd?.value;
+            const target = cached.rates[code]?.value;
+            return usd && target ? target / usd : null;
+        }
+    };
+}
+
+let sharedRates = null;
+
+/**
+ * Returns the exchange-rate source both endpoints share
+ * @returns {Object} - Rate source
+ */
+function getFiatRates() {
+    if (!sharedRates) {
+        sharedRates = createFiatRates();
+    }
+    return sharedRates;
+}
+
+export {
+    FIAT_CURRENCIES,
+    DEFAULT_FIAT,
+    isFiat,
+    formatFiat,
+    fiatSymbol,
+    convertQuote,
+    convertSeries,
+    createFiatRates,
+    getFiatRates
+};
@@ -0,0 +1,109 @@
+/**
+ * Text escaping and number formatting shared by the webhook and the alert checker
+ */
+
+// --- FIXED: Comprehensive Markdown V1 escaping for safe Telegram sending ---
+function escapeMarkdown(text) {
+    if (!text) return '';
+    // Escape ALL Markdown V1 special characters for Telegram
+    return text
+        .replace(/\\/g, '\\\\')  // Backslash must be first
+        .replace(/\*/g, '\\*')   // Bold
+        .replace(/_/g, '\\_')    // Italic
+        .replace(/\[/g, '\\[')   // Link start
+        .replace(/\]/g, '\\]')   // Link end
+        .replace(/\(/g, '\\(')   // Link URL start
+        .replace(/\)/g, '\\)')   // Link URL end
+        .replace(/~/g, '\\~')    // Strikethrough
+        .replace(/`/g, '\\`')    // Code
+        .replace(/>/g, '\\>')    // Quote
+        .replace(/#/g, '\\#')    // Header
+        .replace(/\+/g, '\\+')   // Plus
+        .replace(/-/g, '\\-')    // Minus
+        .replace(/=/g, '\\=')    // Equal
+        .replace(/\|/g, '\\|')   // Pipe
+        .replace(/\{/g, '\\{')   // Curly brace
+        .replace(/\}/g, '\\}')   // Curly brace
+        .replace(/\./g, '\\.')   // Dot
+        .replace(/!/g, '\\!');   // Exclamation
+}
+
+// --- FIXED: Safe username escaping for mentions ---
+function escapeUsername(text) {
+    if (!text) return '';
+    // For usernames in mentions, we need to be very careful
+    // Only escape characters that would break Markdown parsing
+    return text
+        .replace(/\\/g, '\\\\')  // Backslash must be first
+        .replace(/\*/g, '\\*')   // Bold
+        .replace(/\[/g, '\\[')   // Link start  
+        .replace(/\]/g, '\\]')   // Link end
+        .replace(/\(/g, '\\(')   // Link URL start
+        .replace(/\)/g, '\\)')   // Link URL end
+        .replace(/`/g, '\\`')    // Code
+        .replace(/~/g, '\\~');   // Strikethrough
+}
+
+function escapeHtml(str) {
+    if (!str || typeof str !== 'string') return 'Empty response';
+    return str
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#x27;")
+        .replace(/[\u0000-\u001F\u007F-\u009F]/g, '')
+        .trim();
+}
+
+// --- Number helpers (locale is a BCP 47 tag such as 'ml-IN'; default is the runtime's) ---
+function fmtBig(n, locale) {
+    if (n == null) return "N/A";
+    if (n >= 1e12) return (n / 1e12).toFixed(2) + "T";
+    if (n >= 1e9) return (n / 1e9).toFixed(2) + "B";
+    if (n >= 1e6) return (n / 1e6).toFixed(2) + "M";
+    if (n >= 1e3) return (n / 1e3).toFixed(2) + "K";
+    return n.toLocaleString(locale);
+}
+
+function fmtPrice(n, locale) {
+    if (n == null) return "$0";
+    return "$" + n.toLocaleString(locale, {
+        maximumFractionDigits: 8
+    });
+}
+
+function fmtChange(n) {
+    if (n == null) return "N/A";
+    const sign = n >= 0 ? '🟢' : '🔴';
+    return `${sign} ${n.toFixed(2)}%`;
+}
+
+// --- Format time duration with better display ---
+function formatTimeDuration(seconds) {
+    if (seconds < 60) {
+        return `${seconds}s`;
+    } else if (seconds < 3600) {
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = seconds % 60;
+        return remainingSeconds > 0 ? `${minutes}m ${remainingSeconds}s` : `${minutes}m`;
+    } else if (seconds < 86400) {
+        const hours = Math.floor(seconds / 3600);
+        const remainingMinutes = Math.floor((seconds % 3600) / 60);
+        return remainingMinutes > 0 ? `${hours}h ${remainingMinutes}m` : `${hours}h`;
+    } else {
+        const days = Math.floor(seconds / 86400);
+        const remainingHours = Math.floor((seconds % 86400) / 3600);
+        return remainingHours > 0 ? `${days}d ${remainingHours}h` : `${days}d`;
+    }
+}
+
+export {
+    escapeMarkdown,
+    escapeUsername,
+    escapeHtml,
+    fmtBig,
+    fmtPrice,
+    fmtChange,
+    formatTimeDuration
+};
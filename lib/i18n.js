@@ -0,0 +1,364 @@
+/**
+ * Message catalog and locale-aware number and date formatting
+ *
+ * Every reply string the bot localizes lives here under a dotted key. Missing
+ * Malayalam strings fall back to English, and missing keys fall back to the key.
+ */
+
+import { fmtBig, fmtPrice } from './format.js';
+import { formatFiat, isFiat } from './fiat.js';
+
+const SUPPORTED_LOCALES = {
+    en: { name: 'English', tag: 'en-US' },
+    ml: { name: 'മലയാളം', tag: 'ml-IN' }
+};
+
+const DEFAULT_LOCALE = 'en';
+const TIME_ZONE = 'Asia/Kolkata'; // Reminders are set and shown in IST
+
+const MESSAGES = {
+    en: {
+        // Price replies
+        'coin.price': 'Price',
+        'coin.marketCap': 'MC',
+        'coin.fdv': 'FDV',
+        'coin.ath': 'ATH',
+        'coin.highLow': 'H/L',
+        'coin.change1h': '1H',
+        'coin.change24h': '1D',
+        'coin.change7d': '7D',
+        'coin.change30d': '30D',
+        'coin.error': 'Error formatting reply for {name}',
+        'convert.value': 'Value',
+        'coin.pick': 'Several coins use the ticker {symbol}. Which one did you mean?',
+        'coin.pickFailed': 'Could not save your choice. Please try again later.',
+
+        // /gas
+        'gas.title': 'Ethereum Gas Prices',
+        'gas.slow': 'Slow',
+        'gas.average': 'Avg',
+        'gas.fast': 'Fast',
+        'gas.unavailable': 'Could not retrieve gas prices. Please try again later.',
+        'gas.failed': 'Failed to retrieve gas data',
+        'gas.error': 'Error formatting gas prices',
+
+        // /compare
+        'compare.usage': 'Usage: /compare [symbol1] [symbol2]',
+        'compare.result': 'If {coin1} had the market cap of {coin2},\nits price would be approximately {price}.',
+        'compare.missing': 'Could not perform comparison. Missing required data.',
+        'compare.error': 'Error formatting comparison reply',
+
+        // /alert
+        'condition.above': 'above',
+        'condition.below': 'below',
+        'alert.usage': 'Usage: /alert [symbol] [above/below] [price] [fiat]\nExample: /alert btc above 100000',
+        'alert.badCondition': 'Condition must be "above" or "below"\nExample: /alert eth below 3000',
+        'alert.badPrice': 'Invalid price. Please enter a valid number\nExample: /alert sol above 150',
+        'alert.notFound': 'Coin "{symbol}" not found. Please check the symbol.',
+        'alert.set': '✅ *Price Alert Set*\n\n{symbol} {condition} {target}\nCurrent price: {price}\n\nYou\'ll be notified when the condition is met.',
+        'alert.failed': 'Failed to create alert. Please try again later.',
+        'alert.triggered': '🚨 <b>PRICE ALERT TRIGGERED</b>\n\n{symbol} is now {condition} {target}! {username}\n\n<code>Current Price: {price}</code>\n<code>1H Change: {change}</code>\n<code>Market Cap: {marketCap}</code>\n\nYour alert has been automatically removed.',
+
+        // /remind
+        'remind.usage': '`Usage: /remind "message" [time]\n\nExamples:\n/remind "check portfolio" 3pm\n/remind "buy the dip" 9:30am\n/remind "hello" 15:30`\n\nTime format: IST timezone, supports 12hr (3pm) and 24hr (15:30) formats',
+        'remind.badTime': 'Invalid time format. Use formats like: 3pm, 9:30am, 15:30',
+        'remind.tooFar': 'Time-based reminders are limited to within 7 days.',
+        'remind.set': '⏰ *Reminder Set*\n\n"{message}"\n\nDate: {date}\nTime: {time} IST\n\nI\'ll notify you at the specified time.',
+        'remind.failed': 'Failed to create reminder. Please try again later.',
+        'remind.triggered': '⏰ <b>REMINDER</b> \n\n{message}\n\nSet By: {username}\n\n<i>Set on: {date}</i>',
+
+        // /alerts and /cancel
+        'alerts.none': 'No active alerts or reminders found.',
+        'alerts.title': 'Your Active Alerts & Reminders:',
+        'alerts.priceHeading': '🚨 Price Alerts:',
+        'alerts.timeHeading': '⏰ Time Reminders:',
+        'alerts.timeLine': '{index}. "{message}" on {date} at {time}',
+        'cancel.usage': 'Usage: /cancel [price/time] [number]\nExample: /cancel price 1\nUse /alerts to see your alerts first.',
+        'cancel.badType': 'Alert type must be "price" or "time"\nExample: /cancel price 1',
+        'cancel.badIndex': 'Invalid alert number. Use /alerts to see your alerts.',
+        'cancel.done.price': '✅ Price alert #{index} has been canceled.',
+        'cancel.done.time': '✅ Time alert #{index} has been canceled.',
+        'cancel.notFound': 'Alert not found or already inactive. Use /alerts to see your active alerts.',
+
+        // /language
+        'language.current': 'Language: {name}\nChange it with /language {codes}',
+        'language.set': 'Language set to {name}.',
+        'language.unknown': 'Unknown language "{code}". Choose one of: {codes}',
+        'language.saveFailed': 'Could not save the language. Please try again later.',
+
+        // /currency
+        'currency.current': 'Prices are shown in {name} ({code}).\nChange it with /currency {codes}',
+        'currency.set': 'Prices will now be shown in {name} ({code}).',
+        'currency.unknown': 'Unknown currency "{code}". Choose one of: {codes}',
+        'currency.saveFailed': 'Could not save the currency. Please try again later.',
+
+        // Calculator
+        'calc.noAns': 'No previous result to use as ans yet',
+        'calc.invalid': 'Invalid expression',
+
+        'alias.usage': 'Usage: /alias add [name] [coingecko-id or contract address]\n/alias remove [name]\n/alias list',
+        'alias.list': 'Aliases in this chat:\n{aliases}',
+        'alias.none': 'No aliases yet. Add one with /alias add [name] [coingecko-id]',
+        'alias.added': '{name} now means {coin} ({id}) in this chat.',
+        'alias.removed': 'Alias {name} ({id}) removed.',
+        'alias.missing': 'There is no alias called {name}.',
+        'alias.badName': '"{name}" cannot be an alias. Use 2-10 letters that are not a currency code.',
+        'alias.tooMany': 'This chat already has {max} aliases. Remove one first.',
+        'alias.notFound': 'No listed coin found for "{target}".',
+        'alias.saveFailed': 'Could not save the alias. Please try again later.',
+
+        // Permissions, throttling and expired buttons
+        'permission.admin': 'Only group admins can do that.',
+        'permission.requester': 'Only the person who asked or a group admin can do that.',
+        'permission.owner': 'Only the bot owner can do that.',
+        'throttle.perUser': '{limit} per person',
+        'throttle.perChat': '{limit} in this chat',
+        'throttle.notice': 'Easy there! /{command} is limited to {limit} every {window}. Try again in {seconds}s.',
+        'button.expired': 'This button has expired. Send the query again.',
+        'lookup.tooMany.one': 'Hey hey, you can\'t search more than 1 coin at a time',
+        'lookup.tooMany.other': 'Hey hey, you can\'t search more than {count} coins at a time',
+
+        // /settings (toggle labels come from TOGGLES in lib/chat-settings.js)
+        'settings.title': '*Chat Settings*\nTap a button to switch a feature on or off.\n\n@all members: {members} (see `/settings members`)\nCoin limit: {coins} per message\nCommand limits: see `/settings limits`',
+        'settings.coins': 'Coins: {count}',
+        'settings.saveFailed': 'Failed to save settings. Please try again later.',
+        'settings.members': '@all members ({count}): `{list}`\n\nUse `/settings members add|remove @username` to change the list.',
+        'settings.members.none': 'none',
+        'settings.members.usage': 'Usage: /settings members add|remove @username ...',
+        'settings.limit.user': '{limit}/user',
+        'settings.limit.chat': '{limit}/chat',
+        'settings.limit.unlimited': 'unlimited',
+        'settings.limit.line': '/{command}: {perUser}, {perChat} per {window}',
+        'settings.limit.custom': '(custom)',
+        'settings.limit.onlyThese': 'Only these commands can be limited: {commands}',
+        'settings.limit.usage': 'Usage: /settings limit [command] [per-user] [per-chat]\nUse 0 for no limit (max {max}), or /settings limit [command] default',
+        'settings.limit.updated': 'Limit updated. {limit}',
+        'settings.limits': 'Command limits (admins are exempt):\n{lines}\n\nChange one with /settings limit [command] [per-user] [per-chat]',
+
+        // /sum
+        'sum.usage': 'Usage: /sum [time]\n\nExamples:\n/sum 6h - Last 6 hours\n/sum 1d - Last 1 day\n/sum 30m - Last 30 minutes\n/sum 2w - Last 2 weeks\n\nSupported units: m (minutes), h (hours), d (days), w (weeks)\nMax: 7 days',
+        'sum.badTime': 'Invalid time format. Use formats like: 6h, 1d, 30m, 2w',
+        'sum.generating': '⏳ Generating summary for the last {duration}...',
+        'sum.empty': 'No messages found in the last {duration}. The bot may need more time to collect messages.',
+        'sum.title': '*📊 Chat Summary - Last {duration}*',
+        'sum.basedOn.one': '_Based on 1 message_',
+        'sum.basedOn.other': '_Based on {count} messages_',
+
+        // /provider
+        'provider.current': 'Price data provider: {name}\nAvailable: {available}\nUsage: /provider [name]',
+        'provider.unknown': 'Unknown provider "{name}". Available: {available}',
+        'provider.set': 'Price data provider set to {name}. Other providers are still used as fallbacks.',
+        'provider.saveFailed': 'Failed to save provider. Please try again later.',
+
+        // /help extras (command lines come from the registry)
+        'help.mentions': '*Group Mention:*\n@all - Mention specific group members (works only in this group)\n*Enhanced @all usage:*\n- `@all` - Simple group mention\n- `Hello @all today is Wednesday` - Custom message with mentions',
+        'help.other': '*Other features:*\n- Send a token address to get token info\n- Use simple math, e.g., `5 * 10`\n- **Multi-token support**: `1 eth 2 btc 0.5 doge`\n- **Auto-enhances Twitter/X, Instagram, TikTok, Reddit links for better previews**'
+    },
+
+    ml: {
+        'coin.price': 'വില',
+        'coin.marketCap': 'വിപണി മൂല്യം',
+        'coin.ath': 'സർവകാല ഉയർച്ച',
+        'coin.highLow': 'ഉയർന്നത്/താഴ്ന്നത്',
+        'coin.change1h': '1 മണിക്കൂർ',
+        'coin.change24h': '1 ദിവസം',
+        'coin.change7d': '7 ദിവസം',
+        'coin.change30d': '30 ദിവസം',
+        'coin.error': '{name} എന്നതിന്റെ മറുപടി തയ്യാറാക്കാനായില്ല',
+        'convert.value': 'മൂല്യം',
+        'coin.pick': '{symbol} എന്ന ടിക്കർ പല കോയിനുകൾക്കുമുണ്ട്. ഏതാണ് ഉദ്ദേശിച്ചത്?',
+        'coin.pickFailed': 'നിങ്ങളുടെ തിരഞ്ഞെടുപ്പ് സേവ് ചെയ്യാനായില്ല. പിന്നീട് വീണ്ടും ശ്രമിക്കുക.',
+
+        'gas.title': 'എഥീരിയം ഗ്യാസ് നിരക്ക്',
+        'gas.slow': 'സാവധാനം',
+        'gas.average': 'ശരാശരി',
+        'gas.fast': 'വേഗം',
+        'gas.unavailable': 'ഗ്യാസ് നിരക്ക് ലഭ്യമായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+        'gas.failed': 'ഗ്യാസ് വിവരങ്ങൾ ലഭ്യമായില്ല',
+        'gas.error': 'ഗ്യാസ് നിരക്ക് തയ്യാറാക്കാനായില്ല',
+
+        'compare.usage': 'ഉപയോഗം: /compare [ചിഹ്നം1] [ചിഹ്നം2]',
+        'compare.result': '{coin1}-ന് {coin2}-ന്റെ വിപണി മൂല്യം ഉണ്ടായിരുന്നെങ്കിൽ,\nവില ഏകദേശം {price} ആകുമായിരുന്നു.',
+        'compare.missing': 'താരതമ്യം ചെയ്യാനായില്ല. ആവശ്യമായ വിവരങ്ങൾ ലഭ്യമല്ല.',
+        'compare.error': 'താരതമ്യ മറുപടി തയ്യാറാക്കാനായില്ല',
+
+        'condition.above': 'മുകളിൽ',
+        'condition.below': 'താഴെ',
+        'alert.usage': 'ഉപയോഗം: /alert [ചിഹ്നം] [above/below] [വില] [കറൻസി]\nഉദാ: /alert btc above 100000',
+        'alert.badCondition': 'നിബന്ധന "above" അല്ലെങ്കിൽ "below" ആയിരിക്കണം\nഉദാ: /alert eth below 3000',
+        'alert.badPrice': 'വില ശരിയല്ല. ഒരു സംഖ്യ നൽകുക\nഉദാ: /alert sol above 150',
+        'alert.notFound': '"{symbol}" എന്ന കോയിൻ കണ്ടെത്തിയില്ല. ചിഹ്നം പരിശോധിക്കുക.',
+        'alert.set': '✅ *വില അലേർട്ട് സജ്ജമാക്കി*\n\n{symbol} {target} {condition}\nനിലവിലെ വില: {price}\n\nനിബന്ധന പാലിക്കപ്പെടുമ്പോൾ അറിയിക്കും.',
+        'alert.failed': 'അലേർട്ട് സജ്ജമാക്കാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+        'alert.triggered': '🚨 <b>വില അലേർട്ട്</b>\n\n{symbol} ഇപ്പോൾ {target} {condition} ആണ്! {username}\n\n<code>നിലവിലെ വില: {price}</code>\n<code>1 മണിക്കൂർ മാറ്റം: {change}</code>\n<code>വിപണി മൂല്യം: {marketCap}</code>\n\nഈ അലേർട്ട് സ്വയം നീക്കം ചെയ്തു.',
+
+        'remind.usage': '`ഉപയോഗം: /remind "സന്ദേശം" [സമയം]\n\nഉദാഹരണങ്ങൾ:\n/remind "check portfolio" 3pm\n/remind "buy the dip" 9:30am\n/remind "hello" 15:30`\n\nസമയം IST-യിൽ; 12 മണിക്കൂർ (3pm), 24 മണിക്കൂർ (15:30) രീതികൾ ഉപയോഗിക്കാം',
+        'remind.badTime': 'സമയം ശരിയല്ല. 3pm, 9:30am, 15:30 പോലെ നൽകുക',
+        'remind.tooFar': 'ഓർമ്മപ്പെടുത്തലുകൾ 7 ദിവസത്തിനുള്ളിൽ മാത്രം.',
+        'remind.set': '⏰ *ഓർമ്മപ്പെടുത്തൽ സജ്ജമാക്കി*\n\n"{message}"\n\nതീയതി: {date}\nസമയം: {time} IST\n\nനിശ്ചിത സമയത്ത് അറിയിക്കും.',
+        'remind.failed': 'ഓർമ്മപ്പെടുത്തൽ സജ്ജമാക്കാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+        'remind.triggered': '⏰ <b>ഓർമ്മപ്പെടുത്തൽ</b> \n\n{message}\n\nസജ്ജമാക്കിയത്: {username}\n\n<i>സജ്ജമാക്കിയ തീയതി: {date}</i>',
+
+        'alerts.none': 'സജീവമായ അലേർട്ടുകളോ ഓർമ്മപ്പെടുത്തലുകളോ ഇല്ല.',
+        'alerts.title': 'നിങ്ങളുടെ സജീവ അലേർട്ടുകളും ഓർമ്മപ്പെടുത്തലുകളും:',
+        'alerts.priceHeading': '🚨 വില അലേർട്ടുകൾ:',
+        'alerts.timeHeading': '⏰ സമയ ഓർമ്മപ്പെടുത്തലുകൾ:',
+        'alerts.timeLine': '{index}. "{message}" - {date}, {time}',
+        'cancel.usage': 'ഉപയോഗം: /cancel [price/time] [നമ്പർ]\nഉദാ: /cancel price 1\nആദ്യം /alerts ഉപയോഗിച്ച് അലേർട്ടുകൾ കാണുക.',
+        'cancel.badType': 'അലേർട്ട് തരം "price" അല്ലെങ്കിൽ "time" ആയിരിക്കണം\nഉദാ: /cancel price 1',
+        'cancel.badIndex': 'അലേർട്ട് നമ്പർ ശരിയല്ല. /alerts ഉപയോഗിച്ച് അലേർട്ടുകൾ കാണുക.',
+        'cancel.done.price': '✅ വില അലേർട്ട് #{index} റദ്ദാക്കി.',
+        'cancel.done.time': '✅ സമയ അലേർട്ട് #{index} റദ്ദാക്കി.',
+        'cancel.notFound': 'അലേർട്ട് കണ്ടെത്തിയില്ല അല്ലെങ്കിൽ നേരത്തേ നിർജ്ജീവമാണ്. /alerts ഉപയോഗിച്ച് സജീവ അലേർട്ടുകൾ കാണുക.',
+
+        'language.current': 'ഭാഷ: {name}\nമാറ്റാൻ /language {codes}',
+        'language.set': 'ഭാഷ {name} ആക്കി.',
+        'language.unknown': '"{code}" എന്ന ഭാഷ ലഭ്യമല്ല. ഇവയിലൊന്ന് തിരഞ്ഞെടുക്കുക: {codes}',
+        'language.saveFailed': 'ഭാഷ സേവ് ചെയ്യാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+
+        'currency.current': 'വിലകൾ {name} ({code}) ആയി കാണിക്കുന്നു.\nമാറ്റാൻ /currency {codes}',
+        'currency.set': 'ഇനി വിലകൾ {name} ({code}) ആയി കാണിക്കും.',
+        'currency.unknown': '"{code}" എന്ന കറൻസി ലഭ്യമല്ല. ഇവയിലൊന്ന് തിരഞ്ഞെടുക്കുക: {codes}',
+        'currency.saveFailed': 'കറൻസി സേവ് ചെയ്യാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+
+        'calc.noAns': 'ans ആയി ഉപയോഗിക്കാൻ മുമ്പത്തെ ഫലം ഇതുവരെ ഇല്ല',
+        'calc.invalid': 'അസാധുവായ എക്സ്പ്രഷൻ',
+
+        'alias.usage': 'ഉപയോഗം: /alias add [പേര്] [coingecko-id അല്ലെങ്കിൽ കോൺട്രാക്റ്റ് വിലാസം]\n/alias remove [പേര്]\n/alias list',
+        'alias.list': 'ഈ ചാറ്റിലെ അപരനാമങ്ങൾ:\n{aliases}',
+        'alias.none': 'അപരനാമങ്ങളൊന്നുമില്ല. /alias add [പേര്] [coingecko-id] ഉപയോഗിച്ച് ചേർക്കുക',
+        'alias.added': 'ഈ ചാറ്റിൽ {name} ഇനി {coin} ({id}) ആണ്.',
+        'alias.removed': '{name} ({id}) എന്ന അപരനാമം നീക്കം ചെയ്തു.',
+        'alias.missing': '{name} എന്ന അപരനാമം ഇല്ല.',
+        'alias.badName': '"{name}" അപരനാമമാക്കാനാവില്ല. കറൻസി കോഡല്ലാത്ത 2-10 അക്ഷരങ്ങൾ ഉപയോഗിക്കുക.',
+        'alias.tooMany': 'ഈ ചാറ്റിൽ ഇതിനകം {max} അപരനാമങ്ങളുണ്ട്. ആദ്യം ഒന്ന് നീക്കം ചെയ്യുക.',
+        'alias.notFound': '"{target}" എന്നതിന് ലിസ്റ്റ് ചെയ്ത കോയിൻ കണ്ടെത്താനായില്ല.',
+        'alias.saveFailed': 'അപരനാമം സേവ് ചെയ്യാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+
+        'permission.admin': 'ഗ്രൂപ്പ് അഡ്മിൻമാർക്ക് മാത്രമേ ഇത് ചെയ്യാനാകൂ.',
+        'permission.requester': 'ചോദിച്ചയാൾക്കോ ഗ്രൂപ്പ് അഡ്മിനോ മാത്രമേ ഇത് ചെയ്യാനാകൂ.',
+        'permission.owner': 'ബോട്ട് ഉടമയ്ക്ക് മാത്രമേ ഇത് ചെയ്യാനാകൂ.',
+        'throttle.perUser': 'ഒരാൾക്ക് {limit}',
+        'throttle.perChat': 'ഈ ചാറ്റിൽ {limit}',
+        'throttle.notice': 'പതുക്കെ! /{command} ഓരോ {window}-ലും {limit} തവണ മാത്രം. {seconds} സെക്കൻഡ് കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+        'button.expired': 'ഈ ബട്ടണിന്റെ കാലാവധി കഴിഞ്ഞു. ചോദ്യം വീണ്ടും അയയ്ക്കുക.',
+        'lookup.tooMany.one': 'ഒരു സമയം ഒരു കോയിൻ മാത്രമേ തിരയാനാകൂ',
+        'lookup.tooMany.other': 'ഒരു സമയം {count} കോയിനുകളിൽ കൂടുതൽ തിരയാനാകില്ല',
+
+        'settings.toggle.mentionsEnabled': '@all മെൻഷനുകൾ',
+        'settings.toggle.linkRewrite': 'ലിങ്ക് മാറ്റം',
+        'settings.toggle.calculator': 'കാൽക്കുലേറ്റർ',
+        'settings.toggle.addressLookup': 'അഡ്രസ് തിരയൽ',
+        'settings.toggle.sparklines': 'സ്പാർക്ക്‌ലൈൻ ചാർട്ടുകൾ',
+        'settings.title': '*ചാറ്റ് ക്രമീകരണങ്ങൾ*\nഒരു സൗകര്യം ഓണാക്കാനോ ഓഫാക്കാനോ ബട്ടൺ അമർത്തുക.\n\n@all അംഗങ്ങൾ: {members} (`/settings members` കാണുക)\nകോയിൻ പരിധി: ഒരു സന്ദേശത്തിൽ {coins}\nകമാൻഡ് പരിധികൾ: `/settings limits` കാണുക',
+        'settings.coins': 'കോയിനുകൾ: {count}',
+        'settings.saveFailed': 'ക്രമീകരണങ്ങൾ സേവ് ചെയ്യാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+        'settings.members': '@all അംഗങ്ങൾ ({count}): `{list}`\n\nപട്ടിക മാറ്റാൻ `/settings members add|remove @username` ഉപയോഗിക്കുക.',
+        'settings.members.none': 'ആരുമില്ല',
+        'settings.members.usage': 'ഉപയോഗം: /settings members add|remove @username ...',
+        'settings.limit.user': 'ഒരാൾക്ക് {limit}',
+        'settings.limit.chat': 'ചാറ്റിന് {limit}',
+        'settings.limit.unlimited': 'പരിധിയില്ല',
+        'settings.limit.line': '/{command}: {perUser}, {perChat} / {window}',
+        'settings.limit.custom': '(മാറ്റിയത്)',
+        'settings.limit.onlyThese': 'ഈ കമാൻഡുകൾക്ക് മാത്രമേ പരിധി വയ്ക്കാനാകൂ: {commands}',
+        'settings.limit.usage': 'ഉപയോഗം: /settings limit [കമാൻഡ്] [ഒരാൾക്ക്] [ചാറ്റിന്]\nപരിധി വേണ്ടെങ്കിൽ 0 (പരമാവധി {max}), അല്ലെങ്കിൽ /settings limit [കമാൻഡ്] default',
+        'settings.limit.updated': 'പരിധി മാറ്റി. {limit}',
+        'settings.limits': 'കമാൻഡ് പരിധികൾ (അഡ്മിൻമാർക്ക് ബാധകമല്ല):\n{lines}\n\nമാറ്റാൻ /settings limit [കമാൻഡ്] [ഒരാൾക്ക്] [ചാറ്റിന്]',
+
+        'sum.usage': 'ഉപയോഗം: /sum [സമയം]\n\nഉദാഹരണങ്ങൾ:\n/sum 6h - കഴിഞ്ഞ 6 മണിക്കൂർ\n/sum 1d - കഴിഞ്ഞ 1 ദിവസം\n/sum 30m - കഴിഞ്ഞ 30 മിനിറ്റ്\n/sum 2w - കഴിഞ്ഞ 2 ആഴ്ച\n\nയൂണിറ്റുകൾ: m (മിനിറ്റ്), h (മണിക്കൂർ), d (ദിവസം), w (ആഴ്ച)\nപരമാവധി: 7 ദിവസം',
+        'sum.badTime': 'സമയം ശരിയല്ല. 6h, 1d, 30m, 2w പോലെ നൽകുക',
+        'sum.generating': '⏳ കഴിഞ്ഞ {duration}-ന്റെ സംഗ്രഹം തയ്യാറാക്കുന്നു...',
+        'sum.empty': 'കഴിഞ്ഞ {duration}-ൽ സന്ദേശങ്ങളൊന്നും കണ്ടെത്തിയില്ല. സന്ദേശങ്ങൾ ശേഖരിക്കാൻ ബോട്ടിന് കുറച്ചുകൂടി സമയം വേണ്ടിവന്നേക്കാം.',
+        'sum.title': '*📊 ചാറ്റ് സംഗ്രഹം - കഴിഞ്ഞ {duration}*',
+        'sum.basedOn.one': '_1 സന്ദേശത്തെ അടിസ്ഥാനമാക്കി_',
+        'sum.basedOn.other': '_{count} സന്ദേശങ്ങളെ അടിസ്ഥാനമാക്കി_',
+
+        'provider.current': 'വില വിവര ദാതാവ്: {name}\nലഭ്യമായവ: {available}\nഉപയോഗം: /provider [പേര്]',
+        'provider.unknown': '"{name}" എന്ന ദാതാവ് ലഭ്യമല്ല. ലഭ്യമായവ: {available}',
+        'provider.set': 'വില വിവര ദാതാവ് {name} ആക്കി. മറ്റ് ദാതാക്കളെ ഇപ്പോഴും പകരമായി ഉപയോഗിക്കും.',
+        'provider.saveFailed': 'ദാതാവിനെ സേവ് ചെയ്യാനായില്ല. അൽപ്പസമയം കഴിഞ്ഞ് വീണ്ടും ശ്രമിക്കുക.',
+
+        'help.mentions': '*ഗ്രൂപ്പ് മെൻഷൻ:*\n@all - തിരഞ്ഞെടുത്ത അംഗങ്ങളെ മെൻഷൻ ചെയ്യുക (ഈ ഗ്രൂപ്പിൽ മാത്രം)\n*@all ഉപയോഗം:*\n- `@all` - എല്ലാവരെയും വിളിക്കാൻ\n- `Hello @all today is Wednesday` - സന്ദേശത്തോടൊപ്പം മെൻഷൻ',
+        'help.other': '*മറ്റ് സൗകര്യങ്ങൾ:*\n- ടോക്കൺ വിവരങ്ങൾക്ക് അതിന്റെ അഡ്രസ് അയയ്ക്കുക\n- ലളിതമായ കണക്കുകൾ, ഉദാ: `5 * 10`\n- **ഒന്നിലധികം ടോക്കണുകൾ**: `1 eth 2 btc 0.5 doge`\n- **Twitter/X, Instagram, TikTok, Reddit ലിങ്കുകൾക്ക് മികച്ച പ്രിവ്യൂ**',
+
+        // Command help lines, keyed by command name (see CommandRegistry#buildHelp)
+        'help.section.Commands': 'കമാൻഡുകൾ',
+        'help.section.NEW: Alerts & Reminders': 'അലേർട്ടുകളും ഓർമ്മപ്പെടുത്തലുകളും',
+        'help.command.price': '[അളവ്] [ചിഹ്നം] - ക്രിപ്റ്റോ വില അറിയാൻ, ഉദാ: `2 eth`',
+        'help.command.convert': '[അളവ്] [ചിഹ്നം] to [ചിഹ്നം] - കോയിനുകൾ തമ്മിൽ മാറ്റി കണക്കാക്കുക, ഉദാ: `1 eth to btc`',
+        'help.command.calc': '[കണക്ക്] - +, -, *, /, %, ^, k/m/b, കോയിനുകൾ എന്നിവ ചേർത്ത് കണക്കുകൂട്ടുക, ഉദാ: `(2 eth + 0.3 btc) * 0.9`; `ans` നിങ്ങളുടെ അവസാന ഫലം',
+        'help.command.alias': '/alias add|list|remove - ചാറ്റിനുള്ള കോയിൻ അപരനാമങ്ങൾ, ഉദാ: `/alias add frog pepe` (CoinGecko id അല്ലെങ്കിൽ കോൺട്രാക്റ്റ് വിലാസം)',
+        'help.command.gas': '/gas - ഇപ്പോഴത്തെ എഥീരിയം ഗ്യാസ് നിരക്ക്',
+        'help.command.chart': '/chart [ചിഹ്നം] - സമയപരിധികളോടെ കാൻഡിൽസ്റ്റിക് ചാർട്ട്, ഉദാ: `/chart eth`',
+        'help.command.compare': '/compare [ചിഹ്നം1] [ചിഹ്നം2] - വിപണി മൂല്യം താരതമ്യം ചെയ്യുക, ഉദാ: `/compare eth btc`',
+        'help.command.que': '/que [ചോദ്യം] - AI-യോട് എന്തും ചോദിക്കുക, ഉദാ: `/que what is defi`',
+        'help.command.quote': '*/quote* അല്ലെങ്കിൽ */s* - ഒരു സന്ദേശത്തിന് മറുപടിയായി അയച്ചാൽ ക്വോട്ട് സ്റ്റിക്കർ ഉണ്ടാക്കും',
+        'help.command.leaderboard': '/leaderboard - മികച്ച ടോക്കൺ കണ്ടെത്തലുകാർ',
+        'help.command.sum': '*/sum [സമയം]* - ചാറ്റിന്റെ AI സംഗ്രഹം (ഉദാ: `/sum 6h`, `/sum 1d`)',
+        'help.command.settings': '/settings - ഈ ചാറ്റിലെ സൗകര്യങ്ങളും കമാൻഡ് പരിധികളും മാറ്റുക (അഡ്മിൻമാർക്ക് മാത്രം)',
+        'help.command.language': '/language [en/ml] - മറുപടികളുടെ ഭാഷ തിരഞ്ഞെടുക്കുക',
+        'help.command.currency': '/currency [inr/usd/...] - വിലകൾ കാണിക്കേണ്ട കറൻസി തിരഞ്ഞെടുക്കുക, ഉദാ: `/currency inr`',
+        'help.command.pin': '/pin [ചിഹ്നം] [coingecko-id] - ഒരു ടിക്കർ എപ്പോഴും ഈ കോയിനായി കണക്കാക്കുക, ഉദാ: `/pin pepe pepe`',
+        'help.command.alert': '/alert [ചിഹ്നം] [above/below] [വില] [കറൻസി] - വില അലേർട്ട്, ഉദാ: `/alert btc above 100000`',
+        'help.command.remind': '/remind "സന്ദേശം" [സമയം] - ഓർമ്മപ്പെടുത്തൽ (IST), ഉദാ: `/remind "hello" 3pm`',
+        'help.command.alerts': '/alerts - നിങ്ങളുടെ സജീവ അലേർട്ടുകളും ഓർമ്മപ്പെടുത്തലുകളും',
+        'help.command.cancel': '/cancel [price/time] [നമ്പർ] - ഒരു അലേർട്ട് റദ്ദാക്കുക, ഉദാ: `/cancel price 1`',
+        'help.command.help': '/help - ഈ സന്ദേശം കാണിക്കുക'
+    }
+};
+
+/**
+ * First supported locale among the candidates (accepts Telegram codes such as "ml" or "en-GB")
+ * @param {...string} candidates - Locale codes in order of preference
+ * @returns {string} - Supported locale code
+ */
+function resolveLocale(...candidates) {
+    for (const candidate of candidates) {
+        const code = String(candidate || '').toLowerCase().split('-')[0];
+        if (SUPPORTED_LOCALES[code]) return code;
+    }
+    return DEFAULT_LOCALE;
+}
+
+/**
+ * Looks up and fills in a catalog string
+ * @param {string} locale - Locale code
+ * @param {string} key - Catalog key
+ * @param {Object} params - Values for {placeholders}
+ * @returns {string} - Localized text
+ */
+function translate(locale, key, params = {}) {
+    const template = MESSAGES[locale]?.[key] ?? MESSAGES[DEFAULT_LOCALE][key] ?? key;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+/**
+ * Translator bound to one locale, with number and date helpers for it
+ * @param {string} locale - Locale code (unsupported codes fall back to English)
+ * @returns {Object} - { locale, t, has, price, big, number, date, time }
+ */
+function getTranslator(locale = DEFAULT_LOCALE) {
+    const code = resolveLocale(locale);
+    const { tag } = SUPPORTED_LOCALES[code];
+
+    return {
+        locale: code,
+        t: (key, params) => translate(code, key, params),
+        has: (key) => key in (MESSAGES[code] || {}),
+        // Prices in another fiat use that currency's symbol and grouping (see lib/fiat.js)
+        price: (n, fiat) => (fiat && fiat !== 'usd' && isFiat(fiat) ? formatFiat(n, fiat) : fmtPrice(n, tag)),
+        big: (n) => fmtBig(n, tag),
+        number: (n, options = {}) => (n == null ? 'N/A' : n.toLocaleString(tag, options)),
+        date: (date) => date.toLocaleDateString(tag, { timeZone: TIME_ZONE, day: 'numeric', month: 'short', year: 'numeric' }),
+        time: (date) => date.toLocaleTimeString(tag, { timeZone: TIME_ZONE, hour: 'numeric', minute: '2-digit', hour12: true })
+    };
+}
+
+export {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    resolveLocale,
+    translate,
+    getTranslator
+};
@@ -0,0 +1,131 @@
+/**
+ * Market-data provider layer with ordered fallback
+ *
+ * Every provider implements:
+ *   name                      - Provider id used in settings
+ *   getQuotes(coins)          - Quotes in the CoinGecko /coins/markets shape
+ *   getOHLC(coin, days)       - [[time, open, high, low, close], ...] or null
+ *   getHistory(coin, days)    - [[time, price], ...] or null
+ * where coin is { id, symbol }, id is the CoinGecko id (may be null) and symbol is that
+ * coin's own ticker.
+ */
+
+import { createCoinGeckoProvider } from './providers/coingecko.js';
+import { createCoinCapProvider } from './providers/coincap.js';
+import { createBinanceProvider } from './providers/binance.js';
+
+const DEFAULT_PROVIDER_ORDER = ['coingecko', 'coincap', 'binance'];
+
+const providers = new Map();
+
+/**
+ * Adds or replaces a provider
+ * @param {Object} provider - Provider implementing the interface above
+ */
+function registerProvider(provider) {
+    providers.set(provider.name, provider);
+}
+
+registerProvider(createCoinGeckoProvider());
+registerProvider(createCoinCapProvider());
+registerProvider(createBinanceProvider());
+
+function getProviderNames() {
+    return Array.from(providers.keys());
+}
+
+/**
+ * Provider order for a lookup: the preferred provider first, then the configured order
+ * @param {string} preferred - Provider chosen for the chat (optional)
+ * @returns {Object[]} - Providers to try in order
+ */
+function getProviderChain(preferred) {
+    const configured = (process.env.MARKET_DATA_PROVIDERS || DEFAULT_PROVIDER_ORDER.join(','))
+        .split(',')
+        .map(name => name.trim().toLowerCase())
+        .filter(name => providers.has(name));
+
+    const order = preferred && providers.has(preferred)
+        ? [preferred, ...configured.filter(name => name !== preferred)]
+        : configured;
+
+    return order.map(name => providers.get(name));
+}
+
+function quoteMatchesCoin(quote, coin) {
+    if (coin.id && quote.id === coin.id) return true;
+    return !coin.id && quote.symbol?.toLowerCase() === coin.symbol;
+}
+
+/**
+ * Fetches quotes, moving on to the next provider for coins the previous one could not price
+ * @param {Object[]} coins - Coins to price ({ id, symbol })
+ * @param {Object} options - Lookup options
+ * @param {string} options.provider - Preferred provider for this chat
+ * @returns {Promise<Object[]>} - Normalized quotes
+ */
+async function getQuotes(coins, options = {}) {
+    const quotes = [];
+    let remaining = coins;
+
+    for (const provider of getProviderChain(options.provider)) {
+        if (remaining.length === 0) break;
+
+        try {
+            const result = await provider.getQuotes(remaining);
+            const matched = result.filter(quote => remaining.some(coin => quoteMatchesCoin(quote, coin)));
+            quotes.push(...matched);
+            remaining = remaining.filter(coin => !matched.some(quote => quoteMatchesCoin(quote, coin)));
+        } catch (e) {
+            console.warn(`⚠️ ${provider.name} quotes failed, trying next provider:`, e.message);
+        }
+    }
+
+    if (remaining.length > 0) {
+        console.warn(`⚠️ No provider could price: ${remaining.map(coin => coin.symbol || coin.id).join(', ')}`);
+    }
+    return quotes;
+}
+
+async function firstSeries(method, coin, days, options = {}) {
+    for (const provider of getProviderChain(options.provider)) {
+        try {
+            const series = await provider[method](coin, days);
+            if (series && series.length > 0) {
+                return series;
+            }
+        } catch (e) {
+            console.warn(`⚠️ ${provider.name} ${method} failed, trying next provider:`, e.message);
+        }
+    }
+    return null;
+}
+
+/**
+ * OHLC candles from the first provider that has them
+ * @param {Object} coin - Coin ({ id, symbol })
+ * @param {number} days - Range in days
+ * @param {Object} options - { provider }
+ */
+function getOHLC(coin, days, options = {}) {
+    return firstSeries('getOHLC', coin, days, options);
+}
+
+/**
+ * Price history from the first provider that has it
+ * @param {Object} coin - Coin ({ id, symbol })
+ * @param {number} days - Range in days
+ * @param {Object} options - { provider }
+ */
+function getHistory(coin, days, options = {}) {
+    return firstSeries('getHistory', coin, days, options);
+}
+
+export {
+    registerProvider,
+    getProviderNames,
+    getProviderChain,
+    getQuotes,
+    getOHLC,
+    getHistory
+};
@@ -0,0 +1,80 @@
+/**
+ * @all mention helpers shared by the webhook and reminder delivery
+ *
+ * Which chats support @all and who gets mentioned lives in chat settings
+ * (mentionsEnabled / mentionMembers); MENTION_CONFIG only seeds the original group.
+ */
+
+import { escapeUsername } from './format.js';
+
+// --- CUSTOM @ALL MENTION CONFIGURATION ---
+const MENTION_CONFIG = {
+    // Group that had @all before /settings existed (including the minus sign)
+    TARGET_GROUP_ID: -1002115391578,
+
+    // Usernames (without @) mentioned there unless the group changes them
+    CHOSEN_MEMBERS: [
+        'KiNGViNU7',
+        'Xeron888',
+        'RemindMeOfThis',
+        'austrianbae250',
+        'ferno_x',
+        'Ananthu_VB',
+        'Oxshahid13',
+        'unknownking7',
+        'BeastIncarnate7',
+        'waazze'
+    ]
+};
+
+function isValidUsername(username) {
+    return username &&
+           typeof username === 'string' &&
+           username.trim() !== '' &&
+           !username.startsWith('username') && // Filter out placeholder usernames
+           username.length <= 32 && // Telegram username max length
+           /^[a-zA-Z0-9_]+$/.test(username); // Valid username characters only
+}
+
+/**
+ * Builds the "@user1 @user2" line for a parse mode
+ * @param {string} parseMode - 'markdown', 'html' or 'plain'
+ * @param {string[]} members - Usernames without @
+ * @returns {string} - Mention text, or '' when no username is valid
+ */
+function createMentionText(parseMode = 'markdown', members = MENTION_CONFIG.CHOSEN_MEMBERS) {
+    const validUsernames = members.filter(isValidUsername);
+
+    if (validUsernames.length === 0) {
+        console.warn('⚠️ No valid usernames found in the mention member list');
+        return '';
+    }
+
+    console.log(`📝 Creating mention text for ${validUsernames.length} valid usernames (${parseMode} mode)`);
+
+    return validUsernames
+        .map(username => {
+            // Only Markdown needs escaping; HTML and plain keep underscores as they are
+            return parseMode.toLowerCase() === 'markdown' ? `@${escapeUsername(username)}` : `@${username}`;
+        })
+        .join(' ');
+}
+
+// Whether @all should work with these chat settings
+function isValidMentionContext(settings) {
+    return Boolean(settings.mentionsEnabled && settings.mentionMembers.length > 0);
+}
+
+// Per-chat settings defaults: the original group keeps its @all list
+function mentionChatDefaults(chatId) {
+    return parseInt(chatId) === MENTION_CONFIG.TARGET_GROUP_ID
+        ? { mentionsEnabled: true, mentionMembers: MENTION_CONFIG.CHOSEN_MEMBERS }
+        : {};
+}
+
+export {
+    MENTION_CONFIG,
+    createMentionText,
+    isValidMentionContext,
+    mentionChatDefaults
+};
@@ -0,0 +1,113 @@
+/**
+ * Who may run a command or press a button
+ *
+ * Permission rules:
+ *   admin     - chat creator or administrator (everyone in a private chat)
+ *   requester - the user the reply was made for, or an admin
+ *   owner     - a bot owner from BOT_OWNER_IDS (nobody when none are configured: these commands
+ *               change lookups in every chat, and every private chat counts as admin)
+ * Bot owners pass every rule. getChatMember results are cached per chat and user.
+ */
+
+import { getTelegramClient, logTelegramError } from './telegram.js';
+
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes; promotions show up after at most this long
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+function parseOwnerIds(value) {
+    return (value || '')
+        .split(',')
+        .map(id => parseInt(id.trim()))
+        .filter(id => Number.isInteger(id));
+}
+
+/**
+ * Creates a permission checker
+ * @param {Object} options - Checker options
+ * @param {Function} options.getClient - (botToken) => Telegram client
+ * @param {number[]} options.ownerIds - Bot owner user ids (defaults to BOT_OWNER_IDS)
+ * @param {number} options.ttl - getChatMember cache lifetime in ms
+ * @returns {Object} - Permission checker
+ */
+function createPermissions(options = {}) {
+    const {
+        getClient = getTelegramClient,
+        ownerIds = parseOwnerIds(process.env.BOT_OWNER_IDS),
+        ttl = DEFAULT_TTL
+    } = options;
+
+    const memberCache = new Map(); // chatId:userId -> { status, timestamp }
+
+    /**
+     * Member status ('creator', 'administrator', 'member', ...) or null when Telegram cannot tell us
+     */
+    async function getMemberStatus(botToken, chatId, userId) {
+        const key = `${chatId}:${userId}`;
+        const cached = memberCache.get(key);
+        if (cached && Date.now() - cached.timestamp < ttl) {
+            return cached.status;
+        }
+
+        try {
+            const response = await getClient(botToken).call('getChatMember', { chat_id: chatId, user_id: userId });
+            const status = response.result?.status || null;
+            memberCache.set(key, { status, timestamp: Date.now() });
+            return status;
+        } catch (error) {
+            // Failures are not cached so the next press tries again
+            logTelegramError('Error checking member status', error);
+            return null;
+        }
+    }
+
+    const isBotOwner = (userId) => ownerIds.includes(userId);
+
+    /**
+     * Whether the sender administers this chat
+     * @param {Object} ctx - { botToken, chatId, chatType, user, msg }
+     */
+    async function isChatAdmin(ctx) {
+        const { botToken, chatId, user, chatType, msg } = ctx;
+        if (chatType === 'private') return true;
+        // Anonymous admins post as the group itself
+        if (msg?.sender_chat?.id === chatId) return true;
+        if (!user) return false;
+
+        return ADMIN_STATUSES.includes(await getMemberStatus(botToken, chatId, user.id));
+    }
+
+    /**
+     * Checks a permission rule
+     * @param {Object} ctx - Command or callback context (requesterId is set for bot replies)
+     * @param {string|null} permission - 'admin', 'requester', 'owner' or null for everyone
+     * @returns {Promise<boolean>}
+     */
+    async function allows(ctx, permission) {
+        if (!permission) return true;
+        if (ctx.user && isBotOwner(ctx.user.id)) return true;
+
+        switch (permission) {
+            case 'owner':
+                return false; // Owners were let through above
+            case 'requester':
+                if (ctx.requesterId && ctx.user?.id === ctx.requesterId) return true;
+                return isChatAdmin(ctx);
+            case 'admin':
+                return isChatAdmin(ctx);
+            default:
+                console.warn(`⚠️ Unknown permission rule: ${permission}`);
+                return false;
+        }
+    }
+
+    return {
+        allows,
+        isChatAdmin,
+        isBotOwner,
+        getMemberStatus
+    };
+}
+
+export {
+    createPermissions
+};
@@ -0,0 +1,259 @@
+/**
+ * Coin price lookups shared by the webhook and the alert checker
+ *
+ * Tickers go through the chat's aliases (/alias) and the coins it picked for ambiguous
+ * tickers, then the coin resolver (priority map, then cache, then search). Quotes come
+ * from the market-data layer, honouring each chat's provider setting.
+ * Quotes come back in the requested fiat (options.fiat), else the chat's, else USD.
+ */
+
+import { getQuotes, getOHLC, getHistory } from './market-data.js';
+import { createCoinResolver } from './coin-resolver.js';
+import { getStorage } from './storage/index.js';
+import { getChatSettings } from './chat-settings.js';
+import { getFiatRates, convertQuote, convertSeries, isFiat, DEFAULT_FIAT } from './fiat.js';
+
+// Strong guarantees for common tickers
+const PRIORITY_COINS = {
+    btc: "bitcoin",
+    eth: "ethereum",
+    usdt: "tether",
+    usdc: "usd-coin",
+    bnb: "binancecoin",
+    xrp: "ripple",
+    sol: "solana",
+    ton: "the-open-network",
+    ada: "cardano",
+    doge: "dogecoin",
+    trx: "tron",
+    avax: "avalanche-2",
+    shib: "shiba-inu",
+    wbtc: "wrapped-bitcoin",
+    link: "chainlink",
+    dot: "polkadot",
+    bch: "bitcoin-cash",
+    near: "near",
+    dai: "dai",
+    ltc: "litecoin",
+    uni: "uniswap",
+    matic: "matic-network",
+    etc: "ethereum-classic",
+    atom: "cosmos",
+    hbar: "hedera-hashgraph",
+    xlm: "stellar",
+    cro: "crypto-com-chain",
+    fil: "filecoin",
+    vet: "vechain",
+};
+
+/**
+ * Creates a price service
+ * @param {Object} options - Service options
+ * @param {Object} options.resolver - Coin resolver (see coin-resolver.js)
+ * @param {Object} options.chatSettings - Settings service used for per-chat providers and fiats (optional)
+ * @param {Object} options.fiatRates - Exchange-rate source (see fiat.js); without one prices stay in USD
+ * @returns {Object} - Price service
+ */
+function createPriceService(options = {}) {
+    const { resolver, chatSettings = null, fiatRates = null } = options;
+
+    async function getChatProvider(chatId) {
+        if (chatId == null || !chatSettings) return null;
+        const settings = await chatSettings.get(chatId);
+        return settings.marketDataProvider || null;
+    }
+
+    // --- Fiat: an explicit currency wins over the chat's default ---
+    async function getChatFiat(chatId) {
+        if (chatId == null || !chatSettings) return DEFAULT_FIAT;
+        const settings = await chatSettings.get(chatId);
+        return settings.fiat || DEFAULT_FIAT;
+    }
+
+    /**
+     * Currency and USD rate for a lookup; falls back to USD when the rate is unavailable
+     * @param {Object} options - { chatId, fiat }
+     * @returns {Promise<Object>} - { fiat, rate }
+     */
+    async function getFiatRate(options = {}) {
+        const fiat = isFiat(options.fiat) ? options.fiat.toLowerCase() : await getChatFiat(options.chatId);
+        if (fiat === DEFAULT_FIAT || !fiatRates) return { fiat: DEFAULT_FIAT, rate: 1 };
+
+        const rate = await fiatRates.getRate(fiat);
+        if (!rate) {
+            console.warn(`⚠️ No ${fiat.toUpperCase()} rate, showing USD`);
+            return { fiat: DEFAULT_FIAT, rate: 1 };
+        }
+        return { fiat, rate };
+    }
+
+    async function toFiat(quotes, options) {
+        const { fiat, rate } = await getFiatRate(options);
+        return quotes.map(quote => convertQuote(quote, fiat, rate));
+    }
+
+    // --- A chat's own tickers: aliases win over everything, picks over search ---
+    // Returns { id, symbol } with the coin's own ticker, which differs from an alias name
+    async function getChatCoin(symbol, chatId) {
+        if (chatId == null || !chatSettings) return null;
+        const settings = await chatSettings.get(chatId);
+        const alias = settings.aliases?.[symbol];
+        if (alias) return { id: alias.id, symbol: alias.symbol };
+        const choice = settings.coinChoices?.[symbol];
+        return choice ? { id: choice, symbol } : null;
+    }
+
+    /**
+     * Coins to offer when a ticker is ambiguous in a chat
+     * @param {string} symbol - Ticker
+     * @param {Object} options - { chatId }
+     * @returns {Promise<Object[]>} - [{ id, name, rank }], empty when the coin is settled (a priority
+     *                                ticker, a pin, the chat's earlier pick or a single match)
+     */
+    async function getCoinCandidates(symbol, options = {}) {
+        const s = String(symbol).toLowerCase().trim();
+        if (await getChatCoin(s, options.chatId)) return [];
+        try {
+            const candidates = await resolver.candidates(s);
+            return candidates.length > 1 ? candidates : [];
+        } catch (e) {
+            console.warn(`⚠️ Could not list coins for ${s}:`, e.message);
+            return [];
+        }
+    }
+
+    // --- Resolve a ticker to the coin to quote: { id, symbol } (id is null when search is unavailable) ---
+    async function resolveCoin(symbol, chatId = null) {
+        try {
+            const chosen = await getChatCoin(symbol, chatId);
+            if (chosen) return chosen;
+            return { id: await resolver.resolve(symbol), symbol };
+        } catch (e) {
+            // Symbol-based providers can still price the coin without an id
+            console.warn(`⚠️ Could not resolve ${symbol}:`, e.message);
+            return { id: null, symbol };
+        }
+    }
+
+    // --- Resolve a ticker to a CoinGecko id (null when search is unavailable) ---
+    async function searchCoinId(symbol, chatId = null) {
+        return (await resolveCoin(symbol, chatId)).id;
+    }
+
+    // --- Get all coin data in a single API call ---
+    async function getCoinDataWithChanges(symbol, options = {}) {
+        if (!symbol) {
+            console.error('❌ Symbol is required for getCoinDataWithChanges');
+            return null;
+        }
+
+        const s = String(symbol).toLowerCase().trim();
+        if (!s) {
+            console.error('❌ Empty symbol after conversion:', symbol);
+            return null;
+        }
+
+        try {
+            const coin = await resolveCoin(s, options.chatId);
+            const provider = await getChatProvider(options.chatId);
+            const quotes = await getQuotes([coin], { provider });
+
+            if (quotes.length === 0) {
+                console.warn(`⚠️ Could not find market data for symbol: ${s}`);
+                return null;
+            }
+            return (await toFiat(quotes, options))[0];
+        } catch (e) {
+            console.error(`❌ getCoinDataWithChanges failed for ${s}:`, e.message);
+            return null;
+        }
+    }
+
+    // --- Batch coin data function for multiple coins ---
+    async function getBatchCoinData(symbols, options = {}) {
+        if (!symbols || symbols.length === 0) return [];
+
+        const s = symbols.map(symbol => String(symbol).toLowerCase().trim()).filter(s => s);
+        if (s.length === 0) return [];
+
+        try {
+            // Resolve ids in parallel; unknown ids are still priced by symbol-based providers
+            const coins = await Promise.all(s.map(symbol => resolveCoin(symbol, options.chatId)));
+
+            const provider = await getChatProvider(options.chatId);
+            const quotes = await toFiat(await getQuotes(coins, { provider }), options);
+            // query is the ticker as asked, which differs from the coin's symbol for aliases
+            return quotes.map(quote => {
+                const index = coins.findIndex(c => c.id ? c.id === quote.id : c.symbol === quote.symbol?.toLowerCase());
+                return { ...quote, query: index >= 0 ? s[index] : quote.symbol?.toLowerCase() };
+            });
+        } catch (e) {
+            console.error(`❌ getBatchCoinData failed for ${s.join(',')}:`, e.message);
+            return [];
+        }
+    }
+
+    // Chart series follow the fiat of the quote they were drawn for
+    async function seriesInFiat(series, coin) {
+        if (!series || !coin.fiat || coin.fiat === DEFAULT_FIAT) return series;
+        const { fiat, rate } = await getFiatRate({ fiat: coin.fiat });
+        return fiat === coin.fiat ? convertSeries(series, rate) : series;
+    }
+
+    // --- ENHANCED: Get OHLC historical data for candlestick charts ---
+    async function getOHLCData(coin, days, options = {}) {
+        try {
+            const provider = await getChatProvider(options.chatId);
+            return await seriesInFiat(await getOHLC(coin, days, { provider }), coin);
+        } catch (e) {
+            console.error("❌ getOHLCData failed:", e.message);
+            return null;
+        }
+    }
+
+    // --- Get historical data for chart (fallback for line charts) ---
+    async function getHistoricalData(coin, options = {}) {
+        try {
+            const provider = await getChatProvider(options.chatId);
+            return await seriesInFiat(await getHistory(coin, 30, { provider }), coin);
+        } catch (e) {
+            console.error("❌ getHistoricalData failed:", e.message);
+            return null;
+        }
+    }
+
+    return {
+        resolver,
+        getChatProvider,
+        getChatFiat,
+        searchCoinId,
+        getCoinCandidates,
+        getCoinDataWithChanges,
+        getBatchCoinData,
+        getOHLCData,
+        getHistoricalData
+    };
+}
+
+let sharedPrices = null;
+
+/**
+ * Returns the price service both endpoints share
+ * @returns {Object} - Price service
+ */
+function getPriceService() {
+    if (!sharedPrices) {
+        sharedPrices = createPriceService({
+            resolver: createCoinResolver({ store: getStorage().symbolCache, priority: PRIORITY_COINS }),
+            chatSettings: getChatSettings(),
+            fiatRates: getFiatRates()
+        });
+    }
+    return sharedPrices;
+}
+
+export {
+    PRIORITY_COINS,
+    createPriceService,
+    getPriceService
+};
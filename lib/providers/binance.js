@@ -0,0 +1,121 @@
+/**
+ * Binance spot market-data adapter (USDT pairs)
+ */
+
+import { makeRateLimitedAxiosRequest } from '../../api/rate-limiter.js';
+
+const DEFAULT_BASE_URL = 'https://api.binance.com/api/v3';
+const QUOTE_ASSET = 'USDT';
+
+const toNumber = (value) => (value == null || value === '' ? null : parseFloat(value));
+
+const pairFor = (symbol) => `${symbol.toUpperCase()}${QUOTE_ASSET}`;
+
+/**
+ * Maps a Binance 24hr ticker onto the CoinGecko markets shape
+ *
+ * Pairs carry no coin ids, so the quote takes the requested id; callers must pass the
+ * coin's own ticker as symbol (never a nickname) for that label to be right.
+ * @param {Object} ticker - Binance 24hr ticker
+ * @param {Object} coin - Requested coin ({ id, symbol, name })
+ */
+function normalizeTicker(ticker, coin) {
+    return {
+        id: coin.id || coin.symbol,
+        symbol: coin.symbol.toLowerCase(),
+        name: coin.name || coin.symbol.toUpperCase(),
+        current_price: toNumber(ticker.lastPrice),
+        market_cap: null,
+        fully_diluted_valuation: null,
+        total_volume: toNumber(ticker.quoteVolume),
+        circulating_supply: null,
+        ath: null,
+        high_24h: toNumber(ticker.highPrice),
+        low_24h: toNumber(ticker.lowPrice),
+        price_change_percentage_1h_in_currency: null,
+        price_change_percentage_24h_in_currency: toNumber(ticker.priceChangePercent),
+        price_change_percentage_7d_in_currency: null,
+        price_change_percentage_30d_in_currency: null,
+        provider: 'binance'
+    };
+}
+
+// Kline interval that keeps roughly 50 candles for the requested range
+function klineInterval(days) {
+    if (days <= 1) return '30m';
+    if (days <= 7) return '4h';
+    return '1d';
+}
+
+/**
+ * Creates the Binance provider
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API root (overridable for stub servers)
+ * @param {Function} options.request - Axios-style request function
+ * @returns {Object} - Market-data provider
+ */
+function createBinanceProvider(options = {}) {
+    const {
+        baseUrl = process.env.BINANCE_API_BASE || DEFAULT_BASE_URL,
+        request = makeRateLimitedAxiosRequest
+    } = options;
+
+    async function getKlines(coin, days) {
+        if (!coin.symbol || coin.symbol.toUpperCase() === QUOTE_ASSET) return null;
+
+        const interval = klineInterval(days);
+        const intervalHours = { '30m': 0.5, '4h': 4, '1d': 24 }[interval];
+        const response = await request({
+            method: 'get',
+            url: `${baseUrl}/klines`,
+            params: {
+                symbol: pairFor(coin.symbol),
+                interval,
+                limit: Math.min(1000, Math.ceil((days * 24) / intervalHours))
+            },
+            timeout: 15000,
+        });
+        return response.data || [];
+    }
+
+    return {
+        name: 'binance',
+
+        async getQuotes(coins) {
+            // A single unknown pair fails a multi-symbol request, so look pairs up one by one
+            const results = await Promise.all(coins.map(async coin => {
+                if (!coin.symbol || coin.symbol.toUpperCase() === QUOTE_ASSET) return null;
+                try {
+                    const response = await request({
+                        method: 'get',
+                        url: `${baseUrl}/ticker/24hr`,
+                        params: { symbol: pairFor(coin.symbol) },
+                        timeout: 15000,
+                    });
+                    return normalizeTicker(response.data, coin);
+                } catch (e) {
+                    if (e.response?.status === 400) return null; // Unknown pair
+                    throw e;
+                }
+            }));
+            return results.filter(Boolean);
+        },
+
+        async getOHLC(coin, days) {
+            const klines = await getKlines(coin, days);
+            if (!klines) return null;
+            return klines.map(k => [k[0], parseFloat(k[1]), parseFloat(k[2]), parseFloat(k[3]), parseFloat(k[4])]);
+        },
+
+        async getHistory(coin, days) {
+            const klines = await getKlines(coin, days);
+            if (!klines) return null;
+            return klines.map(k => [k[0], parseFloat(k[4])]);
+        }
+    };
+}
+
+export {
+    createBinanceProvider,
+    normalizeTicker
+};
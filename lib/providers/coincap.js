@@ -0,0 +1,140 @@
+/**
+ * CoinCap market-data adapter
+ */
+
+import { makeRateLimitedAxiosRequest } from '../../api/rate-limiter.js';
+
+const DEFAULT_BASE_URL = 'https://api.coincap.io/v2';
+
+const toNumber = (value) => (value == null || value === '' ? null : parseFloat(value));
+
+/**
+ * Maps a CoinCap asset onto the CoinGecko markets shape
+ * @param {Object} asset - CoinCap asset
+ */
+function normalizeAsset(asset) {
+    const price = toNumber(asset.priceUsd);
+    const maxSupply = toNumber(asset.maxSupply);
+
+    return {
+        id: asset.id,
+        symbol: asset.symbol.toLowerCase(),
+        name: asset.name,
+        current_price: price,
+        market_cap: toNumber(asset.marketCapUsd),
+        fully_diluted_valuation: maxSupply && price ? maxSupply * price : null,
+        total_volume: toNumber(asset.volumeUsd24Hr),
+        circulating_supply: toNumber(asset.supply),
+        market_cap_rank: toNumber(asset.rank),
+        ath: null,
+        high_24h: null,
+        low_24h: null,
+        price_change_percentage_1h_in_currency: null,
+        price_change_percentage_24h_in_currency: toNumber(asset.changePercent24Hr),
+        price_change_percentage_7d_in_currency: null,
+        price_change_percentage_30d_in_currency: null,
+        provider: 'coincap'
+    };
+}
+
+/**
+ * Creates the CoinCap provider
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API root (overridable for stub servers)
+ * @param {Function} options.request - Axios-style request function
+ * @returns {Object} - Market-data provider
+ */
+function createCoinCapProvider(options = {}) {
+    const {
+        baseUrl = process.env.COINCAP_API_BASE || DEFAULT_BASE_URL,
+        request = makeRateLimitedAxiosRequest
+    } = options;
+
+    // CoinCap ids mostly match CoinGecko ids; fall back to a symbol search when they do not
+    async function findAsset(coin) {
+        const response = await request({
+            method: 'get',
+            url: `${baseUrl}/assets`,
+            params: { search: coin.symbol, limit: 10 },
+            timeout: 15000,
+        });
+        const assets = response.data?.data || [];
+        return assets.find(asset => asset.symbol.toLowerCase() === coin.symbol) || null;
+    }
+
+    async function resolveAssetId(coin) {
+        if (coin.id) {
+            try {
+                const response = await request({
+                    method: 'get',
+                    url: `${baseUrl}/assets/${coin.id}`,
+                    timeout: 15000,
+                });
+                if (response.data?.data) return response.data.data.id;
+            } catch (e) {
+                if (e.response?.status !== 404) throw e;
+            }
+        }
+        const asset = await findAsset(coin);
+        return asset ? asset.id : null;
+    }
+
+    return {
+        name: 'coincap',
+
+        async getQuotes(coins) {
+            if (coins.length === 0) return [];
+
+            const ids = coins.map(coin => coin.id).filter(Boolean);
+            let assets = [];
+            if (ids.length > 0) {
+                const response = await request({
+                    method: 'get',
+                    url: `${baseUrl}/assets`,
+                    params: { ids: ids.join(',') },
+                    timeout: 15000,
+                });
+                assets = response.data?.data || [];
+            }
+
+            // Symbol search is only for coins without an id: another coin sharing the ticker
+            // must not be passed off as the requested one
+            const quotes = [];
+            for (const coin of coins) {
+                let asset = assets.find(a => a.id === coin.id);
+                if (!asset && !coin.id && coin.symbol) {
+                    asset = await findAsset(coin);
+                }
+                if (asset) {
+                    quotes.push(normalizeAsset(asset));
+                }
+            }
+            return quotes;
+        },
+
+        // CoinCap only has candles per exchange, so charts use the price history instead
+        async getOHLC() {
+            return null;
+        },
+
+        async getHistory(coin, days) {
+            const assetId = await resolveAssetId(coin);
+            if (!assetId) return null;
+
+            const end = Date.now();
+            const start = end - days * 24 * 60 * 60 * 1000;
+            const response = await request({
+                method: 'get',
+                url: `${baseUrl}/assets/${assetId}/history`,
+                params: { interval: days <= 1 ? 'm15' : days <= 7 ? 'h2' : 'd1', start, end },
+                timeout: 15000,
+            });
+            return (response.data?.data || []).map(point => [point.time, parseFloat(point.priceUsd)]);
+        }
+    };
+}
+
+export {
+    createCoinCapProvider,
+    normalizeAsset
+};
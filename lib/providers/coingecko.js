@@ -0,0 +1,79 @@
+/**
+ * CoinGecko market-data adapter
+ */
+
+import { makeRateLimitedAxiosRequest } from '../../api/rate-limiter.js';
+
+const DEFAULT_BASE_URL = 'https://api.coingecko.com/api/v3';
+
+/**
+ * Creates the CoinGecko provider
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - API root (overridable for stub servers)
+ * @param {Function} options.request - Axios-style request function
+ * @returns {Object} - Market-data provider
+ */
+function createCoinGeckoProvider(options = {}) {
+    const {
+        baseUrl = process.env.COINGECKO_API_BASE || DEFAULT_BASE_URL,
+        request = makeRateLimitedAxiosRequest
+    } = options;
+
+    return {
+        name: 'coingecko',
+
+        // CoinGecko quotes already have the shape buildReply expects
+        async getQuotes(coins) {
+            const ids = coins.map(coin => coin.id).filter(Boolean);
+            if (ids.length === 0) return [];
+
+            const response = await request({
+                method: 'get',
+                url: `${baseUrl}/coins/markets`,
+                params: {
+                    vs_currency: "usd",
+                    ids: ids.join(','),
+                    price_change_percentage: "1h,24h,7d,30d",
+                    sparkline: "true"
+                },
+                timeout: 15000,
+            });
+
+            return (response.data || []).map(quote => ({ ...quote, provider: 'coingecko' }));
+        },
+
+        async getOHLC(coin, days) {
+            if (!coin.id) return null;
+
+            const response = await request({
+                method: 'get',
+                url: `${baseUrl}/coins/${coin.id}/ohlc`,
+                params: {
+                    vs_currency: "usd",
+                    days: days,
+                },
+                timeout: 15000,
+            });
+            return response.data;
+        },
+
+        async getHistory(coin, days) {
+            if (!coin.id) return null;
+
+            const response = await request({
+                method: 'get',
+                url: `${baseUrl}/coins/${coin.id}/market_chart`,
+                params: {
+                    vs_currency: "usd",
+                    days: days,
+                },
+                timeout: 15000,
+            });
+            return response.data.prices;
+        }
+    };
+}
+
+export {
+    createCoinGeckoProvider
+};
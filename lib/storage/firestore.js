@@ -0,0 +1,310 @@
+/**
+ * Firestore storage backend
+ */
+
+import admin from 'firebase-admin';
+
+// --- Firebase Initialization ---
+function initFirestore() {
+    if (!admin.apps.length) {
+        try {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_SERVICE_ACCOUNT);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+        } catch (error) {
+            console.error("Firebase admin initialization failed:", error);
+        }
+    }
+    return admin.firestore();
+}
+
+// Firestore Timestamps become plain Dates so callers never depend on the backend
+function toDate(value) {
+    if (value && typeof value.toDate === 'function') return value.toDate();
+    return value ?? null;
+}
+
+function withDates(data, fields) {
+    const result = { ...data };
+    fields.forEach(field => {
+        if (field in result) result[field] = toDate(result[field]);
+    });
+    return result;
+}
+
+const serverTimestamp = () => admin.firestore.FieldValue.serverTimestamp();
+
+const BATCH_LIMIT = 500; // Firestore's cap on writes per batch
+
+/**
+ * Creates repositories backed by Firestore
+ * @param {Object} db - Firestore instance (defaults to the initialized admin app)
+ * @returns {Object} - Storage repositories
+ */
+function createFirestoreStorage(db = initFirestore()) {
+    const docsWithIds = (snapshot, dateFields) => snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...withDates(doc.data(), dateFields)
+    }));
+
+    // Applies one write per document, committing in batches Firestore accepts
+    const writeInBatches = async (docs, write) => {
+        for (let i = 0; i < docs.length; i += BATCH_LIMIT) {
+            const batch = db.batch();
+            docs.slice(i, i + BATCH_LIMIT).forEach(doc => write(batch, doc));
+            await batch.commit();
+        }
+    };
+
+    return {
+        backend: 'firestore',
+
+        queries: {
+            async add(query) {
+                await db.collection('queries').doc().set({
+                    ...query,
+                    chatId: String(query.chatId),
+                    timestamp: serverTimestamp()
+                });
+            },
+            async listByChat(chatId) {
+                const snapshot = await db.collection('queries')
+                    .where('chatId', '==', String(chatId))
+                    .get();
+                return docsWithIds(snapshot, ['timestamp']);
+            }
+        },
+
+        firstPosts: {
+            async findByAddress(address, chatId) {
+                const snapshot = await db.collection('first_posts')
+                    .where('address', '==', address.toLowerCase())
+                    .where('chatId', '==', String(chatId))
+                    .limit(1)
+                    .get();
+                return snapshot.empty ? null : docsWithIds(snapshot, ['firstTimestamp', 'createdAt'])[0];
+            },
+            async add(firstPost) {
+                await db.collection('first_posts').doc().set({
+                    ...firstPost,
+                    address: firstPost.address.toLowerCase(),
+                    chatId: String(firstPost.chatId),
+                    firstTimestamp: serverTimestamp(),
+                    createdAt: serverTimestamp()
+                });
+            }
+        },
+
+        priceAlerts: {
+            async add(alert) {
+                await db.collection('price_alerts').doc().set({
+                    ...alert,
+                    chatId: String(alert.chatId),
+                    isActive: true,
+                    createdAt: serverTimestamp(),
+                    lastChecked: serverTimestamp()
+                });
+            },
+            async listActive() {
+                const snapshot = await db.collection('price_alerts')
+                    .where('isActive', '==', true)
+                    .get();
+                return docsWithIds(snapshot, ['createdAt', 'lastChecked']);
+            },
+            async listActiveForUser(userId, chatId) {
+                const snapshot = await db.collection('price_alerts')
+                    .where('userId', '==', userId)
+                    .where('chatId', '==', String(chatId))
+                    .where('isActive', '==', true)
+                    .orderBy('createdAt', 'desc')
+                    .get();
+                return docsWithIds(snapshot, ['createdAt', 'lastChecked']);
+            },
+            async deactivate(id) {
+                await db.collection('price_alerts').doc(id).update({ isActive: false });
+            }
+        },
+
+        timeReminders: {
+            async add(reminder) {
+                await db.collection('time_reminders').doc().set({
+                    ...reminder,
+                    chatId: String(reminder.chatId),
+                    triggerTime: admin.firestore.Timestamp.fromDate(reminder.triggerTime),
+                    isActive: true,
+                    createdAt: serverTimestamp()
+                });
+            },
+            async listDue(now = new Date()) {
+                const snapshot = await db.collection('time_reminders')
+                    .where('isActive', '==', true)
+                    .where('triggerTime', '<=', admin.firestore.Timestamp.fromDate(now))
+                    .get();
+                return docsWithIds(snapshot, ['triggerTime', 'createdAt']);
+            },
+            async listActiveForUser(userId, chatId) {
+                const snapshot = await db.collection('time_reminders')
+                    .where('userId', '==', userId)
+                    .where('chatId', '==', String(chatId))
+                    .where('isActive', '==', true)
+                    .orderBy('createdAt', 'desc')
+                    .get();
+                return docsWithIds(snapshot, ['triggerTime', 'createdAt']);
+            },
+            async deactivate(id) {
+                await db.collection('time_reminders').doc(id).update({ isActive: false });
+            }
+        },
+
+        chatMessages: {
+            async add(chatId, messageId, message) {
+                await db.collection('chat_messages')
+                    .doc(`${chatId}`)
+                    .collection('messages')
+                    .doc(`${messageId}`)
+                    .set({ ...message, createdAt: serverTimestamp() });
+            },
+            async listSince(chatId, startTime, limit = 500) {
+                const snapshot = await db.collection('chat_messages')
+                    .doc(`${chatId}`)
+                    .collection('messages')
+                    .where('timestamp', '>=', startTime)
+                    .orderBy('timestamp', 'asc')
+                    .limit(limit)
+                    .get();
+                return docsWithIds(snapshot, ['createdAt']);
+            }
+        },
+
+        chatSettings: {
+            async get(chatId) {
+                const doc = await db.collection('chat_settings').doc(String(chatId)).get();
+                return doc.exists ? withDates(doc.data(), ['updatedAt']) : null;
+            },
+            async update(chatId, patch) {
+                await db.collection('chat_settings').doc(String(chatId)).set({
+                    ...patch,
+                    updatedAt: serverTimestamp()
+                }, { merge: true });
+            }
+        },
+
+        processedUpdates: {
+            /**
+             * Records an update id; create() is atomic so only one concurrent delivery wins
+             * @returns {Promise<boolean>} - false when the update was already recorded
+             */
+            async claim(updateId, ttlMs) {
+                try {
+                    await db.collection('processed_updates').doc(String(updateId)).create({
+                        processedAt: serverTimestamp(),
+                        // Lets a Firestore TTL policy on expiresAt clean old ids up
+                        expiresAt: new Date(Date.now() + ttlMs)
+                    });
+                    return true;
+                } catch (error) {
+                    if (error.code === 6) return false; // ALREADY_EXISTS
+                    throw error;
+                }
+            }
+        },
+
+        lookupReplies: {
+            async get(chatId, messageId) {
+                const doc = await db.collection('lookup_replies').doc(`${chatId}_${messageId}`).get();
+                if (!doc.exists) return null;
+                const data = withDates(doc.data(), ['expiresAt']);
+                return data.expiresAt > new Date() ? data : null;
+            },
+            async set(chatId, messageId, replyMessageId, ttlMs, type = 'text') {
+                await db.collection('lookup_replies').doc(`${chatId}_${messageId}`).set({
+                    replyMessageId,
+                    type,
+                    // Lets a Firestore TTL policy on expiresAt clean old entries up
+                    expiresAt: new Date(Date.now() + ttlMs)
+                });
+            }
+        },
+
+        callbackStates: {
+            async get(token) {
+                const doc = await db.collection('callback_states').doc(token).get();
+                if (!doc.exists) return null;
+                const { expiresAt, ...state } = withDates(doc.data(), ['expiresAt']);
+                return expiresAt > new Date() ? state : null;
+            },
+            async set(token, state, ttlMs) {
+                await db.collection('callback_states').doc(token).set({
+                    ...state,
+                    // Lets a Firestore TTL policy on expiresAt clean old buttons up
+                    expiresAt: new Date(Date.now() + ttlMs)
+                });
+            }
+        },
+
+        calcResults: {
+            async get(userId) {
+                const doc = await db.collection('calc_results').doc(String(userId)).get();
+                return doc.exists ? doc.data().value : null;
+            },
+            async set(userId, value) {
+                await db.collection('calc_results').doc(String(userId)).set({ value, updatedAt: new Date() });
+            }
+        },
+
+        chats: {
+            /**
+             * Moves a chat's data to its new id (group upgraded to supergroup); safe to run twice
+             * @returns {Promise<Object>} - Documents moved per repository
+             */
+            async migrate(fromChatId, toChatId) {
+                const from = String(fromChatId);
+                const to = String(toChatId);
+                const moved = {};
+
+                const chatIdCollections = { queries: 'queries', firstPosts: 'first_posts', priceAlerts: 'price_alerts', timeReminders: 'time_reminders' };
+                for (const [name, collection] of Object.entries(chatIdCollections)) {
+                    const snapshot = await db.collection(collection).where('chatId', '==', from).get();
+                    await writeInBatches(snapshot.docs, (batch, doc) => batch.update(doc.ref, { chatId: to }));
+                    moved[name] = snapshot.size;
+                }
+
+                const messages = await db.collection('chat_messages').doc(from).collection('messages').get();
+                const target = db.collection('chat_messages').doc(to).collection('messages');
+                await writeInBatches(messages.docs, (batch, doc) => batch.set(target.doc(doc.id), doc.data()));
+                await writeInBatches(messages.docs, (batch, doc) => batch.delete(doc.ref));
+                moved.chatMessages = messages.size;
+
+                const settings = await db.collection('chat_settings').doc(from).get();
+                moved.chatSettings = settings.exists ? 1 : 0;
+                if (settings.exists) {
+                    const existing = await db.collection('chat_settings').doc(to).get();
+                    // Settings saved in the new chat already win over the old ones
+                    await db.collection('chat_settings').doc(to).set({ ...settings.data(), ...(existing.data() || {}) });
+                    await settings.ref.delete();
+                }
+
+                return moved;
+            }
+        },
+
+        symbolCache: {
+            async get(symbol) {
+                const doc = await db.collection('symbol_cache').doc(symbol).get();
+                return doc.exists ? doc.data() : null;
+            },
+            async set(symbol, entry) {
+                await db.collection('symbol_cache').doc(symbol).set(entry);
+            },
+            async delete(symbol) {
+                await db.collection('symbol_cache').doc(symbol).delete();
+            }
+        }
+    };
+}
+
+export {
+    createFirestoreStorage,
+    initFirestore
+};
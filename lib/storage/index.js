@@ -0,0 +1,65 @@
+/**
+ * Storage selection
+ *
+ * Both backends expose the same repositories (all methods async, timestamps as Dates):
+ *   queries        - add, listByChat
+ *   firstPosts     - findByAddress, add
+ *   priceAlerts    - add, listActive, listActiveForUser, deactivate
+ *   timeReminders  - add, listDue, listActiveForUser, deactivate
+ *   chatMessages   - add, listSince
+ *   chatSettings   - get, update
+ *   symbolCache    - get, set, delete
+ *   processedUpdates - claim
+ *   lookupReplies  - get, set (bot reply to a message and whether it is text or a photo, so edits can update it)
+ *   callbackStates - get, set (button payloads too long for callback_data)
+ *   calcResults    - get, set (each user's last calculator result, used as "ans")
+ *   chats          - migrate (move a chat's data when a group becomes a supergroup)
+ *
+ * STORAGE_BACKEND=firestore|memory picks one; without it Firestore is used when
+ * FIREBASE_SERVICE_ACCOUNT is set and memory otherwise.
+ */
+
+import { createFirestoreStorage } from './firestore.js';
+import { createMemoryStorage } from './memory.js';
+
+let storage = null;
+
+function selectBackend() {
+    const configured = (process.env.STORAGE_BACKEND || '').toLowerCase();
+    if (configured) return configured;
+    return process.env.FIREBASE_SERVICE_ACCOUNT ? 'firestore' : 'memory';
+}
+
+/**
+ * Returns the process-wide storage, creating it on first use
+ * @returns {Object} - Storage repositories
+ */
+function getStorage() {
+    if (!storage) {
+        const backend = selectBackend();
+        if (backend === 'memory') {
+            console.log('💾 Using in-memory storage (data is not persisted)');
+            storage = createMemoryStorage();
+        } else if (backend === 'firestore') {
+            storage = createFirestoreStorage();
+        } else {
+            throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+        }
+    }
+    return storage;
+}
+
+/**
+ * Replaces the process-wide storage (tests and local runners)
+ * @param {Object} replacement - Storage repositories
+ */
+function setStorage(replacement) {
+    storage = replacement;
+}
+
+export {
+    getStorage,
+    setStorage,
+    createFirestoreStorage,
+    createMemoryStorage
+};
@@ -0,0 +1,255 @@
+/**
+ * In-memory storage backend for local runs and tests (data is lost on restart)
+ */
+
+function createCollection() {
+    let nextId = 1;
+    const docs = new Map();
+
+    return {
+        docs,
+        insert(data, id = `mem_${nextId++}`) {
+            docs.set(String(id), { ...data });
+            return String(id);
+        },
+        get(id) {
+            const data = docs.get(String(id));
+            return data ? { ...data } : null;
+        },
+        update(id, patch) {
+            const data = docs.get(String(id));
+            if (data) docs.set(String(id), { ...data, ...patch });
+        },
+        delete(id) {
+            docs.delete(String(id));
+        },
+        find(predicate) {
+            return Array.from(docs.entries())
+                .filter(([, data]) => predicate(data))
+                .map(([id, data]) => ({ id, ...data }));
+        }
+    };
+}
+
+const newestFirst = (a, b) => b.createdAt - a.createdAt;
+
+/**
+ * Creates repositories that keep everything in process memory
+ * @returns {Object} - Storage repositories with the same interface as the Firestore backend
+ */
+function createMemoryStorage() {
+    const queries = createCollection();
+    const firstPosts = createCollection();
+    const priceAlerts = createCollection();
+    const timeReminders = createCollection();
+    const chatMessages = new Map(); // chatId -> collection keyed by messageId
+    const chatSettings = createCollection();
+    const symbolCache = createCollection();
+    const processedUpdates = new Map(); // updateId -> expiry time
+    const lookupReplies = new Map(); // chatId_messageId -> { replyMessageId, expiresAt }
+    const callbackStates = new Map(); // token -> { state, expiresAt }
+    const calcResults = new Map(); // userId -> last calculator result
+
+    const messagesFor = (chatId) => {
+        const key = String(chatId);
+        if (!chatMessages.has(key)) chatMessages.set(key, createCollection());
+        return chatMessages.get(key);
+    };
+
+    return {
+        backend: 'memory',
+
+        queries: {
+            async add(query) {
+                queries.insert({ ...query, chatId: String(query.chatId), timestamp: new Date() });
+            },
+            async listByChat(chatId) {
+                return queries.find(q => q.chatId === String(chatId));
+            }
+        },
+
+        firstPosts: {
+            async findByAddress(address, chatId) {
+                const [match] = firstPosts.find(p =>
+                    p.address === address.toLowerCase() && p.chatId === String(chatId));
+                return match || null;
+            },
+            async add(firstPost) {
+                const now = new Date();
+                firstPosts.insert({
+                    ...firstPost,
+                    address: firstPost.address.toLowerCase(),
+                    chatId: String(firstPost.chatId),
+                    firstTimestamp: now,
+                    createdAt: now
+                });
+            }
+        },
+
+        priceAlerts: {
+            async add(alert) {
+                const now = new Date();
+                priceAlerts.insert({
+                    ...alert,
+                    chatId: String(alert.chatId),
+                    isActive: true,
+                    createdAt: now,
+                    lastChecked: now
+                });
+            },
+            async listActive() {
+                return priceAlerts.find(a => a.isActive);
+            },
+            async listActiveForUser(userId, chatId) {
+                return priceAlerts
+                    .find(a => a.isActive && a.userId === userId && a.chatId === String(chatId))
+                    .sort(newestFirst);
+            },
+            async deactivate(id) {
+                priceAlerts.update(id, { isActive: false });
+            }
+        },
+
+        timeReminders: {
+            async add(reminder) {
+                timeReminders.insert({
+                    ...reminder,
+                    chatId: String(reminder.chatId),
+                    isActive: true,
+                    createdAt: new Date()
+                });
+            },
+            async listDue(now = new Date()) {
+                return timeReminders.find(r => r.isActive && r.triggerTime <= now);
+            },
+            async listActiveForUser(userId, chatId) {
+                return timeReminders
+                    .find(r => r.isActive && r.userId === userId && r.chatId === String(chatId))
+                    .sort(newestFirst);
+            },
+            async deactivate(id) {
+                timeReminders.update(id, { isActive: false });
+            }
+        },
+
+        chatMessages: {
+            async add(chatId, messageId, message) {
+                messagesFor(chatId).insert({ ...message, createdAt: new Date() }, messageId);
+            },
+            async listSince(chatId, startTime, limit = 500) {
+                return messagesFor(chatId)
+                    .find(m => m.timestamp >= startTime)
+                    .sort((a, b) => a.timestamp - b.timestamp)
+                    .slice(0, limit);
+            }
+        },
+
+        chatSettings: {
+            async get(chatId) {
+                return chatSettings.get(chatId);
+            },
+            async update(chatId, patch) {
+                const existing = chatSettings.get(chatId) || {};
+                chatSettings.insert({ ...existing, ...patch, updatedAt: new Date() }, chatId);
+            }
+        },
+
+        processedUpdates: {
+            async claim(updateId, ttlMs) {
+                const now = Date.now();
+                for (const [id, expiresAt] of processedUpdates) {
+                    if (expiresAt <= now) processedUpdates.delete(id);
+                }
+                const key = String(updateId);
+                if (processedUpdates.has(key)) return false;
+                processedUpdates.set(key, now + ttlMs);
+                return true;
+            }
+        },
+
+        lookupReplies: {
+            async get(chatId, messageId) {
+                const entry = lookupReplies.get(`${chatId}_${messageId}`);
+                return entry && entry.expiresAt > new Date() ? { ...entry } : null;
+            },
+            async set(chatId, messageId, replyMessageId, ttlMs, type = 'text') {
+                const now = new Date();
+                for (const [key, entry] of lookupReplies) {
+                    if (entry.expiresAt <= now) lookupReplies.delete(key);
+                }
+                lookupReplies.set(`${chatId}_${messageId}`, { replyMessageId, type, expiresAt: new Date(now.getTime() + ttlMs) });
+            }
+        },
+
+        callbackStates: {
+            async get(token) {
+                const entry = callbackStates.get(token);
+                return entry && entry.expiresAt > new Date() ? { ...entry.state } : null;
+            },
+            async set(token, state, ttlMs) {
+                const now = new Date();
+                for (const [key, entry] of callbackStates) {
+                    if (entry.expiresAt <= now) callbackStates.delete(key);
+                }
+                callbackStates.set(token, { state: { ...state }, expiresAt: new Date(now.getTime() + ttlMs) });
+            }
+        },
+
+        calcResults: {
+            async get(userId) {
+                return calcResults.get(String(userId)) ?? null;
+            },
+            async set(userId, value) {
+                calcResults.set(String(userId), value);
+            }
+        },
+
+        chats: {
+            async migrate(fromChatId, toChatId) {
+                const from = String(fromChatId);
+                const to = String(toChatId);
+                const moved = {};
+
+                [['queries', queries], ['firstPosts', firstPosts], ['priceAlerts', priceAlerts], ['timeReminders', timeReminders]]
+                    .forEach(([name, collection]) => {
+                        const docs = collection.find(d => d.chatId === from);
+                        docs.forEach(doc => collection.update(doc.id, { chatId: to }));
+                        moved[name] = docs.length;
+                    });
+
+                const messages = chatMessages.get(from);
+                moved.chatMessages = messages ? messages.docs.size : 0;
+                if (messages) {
+                    messages.find(() => true).forEach(({ id, ...message }) => messagesFor(to).insert(message, id));
+                    chatMessages.delete(from);
+                }
+
+                const settings = chatSettings.get(from);
+                moved.chatSettings = settings ? 1 : 0;
+                if (settings) {
+                    // Settings saved in the new chat already win over the old ones
+                    chatSettings.insert({ ...settings, ...(chatSettings.get(to) || {}) }, to);
+                    chatSettings.delete(from);
+                }
+
+                return moved;
+            }
+        },
+
+        symbolCache: {
+            async get(symbol) {
+                return symbolCache.get(symbol);
+            },
+            async set(symbol, entry) {
+                symbolCache.insert(entry, symbol);
+            },
+            async delete(symbol) {
+                symbolCache.delete(symbol);
+            }
+        }
+    };
+}
+
+export {
+    createMemoryStorage
+};
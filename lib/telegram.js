@@ -0,0 +1,279 @@
+/**
+ * Telegram Bot API client shared by the webhook and the alert checker
+ *
+ * Every call goes through one place so flood-wait retries (429 retry_after),
+ * topic fallback and parse-mode fallback behave the same for all senders.
+ */
+
+import axios from 'axios';
+import FormData from 'form-data';
+import { sleep } from '../api/rate-limiter.js';
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_MAX_RETRY_AFTER = 15; // seconds; longer waits would outlive a serverless invocation
+
+// Update types the bot handles; setup-webhook.js and run-polling.js both subscribe to exactly these
+const ALLOWED_UPDATES = ['message', 'edited_message', 'callback_query', 'inline_query'];
+
+// Order used when a message is given in several formats
+const PARSE_MODE_ORDER = [
+    ['html', 'HTML'],
+    ['markdown', 'Markdown'],
+    ['plain', null]
+];
+
+function isThreadNotFound(error) {
+    return error.response?.status === 400 &&
+        /message thread not found/i.test(error.response?.data?.description || '');
+}
+
+function isParseError(error) {
+    return error.response?.status === 400 &&
+        /can't parse entities|can't find end of the entity/i.test(error.response?.data?.description || '');
+}
+
+function describeError(error) {
+    return error.response?.data?.description || error.message;
+}
+
+function toThreadId(messageThreadId) {
+    const threadId = parseInt(messageThreadId);
+    return threadId > 0 ? threadId : null;
+}
+
+/**
+ * Creates a client for one bot token
+ * @param {Object} options - Client options
+ * @param {string} options.botToken - Bot token from BotFather
+ * @param {string} options.baseUrl - Bot API base URL (TELEGRAM_API_BASE for local stubs)
+ * @param {number} options.maxRetries - How many times a 429 is retried
+ * @param {number} options.maxRetryAfter - Longest retry_after (seconds) that is waited out
+ * @param {Function} options.request - axios-compatible request function
+ * @returns {Object} - Telegram client
+ */
+function createTelegramClient(options = {}) {
+    const {
+        botToken,
+        baseUrl = process.env.TELEGRAM_API_BASE || 'https://api.telegram.org',
+        maxRetries = DEFAULT_MAX_RETRIES,
+        maxRetryAfter = parseInt(process.env.TELEGRAM_MAX_RETRY_AFTER) || DEFAULT_MAX_RETRY_AFTER,
+        request = axios
+    } = options;
+
+    const buildForm = (params, files) => {
+        const formData = new FormData();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value === undefined || value === null) return;
+            formData.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+        });
+        Object.entries(files).forEach(([key, file]) => {
+            formData.append(key, file.buffer, { filename: file.filename, contentType: file.contentType });
+        });
+        return formData;
+    };
+
+    /**
+     * Calls a Bot API method, waiting out flood limits
+     * @param {string} method - Bot API method name
+     * @param {Object} params - Method parameters
+     * @param {Object} callOptions - { timeout, files } where files are sent as multipart uploads
+     * @returns {Promise<Object>} - Bot API response body ({ ok, result })
+     */
+    async function call(method, params = {}, callOptions = {}) {
+        const { timeout = 10000, files = null } = callOptions;
+        const url = `${baseUrl}/bot${botToken}/${method}`;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                let response;
+                if (files) {
+                    // Form bodies are streams, so each attempt needs a fresh one
+                    const formData = buildForm(params, files);
+                    response = await request({ method: 'post', url, data: formData, timeout, headers: formData.getHeaders() });
+                } else {
+                    response = await request({ method: 'post', url, data: params, timeout, headers: { 'Content-Type': 'application/json' } });
+                }
+                return response.data;
+            } catch (error) {
+                const retryAfter = error.response?.data?.parameters?.retry_after;
+                if (error.response?.status === 429 && retryAfter && attempt < maxRetries && retryAfter <= maxRetryAfter) {
+                    console.warn(`⚠️ Telegram flood limit on ${method}, retrying in ${retryAfter}s`);
+                    await sleep(retryAfter * 1000);
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Sends into a forum topic, falling back to the main chat when the topic is gone
+     */
+    async function callInThread(method, params, messageThreadId, callOptions = {}) {
+        const threadId = toThreadId(messageThreadId);
+        if (!threadId) return call(method, params, callOptions);
+
+        try {
+            return await call(method, { ...params, message_thread_id: threadId }, callOptions);
+        } catch (error) {
+            if (!isThreadNotFound(error)) throw error;
+            console.warn(`⚠️ Thread not found for ${method}, attempting to send to main chat.`);
+            return call(method, params, callOptions);
+        }
+    }
+
+    /**
+     * Tries each format in turn until Telegram accepts the entities
+     * @param {string|Object} content - Text, or { html, markdown, plain } variants
+     * @param {string} parseMode - parse_mode used for plain string content
+     * @param {Function} attempt - async (text, parseMode) => response
+     */
+    async function withParseFallback(content, parseMode, attempt) {
+        const variants = typeof content === 'string'
+            ? [[content, parseMode || null], ...(parseMode ? [[content, null]] : [])]
+            : PARSE_MODE_ORDER
+                .filter(([key]) => content[key])
+                .map(([key, mode]) => [content[key], mode]);
+
+        for (let i = 0; i < variants.length; i++) {
+            const [text, mode] = variants[i];
+            try {
+                return await attempt(text, mode);
+            } catch (error) {
+                if (!isParseError(error) || i === variants.length - 1) throw error;
+                console.warn(`⚠️ ${mode} formatting rejected (${describeError(error)}), trying ${variants[i + 1][1] || 'plain text'}`);
+            }
+        }
+    }
+
+    const withParseMode = (params, mode) => {
+        const result = { ...params };
+        if (mode) {
+            result.parse_mode = mode;
+        } else {
+            delete result.parse_mode;
+        }
+        return result;
+    };
+
+    return {
+        call,
+        callInThread,
+
+        /**
+         * Sends a text message
+         * @param {number|string} chatId - Chat id
+         * @param {string|Object} text - Text, or { html, markdown, plain } variants tried in that order
+         * @param {Object} options - Extra sendMessage params plus messageThreadId
+         */
+        async sendMessage(chatId, text, options = {}) {
+            const { messageThreadId, parse_mode: parseMode, ...extra } = options;
+            return withParseFallback(text, parseMode, (body, mode) =>
+                callInThread('sendMessage', withParseMode({ chat_id: parseInt(chatId), text: body, ...extra }, mode), messageThreadId));
+        },
+
+        /**
+         * Sends a photo by URL or file id with an optional caption
+         */
+        async sendPhoto(chatId, photo, options = {}) {
+            const { messageThreadId, caption = '', parse_mode: parseMode, ...extra } = options;
+            return withParseFallback(caption, parseMode, (body, mode) =>
+                callInThread('sendPhoto', withParseMode({ chat_id: parseInt(chatId), photo, caption: body, ...extra }, mode), messageThreadId, { timeout: 15000 }));
+        },
+
+        /**
+         * Uploads a sticker from a buffer
+         */
+        async sendSticker(chatId, file, options = {}) {
+            const { messageThreadId, ...extra } = options;
+            return callInThread('sendSticker', { chat_id: chatId, ...extra }, messageThreadId, {
+                timeout: 15000,
+                files: { sticker: file }
+            });
+        },
+
+        /**
+         * Edits a message's text, or its caption when options.isCaption is set
+         */
+        async editMessage(chatId, messageId, text, options = {}) {
+            const { isCaption = false, parse_mode: parseMode, ...extra } = options;
+            const method = isCaption ? 'editMessageCaption' : 'editMessageText';
+            const field = isCaption ? 'caption' : 'text';
+            return withParseFallback(text, parseMode, (body, mode) =>
+                call(method, withParseMode({ chat_id: parseInt(chatId), message_id: parseInt(messageId), [field]: body, ...extra }, mode)));
+        },
+
+        /**
+         * Replaces a photo message's image and caption
+         */
+        async editMessagePhoto(chatId, messageId, photo, caption = '', options = {}) {
+            const { parse_mode: parseMode, ...extra } = options;
+            return withParseFallback(caption, parseMode, (body, mode) =>
+                call('editMessageMedia', {
+                    chat_id: parseInt(chatId),
+                    message_id: parseInt(messageId),
+                    media: withParseMode({ type: 'photo', media: photo, caption: body }, mode),
+                    ...extra
+                }));
+        },
+
+        async deleteMessage(chatId, messageId) {
+            return call('deleteMessage', { chat_id: parseInt(chatId), message_id: parseInt(messageId) });
+        },
+
+        async answerCallbackQuery(callbackQueryId, options = {}) {
+            return call('answerCallbackQuery', { callback_query_id: callbackQueryId, ...options });
+        },
+
+        /**
+         * Answers an inline query
+         * @param {string} inlineQueryId - Inline query id
+         * @param {Object[]} results - InlineQueryResult objects (at most 50)
+         * @param {Object} options - Extra params such as cache_time and is_personal
+         */
+        async answerInlineQuery(inlineQueryId, results, options = {}) {
+            return call('answerInlineQuery', { inline_query_id: inlineQueryId, results, ...options });
+        },
+
+        // Download URL for a file_path returned by getFile
+        fileUrl(filePath) {
+            return `${baseUrl}/file/bot${botToken}/${filePath}`;
+        }
+    };
+}
+
+const clients = new Map();
+
+/**
+ * Returns a shared client for a bot token
+ * @param {string} botToken - Bot token (defaults to TELEGRAM_BOT_TOKEN)
+ * @returns {Object} - Telegram client
+ */
+function getTelegramClient(botToken = process.env.TELEGRAM_BOT_TOKEN) {
+    if (!clients.has(botToken)) {
+        clients.set(botToken, createTelegramClient({ botToken }));
+    }
+    return clients.get(botToken);
+}
+
+/**
+ * Logs a failed Bot API call the same way everywhere
+ * @param {string} action - What was being attempted
+ * @param {Error} error - Error thrown by the client
+ */
+function logTelegramError(action, error) {
+    console.error(`❌ ${action}:`, {
+        status: error.response?.status,
+        description: error.response?.data?.description,
+        message: error.message
+    });
+}
+
+export {
+    ALLOWED_UPDATES,
+    createTelegramClient,
+    getTelegramClient,
+    logTelegramError,
+    isThreadNotFound,
+    isParseError
+};
@@ -0,0 +1,118 @@
+// run-polling.js - Run the whole bot locally with getUpdates instead of a webhook
+//
+// Usage: node run-polling.js [--delete-webhook]
+//
+// Updates go through the same handler as api/webhook.js, and api/check-alerts.js
+// runs on an interval (ALERT_CHECK_INTERVAL_MS, default 60s) in this process.
+// Without FIREBASE_SERVICE_ACCOUNT everything is kept in memory.
+import 'dotenv/config';
+import webhookHandler from './api/webhook.js';
+import checkAlertsHandler from './api/check-alerts.js';
+import { getTelegramClient, logTelegramError, ALLOWED_UPDATES } from './lib/telegram.js';
+import { sleep } from './api/rate-limiter.js';
+
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+const POLL_TIMEOUT = 30; // seconds Telegram holds getUpdates open
+const ALERT_CHECK_INTERVAL = parseInt(process.env.ALERT_CHECK_INTERVAL_MS) || 60 * 1000;
+
+if (!BOT_TOKEN) {
+    console.log('❌ TELEGRAM_BOT_TOKEN not set');
+    process.exit(1);
+}
+
+const telegram = getTelegramClient(BOT_TOKEN);
+let running = true;
+
+// Minimal stand-in for the Vercel request/response pair
+function invoke(handler, req) {
+    return new Promise((resolve) => {
+        const res = {
+            setHeader() {},
+            status(code) {
+                return {
+                    json: (body) => resolve({ status: code, body }),
+                    end: () => resolve({ status: code })
+                };
+            }
+        };
+        Promise.resolve(handler(req, res)).catch(error => resolve({ status: 500, body: { error: error.message } }));
+    });
+}
+
+async function ensureNoWebhook() {
+    const info = await telegram.call('getWebhookInfo');
+    if (!info.result?.url) return;
+
+    if (process.argv.includes('--delete-webhook')) {
+        await telegram.call('deleteWebhook');
+        console.log(`🔗 Deleted webhook ${info.result.url} (run setup-webhook.js to restore it)`);
+        return;
+    }
+
+    console.log(`❌ This bot has a webhook set (${info.result.url}), so getUpdates will not work.`);
+    console.log('   Use a separate test bot, or rerun with --delete-webhook.');
+    process.exit(1);
+}
+
+async function pollUpdates() {
+    let offset = 0;
+
+    while (running) {
+        let updates;
+        try {
+            const response = await telegram.call('getUpdates', {
+                offset,
+                timeout: POLL_TIMEOUT,
+                allowed_updates: ALLOWED_UPDATES
+            }, { timeout: (POLL_TIMEOUT + 10) * 1000 });
+            updates = response.result || [];
+        } catch (error) {
+            if (!running) break;
+            logTelegramError('getUpdates failed', error);
+            await sleep(5000);
+            continue;
+        }
+
+        for (const update of updates) {
+            offset = update.update_id + 1;
+            const { status, body } = await invoke(webhookHandler, {
+                method: 'POST',
+                headers: { 'x-telegram-bot-api-secret-token': process.env.TELEGRAM_WEBHOOK_SECRET },
+                body: update
+            });
+            if (status !== 200) {
+                console.error(`❌ Update ${update.update_id} failed with ${status}:`, body);
+            }
+        }
+    }
+}
+
+let checkingAlerts = false;
+async function checkAlerts() {
+    // Skip a tick rather than overlap a slow run
+    if (checkingAlerts) return;
+    checkingAlerts = true;
+    try {
+        await invoke(checkAlertsHandler, { method: 'GET', headers: {} });
+    } finally {
+        checkingAlerts = false;
+    }
+}
+
+await ensureNoWebhook();
+
+const alertTimer = setInterval(checkAlerts, ALERT_CHECK_INTERVAL);
+checkAlerts();
+
+const stop = () => {
+    if (!running) process.exit(0);
+    console.log('\n👋 Stopping (press Ctrl+C again to force)...');
+    running = false;
+    clearInterval(alertTimer);
+};
+process.on('SIGINT', stop);
+process.on('SIGTERM', stop);
+
+console.log(`🚀 Polling for updates (alerts checked every ${Math.round(ALERT_CHECK_INTERVAL / 1000)}s)`);
+await pollUpdates();
+console.log('✅ Polling stopped');
@@ -1,13 +1,22 @@
 // setup-webhook.js - Fixed version
 import axios from 'axios';
+import { ALLOWED_UPDATES } from './lib/telegram.js';
 
 // Get token and URL from command line arguments (SECURE METHOD)
 const BOT_TOKEN = process.argv[2];
 const VERCEL_URL = process.argv[3];
+// Must match TELEGRAM_WEBHOOK_SECRET in the Vercel environment
+const WEBHOOK_SECRET = process.argv[4] || process.env.TELEGRAM_WEBHOOK_SECRET;
 
 if (!BOT_TOKEN || !VERCEL_URL) {
-  console.log('❌ Usage: node setup-webhook.js <BOT_TOKEN> <VERCEL_URL>');
-  console.log('📝 Example: node setup-webhook.js "1234:ABC..." "https://coin-track-lilac.vercel.app"');
+  console.log('❌ Usage: node setup-webhook.js <BOT_TOKEN> <VERCEL_URL> [WEBHOOK_SECRET]');
+  console.log('📝 Example: node setup-webhook.js "1234:ABC..." "https://coin-track-lilac.vercel.app" "my_secret_123"');
+  process.exit(1);
+}
+
+// Telegram only accepts 1-256 characters from A-Z, a-z, 0-9, _ and -
+if (WEBHOOK_SECRET && !/^[A-Za-z0-9_-]{1,256}$/.test(WEBHOOK_SECRET)) {
+  console.log('❌ Webhook secret may only contain A-Z, a-z, 0-9, _ and - (max 256 characters)');
   process.exit(1);
 }
 
@@ -28,10 +37,17 @@ async function setupWebhook() {
     }
     
     // Set webhook
-    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/setWebhook`, {
+    const webhookConfig = {
       url: WEBHOOK_URL,
-      allowed_updates: ['message', 'callback_query']
-    });
+      allowed_updates: ALLOWED_UPDATES
+    };
+    if (WEBHOOK_SECRET) {
+      webhookConfig.secret_token = WEBHOOK_SECRET;
+    } else {
+      console.log('⚠️ No webhook secret given - anyone who finds the URL can post updates');
+    }
+
+    const response = await axios.post(`https://api.telegram.org/bot${BOT_TOKEN}/setWebhook`, webhookConfig);
 
     if (response.data.ok) {
       console.log('✅ Webhook set successfully!');
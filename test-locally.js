@@ -1,11 +1,15 @@
 import express from 'express';
 import webhookHandler from './api/webhook.js';
+import checkAlertsHandler from './api/check-alerts.js';
+
+// Without FIREBASE_SERVICE_ACCOUNT the bot falls back to in-memory storage (STORAGE_BACKEND=memory)
 
 const app = express();
 app.use(express.json());
 
 // Test endpoint
 app.post('/api/webhook', webhookHandler);
+app.get('/api/check-alerts', checkAlertsHandler);
 app.get('/test', (req, res) => {
     res.json({ status: 'Test server running!', timestamp: new Date().toISOString() });
 });
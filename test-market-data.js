@@ -0,0 +1,136 @@
+// Test the market-data adapters against a local stub server
+import http from 'http';
+import assert from 'assert/strict';
+import axios from 'axios';
+import { createCoinGeckoProvider } from './lib/providers/coingecko.js';
+import { createCoinCapProvider } from './lib/providers/coincap.js';
+import { createBinanceProvider } from './lib/providers/binance.js';
+import { registerProvider, getQuotes, getOHLC } from './lib/market-data.js';
+
+// Canned upstream responses keyed by path
+const routes = {
+    '/coingecko/coins/markets': () => [{
+        id: 'ethereum', symbol: 'eth', name: 'Ethereum', current_price: 3000, market_cap: 360e9,
+        price_change_percentage_24h_in_currency: 1.5
+    }],
+    '/coingecko/coins/ethereum/ohlc': () => [[1700000000000, 1, 2, 0.5, 1.5]],
+    '/coincap/assets': (query) => {
+        if (query.get('search') === 'pepe') {
+            return { data: [{ id: 'pepe', rank: '30', symbol: 'PEPE', name: 'Pepe', supply: '420690000000000', maxSupply: null, marketCapUsd: '4000000000', volumeUsd24Hr: '1000', priceUsd: '0.00001', changePercent24Hr: '-2.5' }] };
+        }
+        return { data: [{ id: 'bitcoin', rank: '1', symbol: 'BTC', name: 'Bitcoin', supply: '19700000', maxSupply: '21000000', marketCapUsd: '1300000000000', volumeUsd24Hr: '20000000000', priceUsd: '66000.5', changePercent24Hr: '3.25' }] };
+    },
+    '/binance/ticker/24hr': (query) => {
+        if (query.get('symbol') !== 'SOLUSDT') return { status: 400, body: { code: -1121, msg: 'Invalid symbol.' } };
+        return { symbol: 'SOLUSDT', lastPrice: '150.10', priceChangePercent: '-4.20', highPrice: '160.00', lowPrice: '140.00', quoteVolume: '900000000' };
+    },
+    '/binance/klines': () => [[1700000000000, '1.0', '2.0', '0.5', '1.5', '100']],
+    '/failing/coins/markets': () => ({ status: 429, body: { error: 'rate limited' } })
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes[url.pathname];
+    let result = route ? route(url.searchParams) : { status: 404, body: { error: 'not found' } };
+    let status = 200;
+    if (result && result.status && result.body) {
+        status = result.status;
+        result = result.body;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(result));
+});
+
+await new Promise(resolve => server.listen(0, resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+const request = (config) => axios(config);
+
+const coingecko = createCoinGeckoProvider({ baseUrl: `${base}/coingecko`, request });
+const coincap = createCoinCapProvider({ baseUrl: `${base}/coincap`, request });
+const binance = createBinanceProvider({ baseUrl: `${base}/binance`, request });
+
+let failures = 0;
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+console.log("🧪 Testing Market-Data Adapters:");
+console.log("================================");
+
+await check('CoinGecko returns markets data tagged with the provider', async () => {
+    const [quote] = await coingecko.getQuotes([{ id: 'ethereum', symbol: 'eth' }]);
+    assert.equal(quote.current_price, 3000);
+    assert.equal(quote.provider, 'coingecko');
+});
+
+await check('CoinGecko skips coins without an id', async () => {
+    assert.deepEqual(await coingecko.getQuotes([{ id: null, symbol: 'eth' }]), []);
+});
+
+await check('CoinCap normalizes string fields into the markets shape', async () => {
+    const [quote] = await coincap.getQuotes([{ id: 'bitcoin', symbol: 'btc' }]);
+    assert.equal(quote.id, 'bitcoin');
+    assert.equal(quote.symbol, 'btc');
+    assert.equal(quote.current_price, 66000.5);
+    assert.equal(quote.price_change_percentage_24h_in_currency, 3.25);
+    assert.equal(quote.fully_diluted_valuation, 21000000 * 66000.5);
+    assert.equal(quote.price_change_percentage_1h_in_currency, null);
+});
+
+await check('CoinCap finds coins without an id by symbol search', async () => {
+    const [quote] = await coincap.getQuotes([{ id: null, symbol: 'pepe' }]);
+    assert.equal(quote.name, 'Pepe');
+    assert.equal(quote.current_price, 0.00001);
+});
+
+await check('CoinCap does not label a symbol match with a different requested id', async () => {
+    assert.deepEqual(await coincap.getQuotes([{ id: 'based-pepe', symbol: 'pepe' }]), []);
+});
+
+await check('Binance prices USDT pairs and ignores unknown pairs', async () => {
+    const quotes = await binance.getQuotes([{ id: 'solana', symbol: 'sol' }, { id: null, symbol: 'zzz' }]);
+    assert.equal(quotes.length, 1);
+    assert.equal(quotes[0].id, 'solana');
+    assert.equal(quotes[0].current_price, 150.1);
+    assert.equal(quotes[0].high_24h, 160);
+});
+
+await check('Binance maps klines to OHLC candles', async () => {
+    const candles = await binance.getOHLC({ id: 'solana', symbol: 'sol' }, 7);
+    assert.deepEqual(candles, [[1700000000000, 1, 2, 0.5, 1.5]]);
+});
+
+await check('Fallback moves to the next provider when the first one fails', async () => {
+    registerProvider(createCoinGeckoProvider({ baseUrl: `${base}/failing`, request }));
+    registerProvider(coincap);
+    registerProvider(binance);
+    process.env.MARKET_DATA_PROVIDERS = 'coingecko,coincap,binance';
+
+    const quotes = await getQuotes([{ id: 'bitcoin', symbol: 'btc' }, { id: 'solana', symbol: 'sol' }]);
+    assert.deepEqual(quotes.map(q => q.provider), ['coincap', 'binance']);
+});
+
+await check('Preferred provider is tried first', async () => {
+    const quotes = await getQuotes([{ id: 'solana', symbol: 'sol' }], { provider: 'binance' });
+    assert.equal(quotes[0].provider, 'binance');
+});
+
+await check('OHLC falls through providers that have no candles', async () => {
+    const candles = await getOHLC({ id: 'solana', symbol: 'sol' }, 30, { provider: 'coincap' });
+    assert.equal(candles.length, 1);
+});
+
+server.close();
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+} else {
+    console.log('\n✅ All market-data checks passed');
+}
@@ -0,0 +1,162 @@
+// Test per-host token buckets, Retry-After handling and circuit breakers
+import http from 'http';
+import assert from 'assert/strict';
+import { createCoinCapProvider } from './lib/providers/coincap.js';
+import { createBinanceProvider } from './lib/providers/binance.js';
+import { makeRateLimitedRequest, makeRateLimitedAxiosRequest, getHostLimiter, getRetryAfterMs, getBreakerStatus, getCooldown, isCircuitOpenError, sleep } from './api/rate-limiter.js';
+
+const hits = [];
+let floodOnce = true;
+
+const server = http.createServer((req, res) => {
+    hits.push({ url: req.url, at: Date.now() });
+    if (req.url === '/flood' && floodOnce) {
+        floodOnce = false;
+        res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '1' });
+        res.end(JSON.stringify({ error: 'rate limited' }));
+        return;
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ ok: true }));
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+const unhandled = [];
+process.on('unhandledRejection', error => unhandled.push(error.message));
+
+const rateLimitError = () => Object.assign(new Error('Request failed with status code 429'), { response: { status: 429, headers: {} } });
+
+let failures = 0;
+async function check(name, fn) {
+    hits.length = 0;
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+console.log("🧪 Testing Rate Limiter:");
+console.log("========================");
+
+await check('A burst within the bucket capacity is not delayed', async () => {
+    const started = Date.now();
+    await Promise.all([1, 2, 3, 4].map(n => makeRateLimitedAxiosRequest({ method: 'get', url: `${base}/coin/${n}` })));
+    assert.equal(hits.length, 4);
+    assert.ok(Date.now() - started < 500, `took ${Date.now() - started}ms`);
+});
+
+await check('An empty bucket on one host does not hold up another', async () => {
+    const { bucket } = getHostLimiter('slow.example');
+    bucket.tokens = 0;
+    bucket.updatedAt = Date.now();
+
+    const started = Date.now();
+    const slow = makeRateLimitedRequest(async () => Date.now() - started, { host: 'slow.example' });
+    const fast = await makeRateLimitedRequest(async () => Date.now() - started, { host: 'fast.example' });
+    assert.ok(fast < 100, `fast host waited ${fast}ms`);
+    assert.ok(await slow >= 900);
+});
+
+await check('Retry-After is parsed as seconds or an HTTP date', async () => {
+    assert.equal(getRetryAfterMs({ response: { headers: { 'retry-after': '3' } } }), 3000);
+    const ms = getRetryAfterMs({ response: { headers: { 'retry-after': new Date(Date.now() + 5000).toUTCString() } } });
+    assert.ok(ms > 3000 && ms <= 5000);
+    assert.equal(getRetryAfterMs({ response: { headers: {} } }), null);
+});
+
+await check('A 429 waits for Retry-After instead of the backoff', async () => {
+    const response = await makeRateLimitedAxiosRequest({ method: 'get', url: `${base}/flood` }, { baseDelay: 10000, maxDelay: 15000 });
+    assert.equal(response.data.ok, true);
+    assert.equal(hits.length, 2);
+    const waited = hits[1].at - hits[0].at;
+    assert.ok(waited >= 950 && waited < 5000, `waited ${waited}ms`);
+});
+
+await check('Retry-After longer than maxDelay gives up, but the host stays blocked', async () => {
+    const error = Object.assign(rateLimitError(), { response: { status: 429, headers: { 'retry-after': '2' } } });
+    let calls = 0;
+    await assert.rejects(makeRateLimitedRequest(async () => { calls++; throw error; }, { host: 'patient.example', maxDelay: 1000 }));
+    assert.equal(calls, 1);
+
+    // The next request to that host waits out Retry-After instead of firing straight away
+    const started = Date.now();
+    await makeRateLimitedRequest(async () => 'ok', { host: 'patient.example' });
+    const waited = Date.now() - started;
+    assert.ok(waited >= 1900, `second request waited only ${waited}ms`);
+});
+
+await check('The breaker trips per host', async () => {
+    const flood = makeRateLimitedRequest(async () => { throw rateLimitError(); }, { host: 'tripped.example', maxRetries: 4, baseDelay: 1, maxDelay: 1 });
+    await assert.rejects(flood, /429/);
+    await assert.rejects(makeRateLimitedRequest(async () => 'ok', { host: 'tripped.example' }), /circuit breaker/);
+    assert.equal(await makeRateLimitedRequest(async () => 'ok', { host: 'healthy.example' }), 'ok');
+});
+
+await check('An open breaker reports a cooldown and refuses with retryInMs', async () => {
+    const cooldown = getCooldown();
+    assert.equal(cooldown.host, 'tripped.example');
+    assert.ok(cooldown.retryInMs > 55000 && cooldown.retryInMs <= 60000);
+
+    const error = await makeRateLimitedRequest(async () => 'ok', { host: 'tripped.example' }).catch(e => e);
+    assert.ok(isCircuitOpenError(error));
+    assert.equal(error.host, 'tripped.example');
+
+    const status = getBreakerStatus().find(s => s.host === 'tripped.example');
+    assert.equal(status.state, 'open');
+    assert.equal(getBreakerStatus().find(s => s.host === 'healthy.example').state, 'closed');
+});
+
+await check('After the cooldown one probe goes out; a 429 reopens the breaker', async () => {
+    const { bucket, breaker } = getHostLimiter('tripped.example');
+    bucket.tokens = bucket.capacity; // Skip the token wait so the probe starts right away
+    breaker.openedAt -= 60000;
+    assert.equal(getBreakerStatus().find(s => s.host === 'tripped.example').state, 'half-open');
+
+    let release;
+    const probe = makeRateLimitedRequest(() => new Promise((resolve, reject) => { release = reject; }), { host: 'tripped.example' });
+    await sleep(10);
+    // Only the probe may go out while it is in flight
+    await assert.rejects(makeRateLimitedRequest(async () => 'ok', { host: 'tripped.example' }), /circuit breaker/);
+
+    release(rateLimitError());
+    await assert.rejects(probe, /429/);
+    assert.equal(breaker.state, 'open');
+});
+
+await check('A successful probe closes the breaker', async () => {
+    const { breaker } = getHostLimiter('tripped.example');
+    breaker.openedAt -= 60000;
+    assert.equal(await makeRateLimitedRequest(async () => 'ok', { host: 'tripped.example' }), 'ok');
+    assert.equal(breaker.state, 'closed');
+    assert.equal(await makeRateLimitedRequest(async () => 'again', { host: 'tripped.example' }), 'again');
+    assert.equal(getCooldown(), null);
+});
+
+await check('CoinCap and Binance requests go through the host breaker', async () => {
+    await assert.rejects(makeRateLimitedRequest(async () => { throw rateLimitError(); }, { host: 'flooded.example', maxRetries: 4, baseDelay: 1, maxDelay: 1 }));
+
+    const coincap = createCoinCapProvider({ baseUrl: 'http://flooded.example/v2' });
+    const binance = createBinanceProvider({ baseUrl: 'http://flooded.example/api/v3' });
+    await assert.rejects(coincap.getQuotes([{ id: 'bitcoin', symbol: 'btc' }]), error => isCircuitOpenError(error));
+    await assert.rejects(binance.getQuotes([{ id: 'bitcoin', symbol: 'btc' }]), error => isCircuitOpenError(error));
+});
+
+await check('Failed requests do not leave unhandled rejections', async () => {
+    await assert.rejects(makeRateLimitedRequest(async () => { throw new Error('boom'); }, { host: 'broken.example' }), /boom/);
+    await sleep(50);
+    assert.deepEqual(unhandled, []);
+});
+
+server.close();
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+} else {
+    console.log('\n✅ All rate limiter checks passed');
+}
@@ -0,0 +1,262 @@
+// Replay recorded Telegram updates through api/webhook.js against local stub servers
+//
+// Each file in fixtures/updates holds { description, steps: [{ update, expect, upstream? }] }.
+// Every expect entry matches one outbound Bot API call, in order:
+//   method        - Bot API method name
+//   params        - fields that must be equal (chat_id, message_thread_id, parse_mode, ...)
+//   textIncludes  - strings the text (or caption, edited media caption, or inline result messages) must contain
+//   buttons       - callback_data values of the inline keyboard, in order
+//   results       - titles of answerInlineQuery results, in order (their ids must be unique)
+// An empty expect list asserts that the bot stayed silent. upstream, when given,
+// lists the non-Telegram paths the step may request (e.g. [] for a cache hit).
+//
+// Usage: node test-replay.js [fixture-name ...]
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import assert from 'assert/strict';
+
+const FIXTURE_DIR = path.join(path.dirname(new URL(import.meta.url).pathname), 'fixtures', 'updates');
+const WEBHOOK_SECRET = 'replay_secret';
+
+// --- Canned upstream data ---
+const COINS = {
+    bitcoin: {
+        id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', current_price: 65000, market_cap: 1.28e12,
+        fully_diluted_valuation: 1.36e12, ath: 73750, high_24h: 66000, low_24h: 64000,
+        circulating_supply: 19700000,
+        price_change_percentage_1h_in_currency: 0.5, price_change_percentage_24h_in_currency: 2.1,
+        price_change_percentage_7d_in_currency: -1.2, price_change_percentage_30d_in_currency: 10.4,
+        sparkline_in_7d: { price: [65800, 65200, 64100, 64600, 65500, 64900, 65000] }
+    },
+    ethereum: {
+        id: 'ethereum', symbol: 'eth', name: 'Ethereum', current_price: 3000, market_cap: 3.6e11,
+        fully_diluted_valuation: 3.6e11, ath: 4878, high_24h: 3100, low_24h: 2900,
+        circulating_supply: 120000000,
+        price_change_percentage_1h_in_currency: -0.3, price_change_percentage_24h_in_currency: 1.5,
+        price_change_percentage_7d_in_currency: 4.2, price_change_percentage_30d_in_currency: -2.8,
+        sparkline_in_7d: { price: [2880, 2910, 2950, 2930, 2990, 3020, 3000] }
+    },
+    // Two coins share the PEPE ticker, so lookups ask which one was meant
+    pepe: {
+        id: 'pepe', symbol: 'pepe', name: 'Pepe', current_price: 0.00001, market_cap: 4.2e9, market_cap_rank: 30,
+        price_change_percentage_1h_in_currency: 1, price_change_percentage_24h_in_currency: 5
+    },
+    'based-pepe': {
+        id: 'based-pepe', symbol: 'pepe', name: 'Based Pepe', current_price: 0.0000002, market_cap: 1.5e6, market_cap_rank: null,
+        price_change_percentage_1h_in_currency: -2, price_change_percentage_24h_in_currency: -8
+    }
+};
+
+const DEX_PAIRS = {
+    '0x6982508145454ce325ddbe47a25d4ec3d2311933': {
+        chainId: 'ethereum', dexId: 'uniswap', priceUsd: '0.00001234', marketCap: 5200000000,
+        priceChange: { h1: 1.25 }, volume: { h24: 150000000 }, liquidity: { usd: 45000000 },
+        baseToken: { address: '0x6982508145454Ce325dDbE47a25d4ec3d2311933', name: 'Pepe', symbol: 'PEPE' }
+    }
+};
+
+// BTC-relative like CoinGecko's /exchange_rates: 1 USD = 80 INR, 0.9 EUR
+const EXCHANGE_RATES = {
+    usd: { name: 'US Dollar', unit: '$', value: 65000, type: 'fiat' },
+    inr: { name: 'Indian Rupee', unit: '₹', value: 5200000, type: 'fiat' },
+    eur: { name: 'Euro', unit: '€', value: 58500, type: 'fiat' }
+};
+
+const GEMINI_TEXT = 'Bitcoin is a decentralized digital currency.';
+const ADMIN_USER_IDS = [111111]; // getChatMember reports these as administrators
+
+// --- Stub servers (one http server, routed by path prefix) ---
+let telegramCalls = [];
+let upstreamCalls = [];
+let unexpectedRoutes = [];
+let nextMessageId = 1000;
+
+function telegramRoute(method, body) {
+    telegramCalls.push({ method, body });
+    if (method === 'getChatMember') {
+        const status = ADMIN_USER_IDS.includes(body.user_id) ? 'administrator' : 'member';
+        return { ok: true, result: { status, user: { id: body.user_id } } };
+    }
+    return { ok: true, result: { message_id: nextMessageId++ } };
+}
+
+function route(pathname, query, body) {
+    let match;
+    if ((match = pathname.match(/^\/telegram\/bot[^/]+\/(\w+)$/))) {
+        return telegramRoute(match[1], body);
+    }
+    upstreamCalls.push(pathname);
+    if (pathname === '/coingecko/coins/markets') {
+        const ids = (query.get('ids') || '').split(',');
+        return ids.map(id => COINS[id]).filter(Boolean);
+    }
+    if (pathname === '/coingecko/search') {
+        const symbol = (query.get('query') || '').toLowerCase();
+        return { coins: Object.values(COINS).filter(c => c.symbol === symbol).map(c => ({ id: c.id, symbol: c.symbol, name: c.name, market_cap_rank: c.market_cap_rank })) };
+    }
+    if (pathname === '/coingecko/exchange_rates') {
+        return { rates: EXCHANGE_RATES };
+    }
+    if ((match = pathname.match(/^\/coingecko\/coins\/ethereum\/contract\/(\w+)$/))) {
+        const pair = DEX_PAIRS[match[1].toLowerCase()];
+        return pair ? { id: pair.baseToken.name.toLowerCase(), symbol: pair.baseToken.symbol.toLowerCase(), name: pair.baseToken.name } : null;
+    }
+    if ((match = pathname.match(/^\/coingecko\/coins\/([\w-]+)\/ohlc$/))) {
+        return COINS[match[1]] ? [[1700000000000, 1, 2, 0.5, 1.5], [1700086400000, 1.5, 2.5, 1, 2]] : [];
+    }
+    if ((match = pathname.match(/^\/dexscreener\/latest\/dex\/tokens\/(\w+)$/))) {
+        const pair = DEX_PAIRS[match[1].toLowerCase()];
+        return { schemaVersion: '1.0.0', pairs: pair ? [pair] : null };
+    }
+    if (pathname === '/etherscan/api') {
+        return { status: '1', message: 'OK', result: { SafeGasPrice: '10', ProposeGasPrice: '12', FastGasPrice: '15' } };
+    }
+    if (/^\/gemini\/v1beta\/models\/[\w.-]+:generateContent$/.test(pathname)) {
+        return { candidates: [{ content: { role: 'model', parts: [{ text: GEMINI_TEXT }] }, finishReason: 'STOP', index: 0 }] };
+    }
+    unexpectedRoutes.push(pathname);
+    return null;
+}
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+        const url = new URL(req.url, 'http://localhost');
+        let body = {};
+        try {
+            body = raw ? JSON.parse(raw) : {};
+        } catch (error) {
+            body = { raw };
+        }
+        const result = route(url.pathname, url.searchParams, body);
+        res.writeHead(result === null ? 404 : 200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result ?? { error: 'not stubbed' }));
+    });
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const base = `http://127.0.0.1:${server.address().port}`;
+
+// Everything external points at the stubs before the handler is imported
+Object.assign(process.env, {
+    TELEGRAM_BOT_TOKEN: 'REPLAY:TOKEN',
+    TELEGRAM_WEBHOOK_SECRET: WEBHOOK_SECRET,
+    TELEGRAM_API_BASE: `${base}/telegram`,
+    COINGECKO_API_BASE: `${base}/coingecko`,
+    DEXSCREENER_API_BASE: `${base}/dexscreener`,
+    ETHERSCAN_API_BASE: `${base}/etherscan`,
+    GEMINI_API_BASE: `${base}/gemini`,
+    GOOGLE_API_KEY: 'replay-key',
+    MARKET_DATA_PROVIDERS: 'coingecko',
+    BOT_OWNER_IDS: '999999',
+    STORAGE_BACKEND: 'memory'
+});
+
+const unhandled = [];
+process.on('unhandledRejection', error => unhandled.push(error.message));
+
+const { default: handler } = await import('./api/webhook.js');
+
+async function deliver(update) {
+    let status = null;
+    let body = null;
+    const res = {
+        setHeader() {},
+        status(code) {
+            status = code;
+            return {
+                json: (data) => { body = data; },
+                end: () => {}
+            };
+        }
+    };
+    await handler({
+        method: 'POST',
+        headers: { 'x-telegram-bot-api-secret-token': WEBHOOK_SECRET },
+        body: update
+    }, res);
+    return { status, body };
+}
+
+function buttonData(replyMarkup) {
+    const keyboard = typeof replyMarkup === 'string' ? JSON.parse(replyMarkup) : replyMarkup;
+    return (keyboard?.inline_keyboard || []).flat().map(button => button.callback_data);
+}
+
+function assertCall(call, expected, index) {
+    const label = `call #${index + 1}`;
+    assert.equal(call.method, expected.method, `${label}: expected ${expected.method}, got ${call.method}`);
+
+    Object.entries(expected.params || {}).forEach(([key, value]) => {
+        assert.deepEqual(call.body[key], value, `${label} ${call.method}: ${key}`);
+    });
+
+    const inlineText = (call.body.results || []).map(result => result.input_message_content?.message_text).join('\n');
+    const text = call.body.text ?? call.body.caption ?? call.body.media?.caption ?? inlineText;
+    (expected.textIncludes || []).forEach(fragment => {
+        assert.ok(text.includes(fragment), `${label} ${call.method}: text does not include ${JSON.stringify(fragment)}\n   text: ${JSON.stringify(text)}`);
+    });
+
+    if (expected.buttons) {
+        assert.deepEqual(buttonData(call.body.reply_markup), expected.buttons, `${label} ${call.method}: buttons`);
+    }
+
+    if (expected.results) {
+        assert.deepEqual((call.body.results || []).map(result => result.title), expected.results, `${label} ${call.method}: results`);
+        // Telegram rejects the whole answer when two results share an id
+        const ids = (call.body.results || []).map(result => result.id);
+        assert.equal(new Set(ids).size, ids.length, `${label} ${call.method}: duplicate result ids ${JSON.stringify(ids)}`);
+    }
+}
+
+const only = process.argv.slice(2);
+const fixtureFiles = fs.readdirSync(FIXTURE_DIR)
+    .filter(file => file.endsWith('.json'))
+    .filter(file => only.length === 0 || only.includes(path.basename(file, '.json')))
+    .sort();
+
+let failures = 0;
+
+console.log("🧪 Replaying Recorded Updates:");
+console.log("==============================");
+
+for (const file of fixtureFiles) {
+    const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, file), 'utf8'));
+    const name = path.basename(file, '.json');
+
+    try {
+        for (const [stepIndex, step] of fixture.steps.entries()) {
+            telegramCalls = [];
+            upstreamCalls = [];
+            unexpectedRoutes = [];
+
+            const { status } = await deliver(step.update);
+            assert.equal(status, step.status ?? 200, `step ${stepIndex + 1}: handler status`);
+            assert.deepEqual(unexpectedRoutes, [], `step ${stepIndex + 1}: requests to unstubbed routes`);
+
+            const expected = step.expect || [];
+            assert.equal(telegramCalls.length, expected.length,
+                `step ${stepIndex + 1}: expected ${expected.length} Bot API call(s), got ${telegramCalls.length} (${telegramCalls.map(c => c.method).join(', ') || 'none'})`);
+            telegramCalls.forEach((call, index) => assertCall(call, expected[index], index));
+            if (step.upstream) {
+                assert.deepEqual(upstreamCalls, step.upstream, `step ${stepIndex + 1}: upstream requests`);
+            }
+        }
+        assert.deepEqual(unhandled.splice(0), [], 'unhandled promise rejections');
+        console.log(`✅ ${name} - ${fixture.description}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name} - ${fixture.description}\n   ${error.message}`);
+    }
+}
+
+server.close();
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} fixture(s) failed`);
+    process.exitCode = 1;
+} else {
+    console.log(`\n✅ All ${fixtureFiles.length} fixtures passed`);
+}
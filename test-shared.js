@@ -0,0 +1,473 @@
+// Test the helpers shared by api/webhook.js and api/check-alerts.js
+import http from 'http';
+import assert from 'assert/strict';
+import { escapeMarkdown, escapeUsername, escapeHtml, fmtBig, fmtPrice, fmtChange, formatTimeDuration } from './lib/format.js';
+import { MENTION_CONFIG, createMentionText, isValidMentionContext, mentionChatDefaults } from './lib/mentions.js';
+import { createChatSettings, getChatSettings } from './lib/chat-settings.js';
+import { createPriceService } from './lib/prices.js';
+import { createCoinResolver } from './lib/coin-resolver.js';
+import { registerProvider } from './lib/market-data.js';
+import { createCommandThrottle, getCommandLimits } from './lib/command-throttle.js';
+import { createPermissions } from './lib/permissions.js';
+import { resolveLocale, translate, getTranslator } from './lib/i18n.js';
+import { createMemoryStorage, setStorage } from './lib/storage/index.js';
+import { createFiatRates, formatFiat, fiatSymbol } from './lib/fiat.js';
+import { parseExpression, evaluateExpression } from './lib/expression.js';
+
+// --- Stub market-data provider and Bot API ---
+const QUOTES = {
+    bitcoin: { id: 'bitcoin', symbol: 'btc', name: 'Bitcoin', current_price: 65000, market_cap: 1.28e12, price_change_percentage_1h_in_currency: 0.5 },
+    solana: { id: 'solana', symbol: 'sol', name: 'Solana', current_price: 150, market_cap: 7e10, price_change_percentage_1h_in_currency: -1 }
+};
+
+const stubProvider = (name) => ({
+    name,
+    async getQuotes(coins) {
+        return coins.filter(coin => QUOTES[coin.id]).map(coin => ({ ...QUOTES[coin.id], provider: name }));
+    },
+    async getOHLC() { return null; },
+    async getHistory() { return null; }
+});
+registerProvider(stubProvider('stub'));
+registerProvider(stubProvider('backup'));
+process.env.MARKET_DATA_PROVIDERS = 'stub,backup';
+
+// BTC-relative like CoinGecko's /exchange_rates: 1 USD = 80 INR
+const EXCHANGE_RATES = { usd: { value: 65000 }, inr: { value: 5200000 } };
+
+const sent = [];
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+        if (req.url.endsWith('/exchange_rates')) {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ rates: EXCHANGE_RATES }));
+            return;
+        }
+        sent.push({ method: req.url.split('/').pop(), body: JSON.parse(raw || '{}') });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, result: { message_id: 1 } }));
+    });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.TELEGRAM_API_BASE = `http://127.0.0.1:${server.address().port}`;
+process.env.TELEGRAM_BOT_TOKEN = 'TEST';
+process.env.COINGECKO_API_BASE = `http://127.0.0.1:${server.address().port}`;
+
+const resolver = {
+    async resolve(symbol) {
+        return { btc: 'bitcoin', sol: 'solana' }[symbol] || null;
+    }
+};
+
+let failures = 0;
+async function check(name, fn) {
+    sent.length = 0;
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+console.log("🧪 Testing Shared Helpers:");
+console.log("==========================");
+
+await check('Markdown escaping covers entities; usernames keep underscores', async () => {
+    assert.equal(escapeMarkdown('a_b*c[d]'), 'a\\_b\\*c\\[d\\]');
+    assert.equal(escapeUsername('ferno_x'), 'ferno_x');
+    assert.equal(escapeHtml('<b>&</b>'), '&lt;b&gt;&amp;&lt;/b&gt;');
+});
+
+await check('Number and duration formatting', async () => {
+    assert.equal(fmtBig(1.28e12), '1.28T');
+    assert.equal(fmtBig(null), 'N/A');
+    assert.equal(fmtPrice(null), '$0');
+    assert.equal(fmtChange(-1.234), '🔴 -1.23%');
+    assert.equal(formatTimeDuration(3660), '1h 1m');
+    assert.equal(formatTimeDuration(90000), '1d 1h');
+});
+
+await check('Mention text honours the parse mode and drops invalid usernames', async () => {
+    const members = ['ferno_x', 'bad name', 'username1', 'Xeron888'];
+    assert.equal(createMentionText('html', members), '@ferno_x @Xeron888');
+    assert.equal(createMentionText('plain', members), '@ferno_x @Xeron888');
+    assert.equal(createMentionText('markdown', ['a*b_c']), '');
+    assert.equal(createMentionText('markdown', ['Ananthu_VB']), '@Ananthu_VB');
+});
+
+await check('@all is seeded only for the configured group', async () => {
+    const seeded = mentionChatDefaults(String(MENTION_CONFIG.TARGET_GROUP_ID));
+    assert.equal(seeded.mentionsEnabled, true);
+    assert.deepEqual(seeded.mentionMembers, MENTION_CONFIG.CHOSEN_MEMBERS);
+    assert.deepEqual(mentionChatDefaults(-100123), {});
+    assert.equal(isValidMentionContext({ mentionsEnabled: true, mentionMembers: [] }), false);
+});
+
+await check('Chat settings merge defaults, clamp the coin limit and survive storage errors', async () => {
+    const storage = createMemoryStorage();
+    const settings = createChatSettings({ store: storage.chatSettings, chatDefaults: mentionChatDefaults });
+
+    const initial = await settings.get(-100123);
+    assert.equal(initial.coinLimit, 4);
+    assert.equal(initial.mentionsEnabled, false);
+
+    const updated = await settings.update(-100123, { coinLimit: 50, calculator: false });
+    assert.equal(updated.coinLimit, 10);
+    assert.equal((await settings.get(-100123)).calculator, false);
+
+    const broken = createChatSettings({ store: { get: async () => { throw new Error('offline'); }, update: async () => { throw new Error('offline'); } } });
+    assert.equal((await broken.get(1)).linkRewrite, true);
+    assert.equal(await broken.update(1, { linkRewrite: false }), null);
+});
+
+await check('Price lookups use the chat provider first', async () => {
+    const storage = createMemoryStorage();
+    const settings = createChatSettings({ store: storage.chatSettings });
+    const prices = createPriceService({ resolver, chatSettings: settings });
+
+    assert.equal((await prices.getCoinDataWithChanges('BTC')).provider, 'stub');
+    await settings.update(-100123, { marketDataProvider: 'backup' });
+    assert.equal((await prices.getCoinDataWithChanges('btc', { chatId: -100123 })).provider, 'backup');
+    assert.equal(await prices.getCoinDataWithChanges('zzz'), null);
+
+    const batch = await prices.getBatchCoinData(['btc', 'sol', 'zzz']);
+    assert.deepEqual(batch.map(q => q.id), ['bitcoin', 'solana']);
+});
+
+await check('Ambiguous tickers list their coins until the chat picks one', async () => {
+    const searches = [];
+    const coinResolver = createCoinResolver({
+        priority: { btc: 'bitcoin' },
+        search: async (symbol) => {
+            searches.push(symbol);
+            return symbol === 'sol'
+                ? [{ id: 'solana', name: 'Solana', rank: 5 }, { id: 'wrapped-solana', name: 'Wrapped SOL', rank: null }]
+                : [];
+        }
+    });
+    const storage = createMemoryStorage();
+    const settings = createChatSettings({ store: storage.chatSettings });
+    const prices = createPriceService({ resolver: coinResolver, chatSettings: settings });
+
+    assert.deepEqual(await prices.getCoinCandidates('btc'), [], 'priority tickers are settled');
+    assert.deepEqual((await prices.getCoinCandidates('SOL', { chatId: -100777 })).map(c => c.id), ['solana', 'wrapped-solana']);
+    assert.equal(await coinResolver.resolve('sol'), 'solana', 'the best ranked coin stays the default');
+    assert.deepEqual(searches, ['sol'], 'candidates are cached with the resolution');
+
+    await settings.update(-100777, { coinChoices: { sol: 'wrapped-solana' } });
+    assert.deepEqual(await prices.getCoinCandidates('sol', { chatId: -100777 }), []);
+    assert.equal(await prices.searchCoinId('sol', -100777), 'wrapped-solana');
+    assert.equal(await prices.searchCoinId('sol', -100778), 'solana', 'other chats keep the default');
+
+    await coinResolver.pin('sol', 'solana');
+    assert.deepEqual(await coinResolver.candidates('sol'), [], 'a pin settles the ticker everywhere');
+});
+
+await check('Chat aliases win over the priority map and batch quotes keep the asked ticker', async () => {
+    const storage = createMemoryStorage();
+    const settings = createChatSettings({ store: storage.chatSettings });
+    const prices = createPriceService({ resolver, chatSettings: settings });
+
+    await settings.update(-100888, { aliases: { btc: { id: 'solana', symbol: 'sol' }, orange: { id: 'bitcoin', symbol: 'btc' } } });
+    assert.equal((await prices.getCoinDataWithChanges('btc', { chatId: -100888 })).id, 'solana');
+    assert.equal((await prices.getCoinDataWithChanges('btc', { chatId: -100889 })).id, 'bitcoin', 'other chats are unaffected');
+
+    const batch = await prices.getBatchCoinData(['orange', 'sol'], { chatId: -100888 });
+    assert.deepEqual(batch.map(quote => [quote.query, quote.symbol, quote.id]), [['orange', 'btc', 'bitcoin'], ['sol', 'sol', 'solana']]);
+
+    // Ticker-only providers (like Binance) are asked for the target's own ticker, not the alias
+    const asked = [];
+    registerProvider({
+        ...stubProvider('ticker'),
+        async getQuotes(coins) {
+            asked.push(...coins.map(coin => coin.symbol));
+            const bySymbol = (symbol) => Object.values(QUOTES).find(quote => quote.symbol === symbol);
+            return coins.filter(coin => bySymbol(coin.symbol)).map(coin => ({ ...bySymbol(coin.symbol), id: coin.id, provider: 'ticker' }));
+        }
+    });
+    await settings.update(-100888, { marketDataProvider: 'ticker' });
+    const [quote] = await prices.getBatchCoinData(['btc'], { chatId: -100888 });
+    assert.deepEqual(asked, ['sol']);
+    assert.deepEqual([quote.query, quote.id, quote.current_price], ['btc', 'solana', 150]);
+});
+
+await check('Removed aliases stay removed when the store deep-merges maps like Firestore', async () => {
+    const docs = new Map();
+    const mergingStore = {
+        get: async (chatId) => docs.get(chatId) || null,
+        update: async (chatId, patch) => {
+            const doc = { ...(docs.get(chatId) || {}) };
+            for (const [key, value] of Object.entries(patch)) {
+                const isMap = value && typeof value === 'object' && !Array.isArray(value);
+                doc[key] = isMap ? { ...(doc[key] || {}), ...value } : value;
+            }
+            docs.set(chatId, doc);
+        }
+    };
+    const settings = createChatSettings({ store: mergingStore });
+    const orange = { id: 'bitcoin', symbol: 'btc' };
+    await settings.update(-100890, { aliases: { btc: { id: 'solana', symbol: 'sol' }, orange } });
+
+    const { aliases } = await settings.get(-100890);
+    const updated = await settings.update(-100890, { aliases: { ...aliases, btc: null } });
+    assert.deepEqual(updated.aliases, { orange });
+
+    const fresh = createChatSettings({ store: mergingStore });
+    assert.deepEqual((await fresh.get(-100890)).aliases, { orange });
+    const prices = createPriceService({ resolver, chatSettings: fresh });
+    assert.equal((await prices.getCoinDataWithChanges('btc', { chatId: -100890 })).id, 'bitcoin');
+});
+
+await check('Quotes and prices follow the requested fiat, falling back to USD without a rate', async () => {
+    let fetches = 0;
+    const request = async () => { fetches++; return { data: { rates: EXCHANGE_RATES } }; };
+    const storage = createMemoryStorage();
+    const settings = createChatSettings({ store: storage.chatSettings });
+    const prices = createPriceService({ resolver, chatSettings: settings, fiatRates: createFiatRates({ request }) });
+
+    const inr = await prices.getCoinDataWithChanges('btc', { fiat: 'INR' });
+    assert.equal(inr.fiat, 'inr');
+    assert.equal(inr.current_price, 5200000);
+    assert.equal(inr.market_cap, 1.28e12 * 80);
+    assert.equal(inr.price_change_percentage_1h_in_currency, 0.5);
+
+    await settings.update(-100123, { fiat: 'inr' });
+    const [chatDefault] = await prices.getBatchCoinData(['sol'], { chatId: -100123 });
+    assert.equal(chatDefault.current_price, 12000);
+    assert.equal((await prices.getCoinDataWithChanges('btc', { chatId: -100123, fiat: 'usd' })).current_price, 65000);
+    assert.equal(fetches, 1, 'rates are cached');
+
+    const noRate = createPriceService({ resolver, fiatRates: createFiatRates({ request: async () => { throw new Error('down'); } }) });
+    const usd = await noRate.getCoinDataWithChanges('btc', { fiat: 'inr' });
+    assert.equal(usd.fiat, 'usd');
+    assert.equal(usd.current_price, 65000);
+
+    assert.equal(formatFiat(5200000, 'inr'), '₹52,00,000');
+    assert.equal(getTranslator('ml').price(240000.5, 'inr'), '₹2,40,000.5');
+    assert.equal(getTranslator('en').price(65000, 'usd'), '$65,000');
+    assert.equal(fiatSymbol('inr'), '₹');
+});
+
+await check('Calculator expressions follow precedence and only accept arithmetic', async () => {
+    const calc = (text, scope) => evaluateExpression(parseExpression(text).ast, scope);
+    assert.equal(calc('2 + 3 * 4 ^ 2'), 50);
+    assert.equal(calc('-2^2'), -4, 'power binds tighter than unary minus');
+    assert.equal(calc('2^3^2'), 512, 'power is right-associative');
+    assert.equal(calc('10 % 3'), 1, '% between operands is modulo');
+    assert.equal(calc('200 * 15%'), 30, 'trailing % is a percentage');
+    assert.equal(calc('1.5m / 3 + 2k'), 502000);
+    assert.equal(calc('0.1 + 0.2'), 0.3);
+    assert.equal(calc('1 / 0'), null);
+
+    const mixed = parseExpression('(2 eth + 0.3 btc) * 0.9 - ans');
+    assert.deepEqual(mixed.symbols, ['eth', 'btc']);
+    assert.equal(mixed.usesAns, true);
+    assert.equal(evaluateExpression(mixed.ast, { prices: { eth: 3000, btc: 65000 }, ans: 950 }), 22000);
+    assert.equal(evaluateExpression(mixed.ast, { prices: { eth: 3000 }, ans: 950 }), null, 'unpriced coins fail');
+
+    for (const text of ['2 eth', '1 eth to btc', 'hello - world', '2 + ', '(1 + 2', 'process.exit()', '50%']) {
+        assert.equal(parseExpression(text), null, text);
+    }
+});
+
+await check('Command throttle limits per user and per chat with one notice per window', async () => {
+    let time = 0;
+    const throttle = createCommandThrottle({ now: () => time });
+    const limits = { perUser: 2, perChat: 3, windowMs: 60000 };
+    const hit = (userId) => throttle.hit({ chatId: -1, userId, command: 'chart', limits });
+
+    assert.equal(hit(1).allowed, true);
+    time = 1000;
+    assert.equal(hit(1).allowed, true);
+    assert.deepEqual(hit(1), { allowed: false, scope: 'user', retryInMs: 59000, notify: true });
+    assert.equal(hit(1).notify, false);
+
+    assert.equal(hit(2).allowed, true);
+    assert.equal(hit(3).scope, 'chat');
+
+    time = 60001;
+    assert.equal(hit(1).allowed, true);
+    const denied = hit(1);
+    assert.equal(denied.scope, 'user');
+    assert.equal(denied.notify, true, 'a new window gets a new notice');
+
+    // Notices are dropped once their window ends, even for users who never return
+    time = 200000;
+    assert.equal(hit(4).allowed, true);
+    assert.equal(throttle.noticeCount(), 0);
+});
+
+await check('Chat overrides replace the default limits; unknown commands are not throttled', async () => {
+    assert.deepEqual(getCommandLimits('que', { que: { perUser: 0, perChat: 1 } }), { perUser: 0, perChat: 1, windowMs: 60000 });
+    assert.deepEqual(getCommandLimits('que', { que: null }), { perUser: 3, perChat: 10, windowMs: 60000 });
+    assert.equal(getCommandLimits('help'), null);
+    assert.equal(createCommandThrottle().hit({ chatId: 1, userId: 1, command: 'help', limits: null }).allowed, true);
+
+    const throttle = createCommandThrottle();
+    const unlimited = { perUser: 0, perChat: 0, windowMs: 60000 };
+    for (let i = 0; i < 20; i++) {
+        assert.equal(throttle.hit({ chatId: 1, userId: 1, command: 'que', limits: unlimited }).allowed, true);
+    }
+});
+
+await check('Locales resolve from Telegram codes and strings fall back to English', async () => {
+    assert.equal(resolveLocale(null, 'ml-IN'), 'ml');
+    assert.equal(resolveLocale('fr', 'de'), 'en');
+    assert.equal(resolveLocale(), 'en');
+
+    assert.equal(translate('ml', 'coin.price'), 'വില');
+    assert.equal(translate('ml', 'coin.fdv'), 'FDV', 'missing Malayalam strings use English');
+    assert.equal(translate('en', 'no.such.key'), 'no.such.key');
+    assert.equal(translate('en', 'cancel.done.price', { index: 2 }), '✅ Price alert #2 has been canceled.');
+    assert.equal(translate('en', 'remind.set', { message: '{date}' }).includes('"{date}"'), true, 'values are not expanded twice');
+});
+
+await check('Numbers and dates follow the locale', async () => {
+    const en = getTranslator('en');
+    const ml = getTranslator('ml');
+    assert.equal(en.price(1234567.5), '$1,234,567.5');
+    assert.equal(ml.price(1234567.5), '$12,34,567.5');
+    assert.equal(ml.big(1.28e12), '1.28T');
+
+    // 2025-01-15 09:30 UTC is 15:00 in IST
+    const date = new Date(Date.UTC(2025, 0, 15, 9, 30));
+    assert.equal(en.date(date), 'Jan 15, 2025');
+    assert.match(en.time(date), /^3:00\sPM$/);
+    assert.ok(ml.date(date).includes('ജനു'), ml.date(date));
+});
+
+await check('Permission rules cache getChatMember and let owners through', async () => {
+    const lookups = [];
+    const statuses = { 1: 'administrator', 2: 'member' };
+    const getClient = () => ({
+        async call(method, params) {
+            lookups.push(params.user_id);
+            if (params.user_id === 3) throw new Error('Bad Request: user not found');
+            return { ok: true, result: { status: statuses[params.user_id] } };
+        }
+    });
+    const permissions = createPermissions({ getClient, ownerIds: [9] });
+    const ctx = (userId, extra = {}) => ({ botToken: 'TEST', chatId: -100123, chatType: 'supergroup', user: { id: userId }, ...extra });
+
+    assert.equal(await permissions.allows(ctx(1), 'admin'), true);
+    assert.equal(await permissions.allows(ctx(2), 'admin'), false);
+    assert.equal(await permissions.allows(ctx(2), 'requester'), false);
+    assert.equal(await permissions.allows(ctx(2, { requesterId: 2 }), 'requester'), true);
+    assert.equal(await permissions.allows(ctx(1), 'owner'), false);
+    assert.equal(await permissions.allows(ctx(9), 'owner'), true);
+    assert.equal(await permissions.allows(ctx(2, { chatType: 'private' }), 'admin'), true);
+    assert.equal(await permissions.allows(ctx(2), null), true);
+    assert.deepEqual(lookups, [1, 2]);
+
+    assert.equal(await permissions.isChatAdmin(ctx(3)), false);
+    assert.equal(await permissions.isChatAdmin(ctx(3)), false);
+    assert.deepEqual(lookups, [1, 2, 3, 3], 'failed lookups are retried');
+
+    const noOwners = createPermissions({ getClient, ownerIds: [] });
+    assert.equal(await noOwners.allows(ctx(1), 'owner'), false, 'admins are not owners when none are configured');
+    assert.equal(await noOwners.allows(ctx(2, { chatType: 'private' }), 'owner'), false, 'nor is anyone in a private chat');
+});
+
+await check('Chat migration moves every repository to the new id and can run twice', async () => {
+    const storage = createMemoryStorage();
+    await storage.queries.add({ chatId: -400, userId: 1, query: 'btc' });
+    await storage.firstPosts.add({ chatId: -400, address: '0xABC', userId: 1 });
+    await storage.priceAlerts.add({ chatId: -400, userId: 1, symbol: 'btc' });
+    await storage.timeReminders.add({ chatId: -400, userId: 1, triggerTime: new Date() });
+    await storage.chatMessages.add(-400, 10, { text: 'gm', timestamp: 1 });
+    await storage.chatSettings.update(-400, { calculator: false, coinLimit: 6 });
+    await storage.chatSettings.update(-100400, { coinLimit: 2 });
+
+    const moved = await storage.chats.migrate(-400, -100400);
+    assert.deepEqual(moved, { queries: 1, firstPosts: 1, priceAlerts: 1, timeReminders: 1, chatMessages: 1, chatSettings: 1 });
+
+    assert.equal((await storage.queries.listByChat(-100400)).length, 1);
+    assert.ok(await storage.firstPosts.findByAddress('0xabc', -100400));
+    assert.equal((await storage.priceAlerts.listActiveForUser(1, -100400)).length, 1);
+    assert.equal((await storage.timeReminders.listActiveForUser(1, -100400)).length, 1);
+    assert.equal((await storage.chatMessages.listSince(-100400, 0))[0].text, 'gm');
+    assert.deepEqual(await storage.chatMessages.listSince(-400, 0), []);
+    const settings = await storage.chatSettings.get(-100400);
+    assert.equal(settings.calculator, false);
+    assert.equal(settings.coinLimit, 2, 'settings already saved in the new chat win');
+    assert.equal(await storage.chatSettings.get(-400), null);
+
+    const again = await storage.chats.migrate(-400, -100400);
+    assert.ok(Object.values(again).every(count => count === 0));
+});
+
+// check-alerts reads the shared singletons, so it gets its own storage and a fresh import
+const storage = createMemoryStorage();
+setStorage(storage);
+const { default: checkAlerts } = await import('./api/check-alerts.js');
+
+async function runAlertCheck() {
+    let result = null;
+    await checkAlerts({ method: 'GET', headers: {} }, {
+        status: (code) => ({ json: (body) => { result = { code, body }; } })
+    });
+    return result;
+}
+
+await check('Alert checker triggers price alerts with the shared lookups', async () => {
+    await storage.priceAlerts.add({ userId: 1, chatId: -100123, symbol: 'btc', condition: 'above', targetPrice: 60000, username: 'alice' });
+    await storage.priceAlerts.add({ userId: 1, chatId: -100123, symbol: 'sol', condition: 'above', targetPrice: 500, username: 'alice' });
+
+    const { code, body } = await runAlertCheck();
+    assert.equal(code, 200);
+    assert.deepEqual(body.priceAlerts, { checked: 2, triggered: 1 });
+    assert.equal(sent.length, 1);
+    assert.ok(sent[0].body.text.includes('BTC is now above $60,000'));
+    assert.ok(sent[0].body.text.includes('Market Cap: $1.28T'));
+});
+
+await check('Reminder @all mentions the members from chat settings in HTML', async () => {
+    const past = new Date(Date.now() - 1000);
+    await storage.timeReminders.add({ userId: 1, chatId: MENTION_CONFIG.TARGET_GROUP_ID, message: 'standup @all', triggerTime: past, username: 'alice' });
+    await storage.timeReminders.add({ userId: 1, chatId: -100123, message: 'standup @all', triggerTime: past, username: 'alice' });
+
+    await runAlertCheck();
+    assert.equal(sent.length, 2);
+    const [seeded, other] = sent.map(call => call.body);
+    assert.equal(seeded.parse_mode, 'HTML');
+    assert.ok(seeded.text.includes('@ferno_x @Ananthu_VB'));
+    assert.ok(seeded.text.includes('@waazze'));
+    assert.ok(other.text.includes('standup @all'));
+    assert.ok(!other.text.includes('@ferno_x'));
+});
+
+await check('Alerts set in rupees are checked and reported in rupees', async () => {
+    await storage.priceAlerts.add({ userId: 1, chatId: -100789, symbol: 'btc', condition: 'above', targetPrice: 5000000, username: 'alice', currency: 'inr' });
+    await storage.priceAlerts.add({ userId: 1, chatId: -100789, symbol: 'btc', condition: 'above', targetPrice: 6000000, username: 'alice', currency: 'inr' });
+
+    const { body } = await runAlertCheck();
+    assert.deepEqual(body.priceAlerts, { checked: 3, triggered: 1 }, 'the SOL alert from above is still waiting');
+    assert.ok(sent[0].body.text.includes('BTC is now above ₹50,00,000'), sent[0].body.text);
+    assert.ok(sent[0].body.text.includes('Current Price: ₹52,00,000'));
+    assert.ok(sent[0].body.text.includes('Market Cap: ₹102.40T'));
+    await storage.priceAlerts.deactivate((await storage.priceAlerts.listActiveForUser(1, -100789))[0].id);
+});
+
+await check('Notifications use the chat language', async () => {
+    await getChatSettings().update(-100456, { language: 'ml' });
+    await storage.priceAlerts.add({ userId: 1, chatId: -100456, symbol: 'btc', condition: 'above', targetPrice: 60000, username: 'alice' });
+    await storage.timeReminders.add({ userId: 1, chatId: -100456, message: 'standup', triggerTime: new Date(Date.now() - 1000), username: 'alice' });
+
+    await runAlertCheck();
+    assert.equal(sent.length, 2);
+    assert.ok(sent[0].body.text.includes('BTC ഇപ്പോൾ $60,000 മുകളിൽ ആണ്!'), sent[0].body.text);
+    assert.ok(sent[1].body.text.includes('<b>ഓർമ്മപ്പെടുത്തൽ</b>'));
+});
+
+server.close();
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+} else {
+    console.log('\n✅ All shared helper checks passed');
+}
@@ -0,0 +1,109 @@
+// Test the Telegram client against a local stub Bot API
+import http from 'http';
+import assert from 'assert/strict';
+import { createTelegramClient, ALLOWED_UPDATES } from './lib/telegram.js';
+
+const calls = [];
+let floodOnce = true;
+
+// Each handler gets the parsed body and returns [status, body]
+const methods = {
+    sendMessage: (body) => {
+        if (body.text === 'flood' && floodOnce) {
+            floodOnce = false;
+            return [429, { ok: false, error_code: 429, description: 'Too Many Requests: retry after 1', parameters: { retry_after: 1 } }];
+        }
+        if (body.message_thread_id === 99) {
+            return [400, { ok: false, error_code: 400, description: 'Bad Request: message thread not found' }];
+        }
+        if (body.parse_mode === 'HTML' && body.text.includes('<broken')) {
+            return [400, { ok: false, error_code: 400, description: "Bad Request: can't parse entities: unclosed start tag" }];
+        }
+        if (body.parse_mode === 'Markdown' && body.text.includes('*broken')) {
+            return [400, { ok: false, error_code: 400, description: "Bad Request: can't parse entities: can't find end of the entity" }];
+        }
+        if (body.text === 'forbidden') {
+            return [403, { ok: false, error_code: 403, description: 'Forbidden: bot was kicked from the group chat' }];
+        }
+        return [200, { ok: true, result: { message_id: 1 } }];
+    }
+};
+
+const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => raw += chunk);
+    req.on('end', () => {
+        const method = req.url.split('/').pop();
+        const body = raw ? JSON.parse(raw) : {};
+        calls.push({ method, body });
+        const [status, result] = methods[method] ? methods[method](body) : [404, { ok: false, description: 'Not Found' }];
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(result));
+    });
+});
+
+await new Promise(resolve => server.listen(0, resolve));
+const telegram = createTelegramClient({ botToken: 'TEST', baseUrl: `http://127.0.0.1:${server.address().port}` });
+
+let failures = 0;
+async function check(name, fn) {
+    calls.length = 0;
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}\n   ${error.message}`);
+    }
+}
+
+console.log("🧪 Testing Telegram Client:");
+console.log("===========================");
+
+await check('Waits out retry_after on 429 and retries', async () => {
+    const started = Date.now();
+    const response = await telegram.sendMessage(-100, 'flood');
+    assert.equal(response.ok, true);
+    assert.equal(calls.length, 2);
+    assert.ok(Date.now() - started >= 1000);
+});
+
+await check('Falls back to the main chat when the topic is gone', async () => {
+    await telegram.sendMessage(-100, 'hello', { messageThreadId: 99 });
+    assert.deepEqual(calls.map(c => c.body.message_thread_id), [99, undefined]);
+});
+
+await check('Ignores thread ids that are not positive', async () => {
+    await telegram.sendMessage(-100, 'hello', { messageThreadId: 0 });
+    assert.equal(calls.length, 1);
+    assert.equal('message_thread_id' in calls[0].body, false);
+});
+
+await check('Falls back HTML -> Markdown -> plain for variants', async () => {
+    await telegram.sendMessage(-100, { html: '<broken', markdown: '*broken', plain: 'plain' });
+    assert.deepEqual(calls.map(c => c.body.parse_mode ?? null), ['HTML', 'Markdown', null]);
+    assert.equal(calls[2].body.text, 'plain');
+});
+
+await check('Retries a single text without parse_mode when entities are rejected', async () => {
+    await telegram.sendMessage(-100, '*broken', { parse_mode: 'Markdown' });
+    assert.deepEqual(calls.map(c => c.body.parse_mode ?? null), ['Markdown', null]);
+});
+
+await check('Other errors are thrown without retrying', async () => {
+    await assert.rejects(telegram.sendMessage(-100, 'forbidden', { parse_mode: 'HTML' }), error => error.response.status === 403);
+    assert.equal(calls.length, 1);
+});
+
+await check('Webhook and polling subscribe to every update type the handler reads', async () => {
+    assert.deepEqual([...ALLOWED_UPDATES].sort(), ['callback_query', 'edited_message', 'inline_query', 'message']);
+});
+
+server.close();
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exitCode = 1;
+} else {
+    console.log('\n✅ All Telegram client checks passed');
+}